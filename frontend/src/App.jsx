@@ -1,7 +1,18 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import Spline from '@splinetool/react-spline';
+import { createApiClient } from '../../src/lib/api';
+import { activeProfile, clientOptions, loadProfiles } from '../../src/lib/profiles';
+import { generateLocal } from '../../src/lib/localEngine';
+import { isOfflineError } from '../../src/lib/offline';
+import { formatDate } from '../../src/lib/i18n';
+import { UNITS, clampToUnit } from '../../src/lib/ngram';
+import { MAX_SEED, clampSeed, parseSeed, randomSeed as rollSeed } from '../../src/lib/random';
 
-const BACKEND = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000';
+// Same backend profile as the main app (see src/lib/profiles).
+const api = createApiClient(clientOptions(activeProfile(loadProfiles())));
+
+// Save time in the browser's locale; empty when missing or unparseable.
+const savedAt = (corpus) => (corpus.created_at ? formatDate(undefined, corpus.created_at, { dateStyle: 'medium', timeStyle: 'short' }) : '');
 
 function Textarea({ label, value, onChange, rows = 8, placeholder }) {
   return (
@@ -18,7 +29,10 @@ function Textarea({ label, value, onChange, rows = 8, placeholder }) {
   );
 }
 
-function NumberField({ label, value, onChange, min, max, step = 1 }) {
+// Like the main app's NumberInput: typing is free, an emptied field is not
+// reported as 0, and `onBlur` fits the value to its limits.
+function NumberField({ label, value, onChange, onBlur, min, max, step = 1 }) {
+  const [draft, setDraft] = useState(null);
   return (
     <div className="space-y-2">
       <label className="text-sm text-slate-300">{label} <span className="text-slate-500">({min}–{max})</span></label>
@@ -27,8 +41,15 @@ function NumberField({ label, value, onChange, min, max, step = 1 }) {
         min={min}
         max={max}
         step={step}
-        value={value}
-        onChange={(e) => onChange(Number(e.target.value))}
+        value={draft ?? value}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          if (e.target.value.trim() !== '' && Number.isFinite(Number(e.target.value))) onChange(Number(e.target.value));
+        }}
+        onBlur={() => {
+          setDraft(null);
+          onBlur?.();
+        }}
         className="w-full rounded-xl bg-slate-900/60 border border-slate-700/60 px-4 py-3 text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-violet-500/60"
       />
     </div>
@@ -54,30 +75,47 @@ export default function App() {
   const [raw, setRaw] = useState('You are the sunlight in my room,\nA quiet bloom at afternoon.');
   const [title, setTitle] = useState('Starter Corpus');
   const [type, setType] = useState('lyrics');
+  const [unit, setUnit] = useState('char');
   const [length, setLength] = useState(240);
   const [temperature, setTemperature] = useState(0.9);
   const [order, setOrder] = useState(3);
   const [seed, setSeed] = useState('');
+  const [randomSeed, setRandomSeed] = useState(rollSeed);
+  const [usedSeed, setUsedSeed] = useState(null);
   const [generated, setGenerated] = useState('');
   const [loading, setLoading] = useState(false);
   const [savedId, setSavedId] = useState(null);
   const [library, setLibrary] = useState([]);
+  const [useLocal, setUseLocal] = useState(false);
+  const [engine, setEngine] = useState('');
+  const [error, setError] = useState('');
 
   useEffect(() => {
-    fetch(`${BACKEND}/corpus`).then(r => r.json()).then(setLibrary).catch(() => {});
+    api.listCorpora().then(setLibrary).catch(() => {});
   }, []);
 
+  function changeUnit(next) {
+    const limits = clampToUnit(next, { order, length });
+    setUnit(next);
+    setOrder(limits.order);
+    setLength(limits.length);
+  }
+
+  function fitToUnit() {
+    const limits = clampToUnit(unit, { order, length });
+    setOrder(limits.order);
+    setLength(limits.length);
+  }
+
   async function saveCorpus() {
     setLoading(true);
+    setError('');
     try {
-      const res = await fetch(`${BACKEND}/corpus`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title, type, content: raw })
-      });
-      const data = await res.json();
+      const data = await api.createCorpus({ title, type, text: raw });
       setSavedId(data.id);
       setLibrary((prev) => [data, ...prev]);
+    } catch (e) {
+      setError(`Save failed: ${e.message}`);
     } finally {
       setLoading(false);
     }
@@ -86,20 +124,32 @@ export default function App() {
   async function generate(from = 'raw') {
     setLoading(true);
     setGenerated('');
+    setError('');
     try {
       const payload = {
-        length, temperature, order, seed: seed || null,
+        unit, length, temperature, order, seed: seed || null, random_seed: parseSeed(randomSeed),
       };
+      setUsedSeed(payload.random_seed);
       if (from === 'saved' && savedId) payload.corpus_id = savedId;
-      else payload.raw_text = raw;
-
-      const res = await fetch(`${BACKEND}/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      const data = await res.json();
-      setGenerated(data.result || '');
+      else payload.text = raw;
+
+      if (!useLocal) {
+        try {
+          setGenerated(await api.generate(payload, { onChunk: setGenerated }));
+          setEngine('');
+          return;
+        } catch (e) {
+          if (!isOfflineError(e)) throw e;
+        }
+      }
+      const corpus = payload.corpus_id ? library.find((c) => c.id === payload.corpus_id) : null;
+      const text = corpus ? corpus.text : raw;
+      setGenerated(await generateLocal({ ...payload, text }));
+      setEngine(useLocal ? 'local engine' : 'local engine (backend unreachable)');
+    } catch (e) {
+      setGenerated('');
+      setEngine('');
+      setError(`Generation failed: ${e.message}`);
     } finally {
       setLoading(false);
     }
@@ -142,14 +192,24 @@ export default function App() {
             placeholder="Paste lyrics or poems here..."
           />
 
-          <div className="grid grid-cols-3 gap-4">
-            <NumberField label="Length" value={length} onChange={setLength} min={32} max={2000} step={16} />
+          <div className="grid grid-cols-4 gap-4">
+            <div className="space-y-2">
+              <label className="text-sm text-slate-300">Unit</label>
+              <select
+                value={unit}
+                onChange={(e) => changeUnit(e.target.value)}
+                className="w-full rounded-xl bg-slate-900/60 border border-slate-700/60 px-4 py-3 text-slate-100 focus:outline-none focus:ring-2 focus:ring-violet-500/60"
+              >
+                {Object.entries(UNITS).map(([value, u]) => <option key={value} value={value}>{u.label.toLowerCase()}</option>)}
+              </select>
+            </div>
+            <NumberField label="Length" value={length} onChange={setLength} onBlur={fitToUnit} min={UNITS[unit].length.min} max={UNITS[unit].length.max} step={UNITS[unit].length.step} />
             <NumberField label="Temperature" value={temperature} onChange={setTemperature} min={0.1} max={2.5} step={0.1} />
-            <NumberField label="Order" value={order} onChange={setOrder} min={1} max={8} step={1} />
+            <NumberField label="Order" value={order} onChange={setOrder} onBlur={fitToUnit} min={UNITS[unit].order.min} max={UNITS[unit].order.max} step={1} />
           </div>
 
           <div className="space-y-2">
-            <label className="text-sm text-slate-300">Seed (optional)</label>
+            <label className="text-sm text-slate-300">Starting phrase (optional)</label>
             <input
               value={seed}
               onChange={(e) => setSeed(e.target.value)}
@@ -158,12 +218,31 @@ export default function App() {
             />
           </div>
 
+          <div className="flex items-end gap-3">
+            <div className="flex-1">
+              <NumberField label="Random seed" value={randomSeed} onChange={(v) => setRandomSeed(clampSeed(v))} min={0} max={MAX_SEED} step={1} />
+            </div>
+            <button
+              type="button"
+              onClick={() => setRandomSeed(rollSeed())}
+              title="New random seed"
+              className="px-4 py-3 rounded-xl bg-slate-800 hover:bg-slate-700 text-lg"
+            >
+              🎲
+            </button>
+          </div>
+
           <div className="flex flex-wrap items-center gap-3 pt-2">
             <button onClick={() => generate('raw')} disabled={loading} className="px-4 py-2 rounded-lg bg-violet-600 hover:bg-violet-500 disabled:opacity-60">Generate</button>
             <button onClick={saveCorpus} disabled={loading} className="px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-60">Save to Library</button>
             <button onClick={() => generate('saved')} disabled={!savedId || loading} className="px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-60">Generate from Saved</button>
             {savedId && <span className="text-sm text-slate-400">Saved ✓</span>}
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={useLocal} onChange={(e) => setUseLocal(e.target.checked)} />
+              Local engine
+            </label>
           </div>
+          {error && <p role="alert" className="text-sm text-red-400">{error}</p>}
         </div>
 
         <div className="space-y-6">
@@ -171,6 +250,8 @@ export default function App() {
             <div className="flex items-center justify-between mb-2">
               <h3 className="text-lg font-medium">Output</h3>
               {loading && <span className="text-sm text-slate-400">Thinking…</span>}
+              {!loading && engine && <span className="text-sm text-slate-400">{engine}</span>}
+              {!loading && generated && usedSeed != null && <span className="text-sm text-slate-400">seed {usedSeed}</span>}
             </div>
             <pre className="min-h-[320px] whitespace-pre-wrap rounded-xl bg-slate-900/60 border border-slate-700/60 p-4 text-slate-200">{generated}</pre>
           </div>
@@ -181,7 +262,7 @@ export default function App() {
               {library.map((c) => (
                 <button key={c.id} onClick={() => setSavedId(c.id)} className={`w-full text-left px-3 py-2 rounded-lg border ${savedId===c.id? 'border-violet-500 bg-violet-500/10': 'border-slate-700/60 bg-slate-900/60'} hover:border-violet-500/60`}>
                   <div className="text-sm font-medium">{c.title}</div>
-                  <div className="text-xs text-slate-400">{c.type} • {new Date(c.created_at).toLocaleString()}</div>
+                  <div className="text-xs text-slate-400">{[c.type, savedAt(c)].filter(Boolean).join(' • ')}</div>
                 </button>
               ))}
               {!library.length && <div className="text-sm text-slate-500">No saved corpus yet. Save one to start a reusable library.</div>}
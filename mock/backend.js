@@ -0,0 +1,172 @@
+// Stand-in for the Python/MongoDB backend, served by the Vite dev and
+// preview servers under /mock-api when VITE_MOCK_API is set. Corpora live in
+// memory for the lifetime of the server; generation uses the local engine.
+
+import { randomUUID } from 'node:crypto'
+import { runEngine } from '../src/lib/engine'
+import { encodeWav } from '../src/lib/wav'
+
+export const MOCK_PREFIX = '/mock-api'
+
+const corpora = []
+
+function send(res, status, body) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+function counts(text) {
+  return { char_count: text.length, word_count: (text.match(/\S+/g) || []).length }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    req.on('data', (chunk) => { data += chunk })
+    req.on('end', () => {
+      try { resolve(data ? JSON.parse(data) : {}) } catch { reject(new Error('Invalid JSON body')) }
+    })
+    req.on('error', reject)
+  })
+}
+
+// A short melody with one tone per word, so the player has something to
+// play. Pitch follows the voice, tempo the slow flag.
+function synthesize({ text = '', voice = 'female', slow = false }) {
+  const rate = 16000
+  const words = text.split(/\s+/).filter(Boolean).slice(0, 40)
+  const wordSec = slow ? 0.36 : 0.24
+  const base = voice === 'male' ? 140 : 240
+  const samples = new Float32Array(Math.ceil(rate * wordSec * Math.max(1, words.length)))
+  words.forEach((word, w) => {
+    const freq = base * Math.pow(2, ((word.length * 5) % 12) / 12)
+    const start = Math.floor(w * wordSec * rate)
+    const len = Math.floor(wordSec * rate * 0.85)
+    for (let i = 0; i < len; i++) {
+      const env = Math.min(1, i / 400, (len - i) / 400)
+      samples[start + i] = 0.3 * env * Math.sin((2 * Math.PI * freq * i) / rate)
+    }
+  })
+  return Buffer.from(encodeWav(samples, rate)).toString('base64')
+}
+
+async function generate(req, res) {
+  const body = await readBody(req)
+  const ids = body.corpora?.length ? body.corpora.map((c) => c.id) : body.corpus_id ? [body.corpus_id] : []
+  const found = ids.map((id) => corpora.find((c) => c.id === id))
+  if (found.some((c) => !c)) return send(res, 404, { detail: 'Corpus not found' })
+  const sources = found.map((c, i) => ({ text: c.text, weight: body.corpora?.[i]?.weight ?? 1 }))
+  const text = sources.length ? sources[0].text : body.text ?? body.raw_text
+  if (!text || !text.trim()) return send(res, 400, { detail: 'Provide text or corpus_id' })
+  const output = runEngine({
+    text,
+    sources: sources.length > 1 ? sources : null,
+    unit: body.unit || 'char',
+    order: body.order || 3,
+    temperature: body.temperature ?? 1,
+    length: body.length || 240,
+    seed: body.seed || null,
+    randomSeed: body.random_seed ?? null,
+    scheme: body.rhyme_scheme,
+  })
+  if (!body.stream || !(req.headers.accept || '').includes('ndjson')) {
+    return send(res, 200, { output, result: output })
+  }
+  // Stream word-sized pieces as NDJSON to exercise the live output path.
+  res.statusCode = 200
+  res.setHeader('Content-Type', 'application/x-ndjson')
+  for (const piece of output.match(/\S*\s*/g).filter(Boolean)) {
+    if (res.destroyed) return
+    res.write(JSON.stringify({ token: piece }) + '\n')
+    await new Promise((r) => setTimeout(r, 15))
+  }
+  res.end(JSON.stringify({ done: true }) + '\n')
+}
+
+async function corpusById(req, res, id) {
+  const index = corpora.findIndex((c) => c.id === id)
+  if (index === -1) return send(res, 404, { detail: 'Corpus not found' })
+  if (req.method === 'GET') return send(res, 200, corpora[index])
+  if (req.method === 'DELETE') {
+    corpora.splice(index, 1)
+    return send(res, 200, { deleted: id })
+  }
+  if (req.method === 'PUT') {
+    const body = await readBody(req)
+    const text = body.text ?? body.content
+    if (text !== undefined && !text.trim()) return send(res, 400, { detail: 'Corpus text is required' })
+    const corpus = { ...corpora[index] }
+    if (body.title !== undefined) corpus.title = body.title || 'Untitled'
+    if (body.type !== undefined) corpus.type = body.type
+    if (Array.isArray(body.tags)) corpus.tags = body.tags
+    if (body.language !== undefined) corpus.language = body.language
+    if (text !== undefined) Object.assign(corpus, { text, content: text, ...counts(text) })
+    corpora[index] = corpus
+    return send(res, 200, corpus)
+  }
+  return send(res, 405, { detail: 'Method Not Allowed' })
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://mock')
+  const path = url.pathname.replace(/\/+$/, '') || '/'
+  const byId = path.match(/^\/corpus\/([^/]+)$/)
+  if (byId) return corpusById(req, res, decodeURIComponent(byId[1]))
+  const route = `${req.method} ${path}`
+  switch (route) {
+    case 'GET /':
+      return send(res, 200, { message: 'Mock backend is running' })
+    case 'GET /test':
+      return send(res, 200, {
+        backend: '✅ Running (mock)',
+        database: '✅ In-memory store',
+        database_url: 'memory://',
+        database_name: 'mock',
+        connection_status: 'Connected',
+        collections: ['corpus'],
+      })
+    case 'GET /corpus':
+      return send(res, 200, corpora)
+    case 'POST /corpus': {
+      const body = await readBody(req)
+      const text = body.text ?? body.content
+      if (!text || !text.trim()) return send(res, 400, { detail: 'Corpus text is required' })
+      const corpus = {
+        id: randomUUID(),
+        title: body.title || 'Untitled',
+        type: body.type || 'generic',
+        tags: Array.isArray(body.tags) ? body.tags : [],
+        language: body.language || '',
+        text,
+        content: text,
+        ...counts(text),
+        created_at: new Date().toISOString(),
+      }
+      corpora.unshift(corpus)
+      return send(res, 200, corpus)
+    }
+    case 'POST /generate':
+      return generate(req, res)
+    case 'POST /tts': {
+      const body = await readBody(req)
+      if (!body.text || !body.text.trim()) return send(res, 400, { detail: 'Text is required' })
+      return send(res, 200, { audio_base64: synthesize(body), mime_type: 'audio/wav' })
+    }
+    default:
+      return send(res, 404, { detail: 'Not Found' })
+  }
+}
+
+export function mockBackend() {
+  const mount = (server) => {
+    server.middlewares.use(MOCK_PREFIX, (req, res) => {
+      handle(req, res).catch((e) => send(res, 400, { detail: e.message }))
+    })
+  }
+  return {
+    name: 'mock-backend',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  }
+}
@@ -0,0 +1,77 @@
+// Service worker: keeps the app shell usable offline. Pages are network
+// first with the cached shell as fallback; hashed build assets are cache
+// first; remote fonts and the Spline scene are served from cache while
+// refreshing in the background. API requests are never intercepted.
+
+// { version, assets } of the build, filled in by vite.config.js. The hashed
+// assets are precached on install: the worker registers after the first
+// page load, too late to see that page fetch its bundles.
+const BUILD = self.__BUILD__ || { version: 'dev', assets: [] }
+const CACHE_PREFIX = 'lyric-generator-'
+const CACHE = `${CACHE_PREFIX}${BUILD.version}`
+const SHELL = ['/', '/manifest.webmanifest', '/favicon.svg']
+const REMOTE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net', 'prod.spline.design', 'unpkg.com']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll([...SHELL, ...BUILD.assets])).then(() => self.skipWaiting()))
+})
+
+// Drops the caches of earlier builds, old /assets/ entries included. Caches
+// of other code on the origin are left alone.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+const cacheable = (res) => res && (res.ok || res.type === 'opaque')
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE)
+  try {
+    const res = await fetch(request)
+    if (res.ok) cache.put('/', res.clone())
+    return res
+  } catch {
+    return (await cache.match('/')) || Response.error()
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE)
+  const hit = await cache.match(request)
+  if (hit) return hit
+  const res = await fetch(request)
+  if (cacheable(res)) cache.put(request, res.clone())
+  return res
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE)
+  const hit = await cache.match(request)
+  const refresh = fetch(request)
+    .then((res) => {
+      if (cacheable(res)) cache.put(request, res.clone())
+      return res
+    })
+  if (hit) {
+    event.waitUntil(refresh.catch(() => {}))
+    return hit
+  }
+  return refresh
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request))
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL.includes(url.pathname))) {
+    event.respondWith(cacheFirst(request))
+  } else if (REMOTE_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, event))
+  }
+})
@@ -1,262 +1,729 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import Spline from '@splinetool/react-spline'
+import { createApiClient } from './lib/api'
+import { generateLocal, isAbort } from './lib/localEngine'
+import { UNITS, clampToUnit, isLongEnough } from './lib/ngram'
+import { RHYME_SCHEMES, buildRhymeIndex, enforceScheme } from './lib/rhyme'
+import { layoutLyrics, layoutText } from './lib/layout'
+import { CORPUS_TYPES, LANGUAGES, LIBRARY_SORTS, allTags, filterLibrary, labelOf } from './lib/corpusMeta'
+import { discardQueued, flushOutbox, isOfflineError, isUnsent, listOutbox, loadMirror, queueCorpus, saveMirror } from './lib/offline'
+import { addHistory, deleteHistory, listHistory, updateHistory } from './lib/history'
+import { audioExtension, slugify } from './lib/exporters'
+import { StageError, runPipeline } from './lib/pipeline'
+import { alignClip } from './lib/align'
+import { activeProfile, clientOptions, loadProfiles, saveProfiles } from './lib/profiles'
+import { PERMALINK_PARAM, decodeParams, permalinkFor } from './lib/permalink'
+import { MAX_SEED, clampSeed, parseSeed, randomSeed as rollSeed, seededRandom } from './lib/random'
+import { BPM_RANGE, FLOWS, GENRES, MOODS, TEMPERATURE_RANGE, VOICES, cleanSnapshot } from './lib/settings'
+import { isSpeechAvailable, speak, stopSpeaking } from './lib/speech'
+import BackendSettings from './components/BackendSettings'
+import BackingTrackPanel from './components/BackingTrackPanel'
+import CorpusDrawer from './components/CorpusDrawer'
+import ExportMenu from './components/ExportMenu'
+import HistoryPanel from './components/HistoryPanel'
+import JobProgress from './components/JobProgress'
+import KaraokeView from './components/KaraokeView'
+import ImportPanel from './components/ImportPanel'
+import LyricOutput from './components/LyricOutput'
+import PresetBar from './components/PresetBar'
+import { LocaleSwitcher, useI18n } from './components/I18n'
+import { Button, Label, NumberInput, Select, TextArea, TextInput } from './components/ui'
 
-function Label({ children }) {
-  return <label className="text-sm font-medium text-gray-700">{children}</label>
-}
-
-function NumberInput({ value, onChange, min, max, step = 1 }) {
-  return (
-    <input
-      type="number"
-      value={value}
-      min={min}
-      max={max}
-      step={step}
-      onChange={(e) => onChange(Number(e.target.value))}
-      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-    />
-  )
-}
-
-function Select({ value, onChange, options }) {
-  return (
-    <select
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
-    >
-      {options.map((o) => (
-        <option key={o.value} value={o.value}>{o.label}</option>
-      ))}
-    </select>
-  )
-}
-
-function TextArea({ value, onChange, rows = 8, placeholder }) {
-  return (
-    <textarea
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      rows={rows}
-      placeholder={placeholder}
-      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-    />
-  )
-}
-
-function TextInput({ value, onChange, placeholder }) {
-  return (
-    <input
-      type="text"
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      placeholder={placeholder}
-      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-    />
-  )
-}
-
-function Button({ children, onClick, disabled, variant = 'primary' }) {
-  const cls =
-    variant === 'secondary'
-      ? 'bg-gray-700 hover:bg-gray-800 text-white'
-      : variant === 'ghost'
-      ? 'bg-transparent text-gray-700 hover:bg-gray-100 border border-gray-300'
-      : variant === 'success'
-      ? 'bg-emerald-600 hover:bg-emerald-700 text-white'
-      : 'bg-blue-600 hover:bg-blue-700 text-white'
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      className={`inline-flex items-center justify-center rounded-md px-4 py-2 text-sm font-semibold transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${cls}`}
-    >
-      {children}
-    </button>
-  )
-}
+// Style choices; their labels come from the locale catalogs (genre.pop, ...).
+const GENRE_OPTIONS = GENRES.map((value) => ({ value }))
+const FLOW_OPTIONS = FLOWS.map((value) => ({ value }))
+const MOOD_OPTIONS = MOODS.map((value) => ({ value }))
+const VOICE_OPTIONS = VOICES.map((value) => ({ value }))
+const UNIT_OPTIONS = Object.keys(UNITS).map((value) => ({ value }))
+const RHYME_OPTIONS = Object.keys(RHYME_SCHEMES).map((value) => ({ value }))
+const SORT_OPTIONS = Object.keys(LIBRARY_SORTS).map((value) => ({ value }))
 
 export default function App() {
-  const backendBase = useMemo(() => import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000', [])
+  const { t, options, errorText, nameOf, formatNumber, formatDate } = useI18n()
+  const corpusTypes = options(CORPUS_TYPES, 'corpusType')
+  const languages = options(LANGUAGES, 'language')
+  const percent = (share) => formatNumber(share, { style: 'percent' })
+
+  const [profiles, setProfiles] = useState(loadProfiles)
+  const [settingsOpen, setSettingsOpen] = useState(false)
+  const profile = activeProfile(profiles)
+  const api = useMemo(() => createApiClient(clientOptions(profile)), [profile.url, profile.authorization])
 
   // Inputs
   const [title, setTitle] = useState('My Corpus')
   const [text, setText] = useState('Paste lyrics or poems here...')
+  const [unit, setUnit] = useState('char')
   const [length, setLength] = useState(240)
   const [order, setOrder] = useState(3)
   const [temperature, setTemperature] = useState(1.0)
   const [seed, setSeed] = useState('')
+  const [randomSeed, setRandomSeed] = useState(rollSeed)
 
   // Style controls
   const [genre, setGenre] = useState('pop')
   const [flow, setFlow] = useState('smooth')
   const [bpm, setBpm] = useState(100)
   const [mood, setMood] = useState('chill')
+  const [rhymeScheme, setRhymeScheme] = useState('free')
   const [voice, setVoice] = useState('female')
   const [language, setLanguage] = useState('en')
   const [slow, setSlow] = useState(false)
+  const [preferBrowserVoice, setPreferBrowserVoice] = useState(false)
+  const [alignBeat, setAlignBeat] = useState(false)
+  const [useLocal, setUseLocal] = useState(false)
 
   // Library
   const [library, setLibrary] = useState([])
-  const [selectedId, setSelectedId] = useState(null)
+  // Selected corpora with blend weights (1-100), in selection order
+  const [selection, setSelection] = useState([])
+  const [libraryQuery, setLibraryQuery] = useState('')
+  const [libraryFilters, setLibraryFilters] = useState({ type: '', language: '', tag: '' })
+  const [librarySort, setLibrarySort] = useState('newest')
+  // Metadata for corpora saved from the Source Text box or imported files
+  const [corpusType, setCorpusType] = useState('lyrics')
+  const [corpusTags, setCorpusTags] = useState('')
+  const [corpusLanguage, setCorpusLanguage] = useState('en')
+  const [viewing, setViewing] = useState(null)
+  // When set, the library shown is the offline mirror saved at this time.
+  const [mirroredAt, setMirroredAt] = useState(null)
+  // Saves made while the backend was unreachable, waiting to sync
+  const [outbox, setOutbox] = useState([])
 
   // Output & status
   const [output, setOutput] = useState('')
+  const [outputSources, setOutputSources] = useState([])
+  const [outputParams, setOutputParams] = useState(null)
+  // Set after opening a permalink: which generator re-runs it ('library' or 'text').
+  const [linkRestore, setLinkRestore] = useState(null)
+  const [searchParams, setSearchParams] = useSearchParams()
   const [busy, setBusy] = useState(false)
   const [notice, setNotice] = useState('')
+  const [generating, setGenerating] = useState(false)
+  const [job, setJob] = useState(null)
+  const abortRef = useRef(null)
+
+  // History
+  const [history, setHistory] = useState([])
 
   // Audio
   const [audioSrc, setAudioSrc] = useState('')
   const audioRef = useRef(null)
+  const playRequest = useRef(null)
+  const [spokenBy, setSpokenBy] = useState('')
+  const [karaoke, setKaraoke] = useState(false)
+  // Backend vocal takes for A/B: the clip as synthesized and its beat-aligned
+  // version (an object URL we own), the text that was spoken and the BPM
+  // it was aligned to.
+  const [takes, setTakes] = useState({ original: '', aligned: '', text: '' })
+
+  const layout = useMemo(() => layoutLyrics(output, { bpm, flow }), [output, bpm, flow])
 
   useEffect(() => {
-    loadLibrary()
+    const packed = searchParams.get(PERMALINK_PARAM)
+    if (!packed) return
+    decodeParams(packed)
+      .then((p) => {
+        applyParams(p)
+        setLinkRestore(p.sources.some((src) => src.id) ? 'library' : 'text')
+        setNotice(t('link.restored'))
+      })
+      .catch((e) => setNotice(t('link.failed', { error: errorText(e) })))
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev)
+      next.delete(PERMALINK_PARAM)
+      return next
+    }, { replace: true })
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  useEffect(() => {
+    listHistory()
+      .then(setHistory)
+      .catch((e) => setNotice(t('notice.historyLoadFailed', { error: errorText(e) })))
+  }, [])
+
+  // Runs on mount and again whenever another backend profile becomes active.
+  useEffect(() => {
+    refreshOutbox()
+    loadLibrary().then((online) => { if (online) syncOutbox() })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api])
+
+  // Retry queued saves when the browser comes back online, and every half
+  // minute while anything is pending (the backend may return on its own).
+  // Saves the backend rejected wait for the user to retry them.
+  const waiting = outbox.filter((item) => !item.lastError).length
+  useEffect(() => {
+    if (!waiting) return
+    const retry = () => syncOutbox()
+    window.addEventListener('online', retry)
+    const timer = setInterval(retry, 30000)
+    return () => {
+      window.removeEventListener('online', retry)
+      clearInterval(timer)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api, waiting])
+
+  const changeProfiles = (next) => {
+    try {
+      saveProfiles(next)
+    } catch {
+      // Storage full or blocked: the switch still applies for this session.
+    }
+    // Editing the active profile's URL switches backend as much as picking
+    // another profile does, so compare where requests will go.
+    if (activeProfile(next).url !== profile.url) {
+      // Corpus ids belong to the previous backend; the effect on `api`
+      // loads the new library.
+      setSelection([])
+      setLibrary([])
+      setViewing(null)
+      setNotice(t('notice.backendSwitched', { name: nameOf(activeProfile(next)) }))
+    }
+    setProfiles(next)
+  }
+
+  // Resolves to true when the backend answered. Each fresh list is
+  // mirrored locally so the library can still be browsed offline.
   const loadLibrary = async () => {
     try {
-      const res = await fetch(`${backendBase}/corpus`)
-      if (!res.ok) throw new Error('failed')
-      const data = await res.json()
-      setLibrary(data || [])
+      const list = await api.listCorpora()
+      setLibrary(list)
+      setMirroredAt(null)
+      saveMirror(api.baseUrl, list).catch(() => {})
+      return true
     } catch (e) {
+      const mirror = isOfflineError(e) ? await loadMirror(api.baseUrl).catch(() => null) : null
+      if (mirror) {
+        setLibrary(mirror.corpora)
+        setMirroredAt(mirror.savedAt)
+        setNotice(t('notice.libraryOffline'))
+        return false
+      }
       // DB might not be configured; keep library empty but show a hint
       setLibrary([])
-      setNotice('Database not configured. You can still generate from raw text. Saving requires MongoDB.')
+      setMirroredAt(null)
+      setNotice(t('notice.dbNotConfigured'))
+      return false
+    }
+  }
+
+  const refreshOutbox = () => listOutbox(api.baseUrl).then(setOutbox).catch(() => setOutbox([]))
+
+  // `retryRejected` also resends saves the backend refused before.
+  const syncOutbox = async ({ retryRejected = false } = {}) => {
+    try {
+      const { sent, failed } = await flushOutbox(api, { retryRejected })
+      await refreshOutbox()
+      if (sent) await loadLibrary()
+      if (sent || failed) {
+        setNotice([sent && t('notice.synced', { count: sent }), failed && t('notice.syncRejected', { count: failed })].filter(Boolean).join(' '))
+      }
+    } catch {
+      // IndexedDB unavailable: nothing can have been queued either.
     }
   }
 
-  const saveCorpus = async () => {
-    if (!text || text.trim().length < order + 1) {
-      setNotice('Please paste more text (longer than n-gram order).')
+  const discardPending = async (id) => {
+    try {
+      await discardQueued(id)
+      await refreshOutbox()
+    } catch (e) {
+      setNotice(t('notice.discardFailed', { error: errorText(e) }))
+    }
+  }
+
+  // Saves the Source Text as one corpus, or each of `entries` (imported
+  // files) as its own corpus.
+  const saveCorpus = async (entries = [{ title, text }]) => {
+    const short = entries.find((e) => !e.text?.trim() || !isLongEnough(e.text, unit, order))
+    if (short) {
+      setNotice(entries.length > 1
+        ? t('notice.tooShortEntry', { title: short.title })
+        : t('notice.needMoreText'))
       return
     }
     setBusy(true)
     setNotice('')
     try {
-      const res = await fetch(`${backendBase}/corpus`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title: title || 'Untitled', text }),
-      })
-      if (!res.ok) {
-        const err = await safeJson(res)
-        throw new Error(err?.detail || 'Save failed')
+      let queued = 0
+      for (const entry of entries) {
+        const corpus = { title: entry.title || t('common.untitled'), text: entry.text, type: corpusType, tags: corpusTags, language: corpusLanguage }
+        try {
+          await api.createCorpus(corpus)
+        } catch (e) {
+          if (!isUnsent(e)) throw e
+          await queueCorpus(api.baseUrl, corpus)
+          queued++
+        }
+      }
+      if (queued < entries.length) await loadLibrary()
+      if (queued) {
+        await refreshOutbox()
+        setNotice(queued === entries.length && entries.length === 1 ? t('notice.queuedOne') : t('notice.queuedMany', { count: queued }))
+      } else {
+        setNotice(entries.length > 1 ? t('notice.savedMany', { count: entries.length }) : t('notice.saved'))
       }
-      await loadLibrary()
-      setNotice('Saved to library.')
     } catch (e) {
-      setNotice(`Save failed: ${e.message}`)
+      setNotice(t('notice.saveFailed', { error: errorText(e) }))
     } finally {
       setBusy(false)
     }
   }
 
-  const safeJson = async (res) => {
-    try { return await res.json() } catch { return null }
+  const loadImported = (entry) => {
+    setTitle(entry.title)
+    setText(entry.text)
+    setNotice(t('notice.loaded', { title: entry.title }))
+  }
+
+  const visibleLibrary = useMemo(
+    () => filterLibrary(library, { query: libraryQuery, ...libraryFilters }, librarySort),
+    [library, libraryQuery, libraryFilters, librarySort],
+  )
+  const libraryTags = useMemo(() => allTags(library), [library])
+  const setLibraryFilter = (key) => (value) => setLibraryFilters((prev) => ({ ...prev, [key]: value }))
+
+  const onCorpusSaved = (updated) => {
+    setLibrary((prev) => prev.map((c) => (c.id === updated.id ? { ...c, ...updated } : c)))
+    setNotice(t('notice.corpusUpdated'))
+  }
+
+  const onCorpusDeleted = (id) => {
+    setLibrary((prev) => prev.filter((c) => c.id !== id))
+    setSelection((prev) => prev.filter((s) => s.id !== id))
+    setViewing(null)
+    setNotice(t('notice.corpusDeleted'))
+  }
+
+  // Picking a corpus also switches the TTS language to the corpus language.
+  const toggleSelected = (id) => {
+    const adding = !selection.some((s) => s.id === id)
+    setSelection((prev) => (prev.some((s) => s.id === id) ? prev.filter((s) => s.id !== id) : [...prev, { id, weight: 50 }]))
+    const corpusLang = library.find((c) => c.id === id)?.language
+    if (adding && corpusLang) setLanguage(corpusLang)
+  }
+
+  const setWeight = (id, weight) =>
+    setSelection((prev) => prev.map((s) => (s.id === id ? { ...s, weight } : s)))
+
+  const selectionTotal = selection.reduce((sum, s) => sum + s.weight, 0)
+  const shareOf = (s) => (selectionTotal ? s.weight / selectionTotal : 0)
+
+  const changeUnit = (next) => {
+    const limits = clampToUnit(next, { order, length })
+    setUnit(next)
+    setOrder(limits.order)
+    setLength(limits.length)
+  }
+
+  // Typed values stay as typed while editing and are fitted on blur.
+  const fitToUnit = () => {
+    const limits = clampToUnit(unit, { order, length })
+    setOrder(limits.order)
+    setLength(limits.length)
+  }
+
+  // PresetBar has already fitted the order to the current unit.
+  const applyPreset = (settings) => {
+    const setters = { genre: setGenre, flow: setFlow, bpm: setBpm, mood: setMood, voice: setVoice, language: setLanguage, slow: setSlow, order: setOrder, temperature: setTemperature }
+    for (const [field, set] of Object.entries(setters)) if (settings[field] !== undefined) set(settings[field])
   }
 
   const makeGenPayload = (extra = {}) => ({
     text,
+    unit,
     length,
     order,
     temperature,
     seed: seed || null,
+    random_seed: parseSeed(randomSeed),
     genre,
     flow,
     bpm,
     mood,
+    rhyme_scheme: rhymeScheme,
     voice,
     language,
     ...extra,
   })
 
-  const generateFromText = async () => {
-    if (!text || text.trim().length < order + 1) {
-      setNotice('Please paste more text (longer than n-gram order).')
-      return
+  // Posts to the backend unless the local engine is forced; falls back to the
+  // in-browser model when the backend cannot be reached or does not answer
+  // before the request timeout. A streaming
+  // backend reports partial text through `onChunk` as it arrives. `sources`
+  // are the corpora behind the request: [{ title, text, weight }].
+  const requestGenerate = async (payload, sources, { signal, onChunk } = {}) => {
+    const corpusText = sources.map((s) => s.text || '').join('\n')
+    if (!useLocal) {
+      try {
+        const raw = await api.generate(payload, { signal, onChunk })
+        // The backend may ignore rhyme_scheme; repair line endings here so the
+        // chosen scheme holds either way.
+        const random = payload.random_seed == null ? Math.random : seededRandom(payload.random_seed)
+        const output = enforceScheme(raw, rhymeScheme, buildRhymeIndex(corpusText.trim() ? corpusText : raw), random)
+        return { output, engine: 'backend' }
+      } catch (e) {
+        if (!isOfflineError(e)) throw e
+      }
     }
-    setBusy(true)
-    setAudioSrc('')
-    setOutput('')
-    setNotice('Generating...')
+    const missing = sources.find((s) => !s.text)
+    if (missing) throw new Error(t('error.localEngineMissing', { title: missing.title }))
+    const local = sources.length === 1 ? { text: sources[0].text } : { sources }
+    const output = await generateLocal({ ...payload, ...local }, { signal })
+    return { output, engine: useLocal ? 'local' : 'fallback' }
+  }
+
+  const doneNotice = (engine) =>
+    t(engine === 'fallback' ? 'notice.doneFallback' : engine === 'local' ? 'notice.doneLocal' : 'notice.done')
+
+  // Everything needed to reproduce a generation from the form. Library
+  // sources keep their ids; the Source Text is stored inline.
+  const snapshotParams = (sources) => ({
+    sources: sources.map(({ id, title, text: srcText, weight }) => (id ? { id, title, weight } : { title, text: srcText, weight })),
+    corpusTitle: title,
+    unit,
+    order,
+    temperature,
+    length,
+    seed,
+    randomSeed: parseSeed(randomSeed),
+    genre,
+    flow,
+    bpm,
+    mood,
+    rhymeScheme,
+    voice,
+    language,
+    slow,
+  })
+
+  const recordHistory = async (entry) => {
     try {
-      const res = await fetch(`${backendBase}/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(makeGenPayload()),
-      })
-      const data = await res.json()
-      if (!res.ok) throw new Error(data?.detail || 'Generation failed')
-      setOutput(data.output)
-      setNotice('Done')
+      const { entry: saved, removed } = await addHistory(entry)
+      setHistory((prev) => [saved, ...prev.filter((e) => !removed.includes(e.id))])
     } catch (e) {
-      setNotice(`Generation failed: ${e.message}`)
-    } finally {
-      setBusy(false)
+      // Generation still succeeded; only the history entry is missing.
+      setNotice(t('notice.historyFailed', { error: errorText(e) }))
     }
   }
 
-  const generateFromSelected = async () => {
-    if (!selectedId) {
-      setNotice('Pick a saved corpus from your library first.')
+  // Puts a settings snapshot (from history or a permalink) back in the form.
+  const applyParams = (p) => {
+    setUnit(p.unit)
+    setOrder(p.order)
+    setLength(p.length)
+    setTemperature(p.temperature)
+    setSeed(p.seed || '')
+    if (p.randomSeed != null) setRandomSeed(p.randomSeed)
+    setGenre(p.genre)
+    setFlow(p.flow)
+    setBpm(p.bpm)
+    setMood(p.mood)
+    setRhymeScheme(p.rhymeScheme || 'free')
+    setVoice(p.voice)
+    setLanguage(p.language)
+    setSlow(!!p.slow)
+    const fromLibrary = p.sources.filter((src) => src.id)
+    if (fromLibrary.length) {
+      setSelection(fromLibrary.map((src) => ({ id: src.id, weight: Math.max(1, Math.round(src.weight * 100)) })))
+    } else if (p.sources[0]?.text) {
+      setText(p.sources[0].text)
+      if (p.corpusTitle) setTitle(p.corpusTitle)
+    }
+  }
+
+  const restoreHistory = ({ params }) => {
+    const checked = cleanSnapshot(params)
+    if (!checked) {
+      setNotice(t('notice.historyInvalid'))
       return
     }
-    setBusy(true)
+    applyParams(checked)
+    setNotice(t('notice.historyRestored'))
+  }
+
+  const copyLink = async () => {
+    let url
+    try {
+      url = await permalinkFor(outputParams)
+      await navigator.clipboard.writeText(url)
+      setNotice(t('link.copied'))
+    } catch (e) {
+      // Clipboard access can be refused (e.g. plain http); let the user copy by hand.
+      if (url) window.prompt(t('link.copyPrompt'), url)
+      else setNotice(t('link.createFailed', { error: errorText(e) }))
+    }
+  }
+
+  const rerunLink = () => {
+    const run = linkRestore === 'library' ? generateFromSelected : generateFromText
+    setLinkRestore(null)
+    run()
+  }
+
+  const toggleFavorite = async (entry) => {
+    try {
+      const updated = await updateHistory({ ...entry, favorite: !entry.favorite })
+      setHistory((prev) => prev.map((e) => (e.id === updated.id ? updated : e)))
+    } catch (e) {
+      setNotice(t('notice.historyFailed', { error: errorText(e) }))
+    }
+  }
+
+  const removeHistory = async (entry) => {
+    try {
+      await deleteHistory(entry.id)
+      setHistory((prev) => prev.filter((e) => e.id !== entry.id))
+    } catch (e) {
+      setNotice(t('notice.historyFailed', { error: errorText(e) }))
+    }
+  }
+
+  // Rough output size in characters, for streaming progress.
+  const expectedChars = (payload) => payload.length * ({ char: 1, word: 5, syllable: 3 }[payload.unit] || 1)
+
+  // Generates text for one request, streaming into the Output panel, and
+  // records it in history. Resolves to { output, engine }.
+  const generateText = async ({ payload, sources }, { signal, progress } = {}) => {
+    stopSpeaking()
+    setSpokenBy('')
     setAudioSrc('')
+    replaceTakes({ original: '', aligned: '', text: '' })
     setOutput('')
-    setNotice('Generating...')
+    setOutputSources(sources.map(({ title, weight }) => ({ title, weight })))
+    setOutputParams(null)
+    const { output, engine } = await requestGenerate(payload, sources, {
+      signal,
+      onChunk: (soFar) => {
+        setOutput(soFar)
+        progress?.(soFar.length / expectedChars(payload))
+      },
+    })
+    setOutput(output)
+    const params = snapshotParams(sources)
+    setOutputParams(params)
+    recordHistory({ output, engine, params })
+    return { output, engine }
+  }
+
+  // Builds the request for the Source Text, or explains why it cannot run.
+  const textRequest = () => {
+    if (!text?.trim() || !isLongEnough(text, unit, order)) {
+      setNotice(t('notice.needMoreText'))
+      return null
+    }
+    return { payload: makeGenPayload(), sources: [{ title: t('output.sourceText'), text, weight: 1 }] }
+  }
+
+  const selectedRequest = () => {
+    if (!selection.length) {
+      setNotice(t('notice.pickCorpus'))
+      return null
+    }
+    if (!selectionTotal) {
+      setNotice(t('notice.needWeight'))
+      return null
+    }
+    const sources = selection.map((s) => {
+      const corpus = library.find((c) => c.id === s.id)
+      return { id: s.id, title: corpus?.title || s.id, text: corpus?.text, weight: shareOf(s) }
+    })
+    const payload = makeGenPayload({
+      text: undefined,
+      corpus_id: selection[0].id,
+      corpora: sources.map((s) => ({ id: s.id, weight: Math.round(s.weight * 1000) / 1000 })),
+    })
+    return { payload, sources }
+  }
+
+  // Runs `job(signal)` with the UI locked and Cancel wired to its signal.
+  const withCancel = async (job) => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setGenerating(true)
+    setBusy(true)
     try {
-      const res = await fetch(`${backendBase}/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(makeGenPayload({ text: undefined, corpus_id: selectedId })),
-      })
-      const data = await res.json()
-      if (!res.ok) throw new Error(data?.detail || 'Generation failed')
-      setOutput(data.output)
-      setNotice('Done')
-    } catch (e) {
-      setNotice(`Generation failed: ${e.message}`)
+      await job(controller.signal)
     } finally {
+      abortRef.current = null
+      setGenerating(false)
       setBusy(false)
     }
   }
 
-  const ttsSpeak = async (txt) => {
-    if (!txt || !txt.trim()) {
-      setNotice('Nothing to speak. Generate text first.')
+  // Shared by both generate buttons: streams into the Output panel and can
+  // be stopped with Cancel, keeping whatever text arrived so far.
+  const runGeneration = async (buildRequest) => {
+    const request = buildRequest()
+    if (!request) return
+    setJob(null)
+    setNotice(t('notice.generating'))
+    await withCancel(async (signal) => {
+      try {
+        const { engine } = await generateText(request, { signal })
+        setNotice(doneNotice(engine))
+      } catch (e) {
+        setNotice(isAbort(e) ? t('notice.generationCancelled') : t('notice.generationFailed', { error: errorText(e) }))
+      }
+    })
+  }
+
+  const cancelGeneration = () => abortRef.current?.abort()
+
+  const generateFromText = () => runGeneration(textRequest)
+
+  const generateFromSelected = () => runGeneration(selectedRequest)
+
+  // Returns a clip to play: backend audio, or the text for the browser voice
+  // when that is preferred or /tts fails.
+  const synthesize = async (txt, { signal } = {}) => {
+    if (preferBrowserVoice && isSpeechAvailable()) return { engine: 'browser', text: txt }
+    try {
+      const { src } = await api.tts({ text: txt, voice, language, slow }, { signal })
+      return { engine: 'backend', src, text: txt }
+    } catch (e) {
+      if (isAbort(e) || !isSpeechAvailable()) throw e
+      return { engine: 'browser', text: txt, fallbackFrom: e.message }
+    }
+  }
+
+  // Sets the player source and resolves once playback has started. The
+  // effect below calls play() after the <audio> element has the new src.
+  const playAudio = (src, signal) =>
+    new Promise((resolve, reject) => {
+      signal?.addEventListener('abort', () => {
+        playRequest.current = null
+        audioRef.current?.pause()
+        reject(new DOMException('Playback cancelled', 'AbortError'))
+      }, { once: true })
+      if (audioRef.current && audioRef.current.src === src) {
+        audioRef.current.play().then(resolve, reject)
+        return
+      }
+      playRequest.current = { resolve, reject }
+      setAudioSrc(src)
+    })
+
+  useEffect(() => {
+    const request = playRequest.current
+    if (!audioSrc || !request || !audioRef.current) return
+    playRequest.current = null
+    audioRef.current.play().then(request.resolve, request.reject)
+  }, [audioSrc])
+
+  const replaceTakes = (next) => {
+    setTakes((prev) => {
+      if (prev.aligned && prev.aligned !== next.aligned) URL.revokeObjectURL(prev.aligned)
+      return next
+    })
+  }
+
+  // Stretches a backend clip onto the beat grid: one bar per spoken line.
+  const alignVocal = async (clip, { signal, progress } = {}) => {
+    if (clip.engine !== 'backend') return clip
+    const bars = clip.text.split('\n').filter((l) => l.trim()).length
+    const src = await alignClip(clip.src, { bpm, bars, signal, progress })
+    return { ...clip, src, original: clip.src, bpm }
+  }
+
+  const playClip = async (clip, signal) => {
+    if (clip.engine === 'backend') {
+      stopSpeaking()
+      setSpokenBy(t('output.backendVoice'))
+      replaceTakes({ original: clip.original || clip.src, aligned: clip.original ? clip.src : '', text: clip.text, bpm: clip.bpm })
+      await playAudio(clip.src, signal)
       return
     }
+    setAudioSrc('')
+    replaceTakes({ original: '', aligned: '', text: '' })
+    const used = await speak(clip.text, { language, voice, slow }, { signal })
+    setSpokenBy([t('output.browserVoice', { name: used.name || t('output.defaultVoice'), lang: used.lang }), clip.fallbackFrom && t('output.ttsUnavailable')].filter(Boolean).join(' · '))
+  }
+
+  // Resolves to false when the browser blocked autoplay of backend audio;
+  // the clip stays loaded in the player for the user to start.
+  const playIfAllowed = (clip, signal) =>
+    playClip(clip, signal).then(
+      () => true,
+      (e) => {
+        if (clip.engine === 'backend' && e?.name === 'NotAllowedError') return false
+        throw e
+      },
+    )
+
+  const alignCurrent = async () => {
     setBusy(true)
-    setNotice('Synthesizing voice...')
+    setNotice(t('notice.aligning'))
     try {
-      const res = await fetch(`${backendBase}/tts`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: txt, voice, language, slow }),
-      })
-      const data = await res.json()
-      if (!res.ok) throw new Error(data?.detail || 'TTS failed')
-      const src = `data:${data.mime_type};base64,${data.audio_base64}`
-      setAudioSrc(src)
-      setTimeout(() => {
-        try { audioRef.current?.play() } catch {}
-      }, 100)
-      setNotice('Ready to play')
+      const clip = await alignVocal({ engine: 'backend', src: takes.original, text: takes.text })
+      replaceTakes({ ...takes, aligned: clip.src, bpm })
+      await playAudio(clip.src).catch(() => {})
+      setNotice(t('notice.aligned', { bpm }))
     } catch (e) {
-      setNotice(`TTS failed: ${e.message}`)
+      setNotice(t('notice.alignFailed', { error: errorText(e) }))
     } finally {
       setBusy(false)
     }
   }
 
-  const generateAndSing = async () => {
-    await generateFromText()
-    // slight delay to ensure state updated
-    setTimeout(() => ttsSpeak(output || text), 200)
+  // A/B between the original and aligned takes, restarting playback.
+  const switchTake = (src) => {
+    if (src === audioSrc) return
+    const playing = audioRef.current && !audioRef.current.paused
+    if (playing) playAudio(src).catch(() => {})
+    else setAudioSrc(src)
+  }
+
+  // Runs under withCancel so Cancel can stop a slow synthesis or a browser
+  // voice that never starts.
+  const ttsSpeak = async (txt) => {
+    if (!txt || !txt.trim()) {
+      setNotice(t('notice.nothingToSpeak'))
+      return
+    }
+    setNotice(t('notice.synthesizing'))
+    await withCancel(async (signal) => {
+      try {
+        const clip = await synthesize(txt, { signal }).then((c) => (alignBeat ? alignVocal(c, { signal }) : c))
+        await playIfAllowed(clip, signal)
+        setNotice(clip.engine === 'backend' ? t('notice.readyToPlay') : t('notice.speakingBrowser'))
+      } catch (e) {
+        setNotice(isAbort(e) ? t('notice.speechCancelled') : t('notice.ttsFailed', { error: errorText(e) }))
+      }
+    })
+  }
+
+  // Generate, then synthesize, then play, each stage handing its result
+  // straight to the next. Progress per stage is shown in the Output panel.
+  const generateAndSing = async (buildRequest) => {
+    const request = buildRequest()
+    if (!request) return
+    setNotice(t('notice.singing'))
+    await withCancel(async (signal) => {
+      try {
+        const playing = await runPipeline(
+          [
+            { id: 'generate', label: t('stage.generate'), run: (req, ctx) => generateText(req, ctx) },
+            {
+              id: 'synthesize',
+              label: t('stage.synthesize'),
+              run: ({ output }, { signal: s }) => synthesize(layoutText(layoutLyrics(output, { bpm, flow })), { signal: s }),
+            },
+            ...(alignBeat ? [{ id: 'align', label: t('stage.align'), run: (clip, ctx) => alignVocal(clip, ctx) }] : []),
+            { id: 'play', label: t('stage.play'), run: (clip, { signal: s }) => playIfAllowed(clip, s) },
+          ],
+          { input: request, signal, onUpdate: setJob },
+        )
+        setNotice(playing ? t('notice.donePlaying') : t('notice.pressPlay'))
+      } catch (e) {
+        if (isAbort(e)) setNotice(t('notice.singCancelled'))
+        else if (e instanceof StageError) setNotice(t('notice.stageFailed', { stage: t(`stage.${e.stage}`), error: errorText(e.cause) }))
+        else setNotice(errorText(e))
+      }
+    })
   }
 
   return (
@@ -268,12 +735,20 @@ export default function App() {
         <div className="relative z-10 mx-auto max-w-7xl px-6 pt-10 pb-16">
           <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
             <div>
-              <h1 className="text-3xl md:text-5xl font-extrabold tracking-tight text-gray-900">Creative Music & Poetry Generator</h1>
-              <p className="mt-3 max-w-2xl text-gray-600">Craft text with a character-level n-gram model, then turn it into voice. Tune genre, flow, BPM, and mood.</p>
+              <h1 className="text-3xl md:text-5xl font-extrabold tracking-tight text-gray-900">{t('app.title')}</h1>
+              <p className="mt-3 max-w-2xl text-gray-600">{t('app.tagline')}</p>
             </div>
             <div className="flex items-center gap-3">
-              <a href="/test" className="text-sm text-blue-700 hover:underline">Connection Test</a>
-              <span className="hidden sm:inline text-sm text-gray-400">Backend: {backendBase}</span>
+              <a href="/test" className="text-sm text-blue-700 hover:underline">{t('app.connectionTest')}</a>
+              <LocaleSwitcher />
+              <button
+                type="button"
+                onClick={() => setSettingsOpen(true)}
+                title={profile.url}
+                className="rounded-md border border-gray-300 bg-white/70 px-3 py-1.5 text-sm text-gray-700 hover:bg-white"
+              >
+                {t('app.backend', { name: nameOf(profile) })} ⚙
+              </button>
             </div>
           </div>
         </div>
@@ -283,6 +758,13 @@ export default function App() {
         {notice && (
           <div className="mb-6 rounded-md border border-amber-300 bg-amber-50 p-3 text-amber-800 text-sm">{notice}</div>
         )}
+        {linkRestore && (
+          <div className="mb-6 flex items-center gap-3 rounded-md border border-blue-200 bg-blue-50 p-3 text-sm text-blue-900">
+            <span>{t('link.opened')}</span>
+            <Button onClick={rerunLink} disabled={busy}>{t('link.rerun')}</Button>
+            <Button variant="ghost" onClick={() => setLinkRestore(null)}>{t('common.dismiss')}</Button>
+          </div>
+        )}
 
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
           {/* Left: Input and params */}
@@ -290,165 +772,343 @@ export default function App() {
             <div className="rounded-xl border bg-white/80 backdrop-blur p-5 shadow-sm">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <Label>Corpus Title</Label>
-                  <TextInput value={title} onChange={setTitle} placeholder="e.g. Shakespeare Mix" />
+                  <Label>{t('form.corpusTitle')}</Label>
+                  <TextInput value={title} onChange={setTitle} placeholder={t('form.corpusTitlePlaceholder')} />
                 </div>
-                <div className="grid grid-cols-2 gap-4">
+                <div className="grid grid-cols-3 gap-4">
                   <div>
-                    <Label>Order</Label>
-                    <NumberInput value={order} onChange={setOrder} min={1} max={10} />
+                    <Label>{t('form.unit')}</Label>
+                    <Select value={unit} onChange={changeUnit} options={options(UNIT_OPTIONS, 'unit')} />
                   </div>
                   <div>
-                    <Label>Length</Label>
-                    <NumberInput value={length} onChange={setLength} min={50} max={2000} step={10} />
+                    <Label>{t('form.order')}</Label>
+                    <NumberInput value={order} onChange={setOrder} onBlur={fitToUnit} min={UNITS[unit].order.min} max={UNITS[unit].order.max} />
+                  </div>
+                  <div>
+                    <Label>{t('form.length')}</Label>
+                    <NumberInput value={length} onChange={setLength} onBlur={fitToUnit} min={UNITS[unit].length.min} max={UNITS[unit].length.max} step={UNITS[unit].length.step} />
                   </div>
                 </div>
+                <p className="md:col-start-2 -mt-2 text-xs text-gray-500">{t('form.unitHint', { units: t(`units.${unit}`) })}</p>
+              </div>
+
+              <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <Label>{t('form.corpusType')}</Label>
+                  <Select value={corpusType} onChange={setCorpusType} options={corpusTypes} />
+                </div>
+                <div>
+                  <Label>{t('form.tags')}</Label>
+                  <TextInput value={corpusTags} onChange={setCorpusTags} placeholder={t('form.tagsPlaceholder')} />
+                </div>
+                <div>
+                  <Label>{t('form.corpusLanguage')}</Label>
+                  <Select value={corpusLanguage} onChange={setCorpusLanguage} options={languages} />
+                </div>
               </div>
 
               <div className="mt-4">
-                <Label>Source Text</Label>
-                <TextArea value={text} onChange={setText} rows={10} placeholder="Paste text here" />
+                <Label>{t('form.sourceText')}</Label>
+                <TextArea value={text} onChange={setText} rows={10} placeholder={t('form.sourceTextPlaceholder')} />
+                <ImportPanel busy={busy} onLoad={loadImported} onSave={saveCorpus} />
               </div>
 
-              <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <PresetBar current={{ genre, flow, bpm, mood, voice, language, slow, order, temperature }} unit={unit} onApply={applyPreset} />
+
+              <div className="mt-4 grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4 items-end">
                 <div>
-                  <Label>Temperature</Label>
+                  <Label>{t('form.temperature')}</Label>
                   <input
                     type="range"
-                    min={0.2}
-                    max={2.5}
-                    step={0.05}
+                    min={TEMPERATURE_RANGE.min}
+                    max={TEMPERATURE_RANGE.max}
+                    step={TEMPERATURE_RANGE.step}
                     value={temperature}
                     onChange={(e) => setTemperature(Number(e.target.value))}
                     className="w-full"
                   />
-                  <div className="text-xs text-gray-600">{temperature.toFixed(2)}</div>
+                  <div className="text-xs text-gray-600">{formatNumber(temperature, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
                 </div>
                 <div>
-                  <Label>Seed (optional)</Label>
-                  <TextInput value={seed} onChange={setSeed} placeholder="Starting phrase" />
+                  <Label>{t('form.startingPhrase')}</Label>
+                  <TextInput value={seed} onChange={setSeed} placeholder={t('form.startingPhrasePlaceholder')} />
+                </div>
+                <div>
+                  <Label>{t('form.randomSeed')}</Label>
+                  <div className="flex gap-2">
+                    <NumberInput value={randomSeed} onChange={(v) => setRandomSeed(clampSeed(v))} min={0} max={MAX_SEED} />
+                    <button
+                      type="button"
+                      onClick={() => setRandomSeed(rollSeed())}
+                      title={t('form.newSeed')}
+                      className="rounded-md border border-gray-300 px-2 text-lg hover:bg-gray-100"
+                    >
+                      🎲
+                    </button>
+                  </div>
                 </div>
                 <div>
-                  <Label>Genre</Label>
-                  <Select value={genre} onChange={setGenre} options={[
-                    { value: 'pop', label: 'Pop' },
-                    { value: 'hiphop', label: 'Hip-hop' },
-                    { value: 'jazz', label: 'Jazz' },
-                    { value: 'rock', label: 'Rock' },
-                    { value: 'lofi', label: 'Lo-fi' },
-                  ]} />
+                  <Label>{t('form.genre')}</Label>
+                  <Select value={genre} onChange={setGenre} options={options(GENRE_OPTIONS, 'genre')} />
                 </div>
                 <div>
-                  <Label>Flow</Label>
-                  <Select value={flow} onChange={setFlow} options={[
-                    { value: 'smooth', label: 'Smooth' },
-                    { value: 'rapid', label: 'Rapid' },
-                    { value: 'story', label: 'Storytelling' },
-                    { value: 'punchy', label: 'Punchy' },
-                  ]} />
+                  <Label>{t('form.flow')}</Label>
+                  <Select value={flow} onChange={setFlow} options={options(FLOW_OPTIONS, 'flow')} />
+                </div>
+                <div>
+                  <Label>{t('form.rhymeScheme')}</Label>
+                  <Select value={rhymeScheme} onChange={setRhymeScheme} options={options(RHYME_OPTIONS, 'rhyme')} />
                 </div>
               </div>
 
               <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
                 <div>
-                  <Label>BPM</Label>
-                  <NumberInput value={bpm} onChange={setBpm} min={40} max={240} />
+                  <Label>{t('form.bpm')}</Label>
+                  <NumberInput value={bpm} onChange={setBpm} min={BPM_RANGE.min} max={BPM_RANGE.max} />
                 </div>
                 <div>
-                  <Label>Mood</Label>
-                  <Select value={mood} onChange={setMood} options={[
-                    { value: 'chill', label: 'Chill' },
-                    { value: 'happy', label: 'Happy' },
-                    { value: 'sad', label: 'Moody' },
-                    { value: 'epic', label: 'Epic' },
-                  ]} />
+                  <Label>{t('form.mood')}</Label>
+                  <Select value={mood} onChange={setMood} options={options(MOOD_OPTIONS, 'mood')} />
                 </div>
                 <div>
-                  <Label>Voice</Label>
-                  <Select value={voice} onChange={setVoice} options={[
-                    { value: 'female', label: 'Female' },
-                    { value: 'male', label: 'Male' },
-                  ]} />
+                  <Label>{t('form.voice')}</Label>
+                  <Select value={voice} onChange={setVoice} options={options(VOICE_OPTIONS, 'voice')} />
                 </div>
                 <div>
-                  <Label>Language</Label>
-                  <Select value={language} onChange={setLanguage} options={[
-                    { value: 'en', label: 'English' },
-                    { value: 'en-uk', label: 'English (UK)' },
-                    { value: 'en-au', label: 'English (AU)' },
-                    { value: 'hi', label: 'Hindi' },
-                    { value: 'es', label: 'Spanish' },
-                    { value: 'fr', label: 'French' },
-                    { value: 'de', label: 'German' },
-                    { value: 'ja', label: 'Japanese' },
-                  ]} />
+                  <Label>{t('form.language')}</Label>
+                  <Select value={language} onChange={setLanguage} options={languages} />
                 </div>
               </div>
 
               <div className="mt-3 flex items-center gap-3">
                 <input id="slow" type="checkbox" checked={slow} onChange={(e) => setSlow(e.target.checked)} />
-                <label htmlFor="slow" className="text-sm text-gray-700">Slow voice</label>
+                <label htmlFor="slow" className="text-sm text-gray-700">{t('form.slow')}</label>
+                <input id="local-engine" type="checkbox" checked={useLocal} onChange={(e) => setUseLocal(e.target.checked)} className="ml-4" />
+                <label htmlFor="local-engine" className="text-sm text-gray-700">{t('form.localEngine')}</label>
+                <input id="browser-voice" type="checkbox" checked={preferBrowserVoice} onChange={(e) => setPreferBrowserVoice(e.target.checked)} className="ml-4" />
+                <label htmlFor="browser-voice" className="text-sm text-gray-700">{t('form.preferBrowserVoice')}</label>
+                <input id="align-beat" type="checkbox" checked={alignBeat} onChange={(e) => setAlignBeat(e.target.checked)} className="ml-4" />
+                <label htmlFor="align-beat" className="text-sm text-gray-700">{t('form.alignBeat')}</label>
               </div>
 
               <div className="flex flex-wrap gap-3 pt-5">
-                <Button onClick={generateFromText} disabled={busy}>Generate from Text</Button>
-                <Button onClick={saveCorpus} disabled={busy} variant="secondary">Save to Library</Button>
-                <Button onClick={generateAndSing} disabled={busy} variant="success">Generate & Sing</Button>
+                <Button onClick={generateFromText} disabled={busy}>{t('form.generateFromText')}</Button>
+                <Button onClick={() => saveCorpus()} disabled={busy} variant="secondary">{t('form.saveToLibrary')}</Button>
+                <Button onClick={() => generateAndSing(textRequest)} disabled={busy} variant="success">{t('form.generateAndSing')}</Button>
               </div>
             </div>
 
             <section className="rounded-xl border bg-white/80 backdrop-blur p-5 shadow-sm">
-              <h3 className="text-lg font-semibold text-gray-800 mb-3">Output</h3>
-              <pre className="whitespace-pre-wrap rounded-lg border bg-white p-4 text-sm text-gray-900 min-h-[160px]">{output || 'No output yet.'}</pre>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">{t('output.title')}</h3>
+                <div className="flex items-center gap-2">
+                  {outputParams && !generating && <Button onClick={copyLink} variant="ghost">{t('output.copyLink')}</Button>}
+                  {generating && <Button onClick={cancelGeneration} variant="ghost">{t('common.cancel')}</Button>}
+                </div>
+              </div>
+              {job && <JobProgress stages={job} />}
+              {output && outputSources.length > 0 && (
+                <p className="mb-2 text-xs text-gray-600">
+                  {t('output.from', { sources: outputSources.map((src) => (outputSources.length > 1 ? `${src.title} ${percent(src.weight)}` : src.title)).join(' · ') })}
+                  {outputParams?.randomSeed != null && <> · {t('output.seed')} <span className="font-mono">{outputParams.randomSeed}</span></>}
+                </p>
+              )}
+              {karaoke && audioSrc ? (
+                <KaraokeView layout={layout} audioRef={audioRef} audioSrc={audioSrc} />
+              ) : (
+                <LyricOutput text={output} layout={layout} />
+              )}
               <div className="mt-4 flex flex-wrap gap-3 items-center">
-                <Button onClick={() => ttsSpeak(output)} disabled={busy || !output}>Speak Output</Button>
+                <Button onClick={() => ttsSpeak(layoutText(layout))} disabled={busy || !output}>{t('output.speak')}</Button>
+                <ExportMenu
+                  title={title}
+                  text={output}
+                  settings={outputParams}
+                  layout={layout}
+                  disabled={busy || !output}
+                />
                 {audioSrc && (
                   <>
                     <audio ref={audioRef} controls src={audioSrc} className="h-10" />
-                    <a download="song.mp3" href={audioSrc} className="text-sm text-blue-700 hover:underline">Download audio</a>
+                    <a
+                      download={audioSrc === takes.aligned ? `${slugify(title)}-aligned-${takes.bpm}bpm.wav` : `${slugify(title)}.${audioExtension(audioSrc)}`}
+                      href={audioSrc}
+                      className="text-sm text-blue-700 hover:underline"
+                    >
+                      {t('output.downloadAudio')}
+                    </a>
                   </>
                 )}
+                {takes.aligned ? (
+                  <div className="inline-flex rounded-md border border-gray-300 text-sm">
+                    {[['original', takes.original], ['aligned', takes.aligned]].map(([take, src]) => (
+                      <button
+                        key={take}
+                        type="button"
+                        onClick={() => switchTake(src)}
+                        className={`px-3 py-1.5 ${audioSrc === src ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+                      >
+                        {t(`output.${take}`)}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  takes.original && <Button variant="ghost" onClick={alignCurrent} disabled={busy}>{t('output.alignToBeat')}</Button>
+                )}
+                {audioSrc && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={karaoke} onChange={(e) => setKaraoke(e.target.checked)} />
+                    {t('output.karaoke')}
+                  </label>
+                )}
+                {spokenBy && <span className="text-xs text-gray-500">{t('output.spokenBy', { voice: spokenBy })}</span>}
               </div>
+              {output && (
+                <BackingTrackPanel
+                  title={title}
+                  style={{ genre, mood, bpm }}
+                  vocalSrc={audioSrc}
+                  bars={layout.stanzas.reduce((n, s) => n + s.length, 0)}
+                  disabled={busy}
+                />
+              )}
             </section>
+
+            <HistoryPanel
+              entries={history}
+              onToggleFavorite={toggleFavorite}
+              onRestore={restoreHistory}
+              onDelete={removeHistory}
+            />
           </section>
 
           {/* Right: Library */}
           <aside className="xl:col-span-1">
             <div className="rounded-xl border bg-white/80 backdrop-blur p-4 shadow-sm sticky top-6">
               <div className="flex items-center justify-between mb-3">
-                <h3 className="text-base font-semibold text-gray-800">Library</h3>
-                <Button variant="ghost" onClick={loadLibrary} disabled={busy}>Refresh</Button>
+                <h3 className="text-base font-semibold text-gray-800">
+                  {t('library.title')}
+                  {outbox.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => syncOutbox({ retryRejected: true })}
+                      title={t('library.pendingHint')}
+                      className="ml-2 rounded-full bg-amber-100 px-2 py-0.5 align-middle text-xs font-semibold text-amber-800 hover:bg-amber-200"
+                    >
+                      {t('library.pending', { count: outbox.length })}
+                    </button>
+                  )}
+                </h3>
+                <Button variant="ghost" onClick={() => loadLibrary().then((online) => { if (online) syncOutbox() })} disabled={busy}>{t('common.refresh')}</Button>
+              </div>
+              {mirroredAt && (
+                <p className="mb-3 text-xs text-amber-700">{t('library.offlineCopy', { date: formatDate(mirroredAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</p>
+              )}
+              {outbox.length > 0 && (
+                <ul className="mb-3 space-y-1 rounded-md border border-amber-200 bg-amber-50 p-2 text-xs text-amber-900">
+                  {outbox.map((item) => (
+                    <li key={item.id} className="flex items-start gap-2">
+                      <span className="flex-1">
+                        {item.corpus.title} <span className="text-amber-700">· {t('library.queued', { time: formatDate(item.queuedAt, { timeStyle: 'short' }) })}</span>
+                        {item.lastError && <span className="block text-red-700">{t('library.rejected', { error: item.lastError })}</span>}
+                      </span>
+                      <button type="button" onClick={() => discardPending(item.id)} className="text-amber-800 hover:underline">{t('common.discard')}</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="mb-3 space-y-2">
+                <TextInput value={libraryQuery} onChange={setLibraryQuery} placeholder={t('library.search')} />
+                <div className="grid grid-cols-2 gap-2">
+                  <Select value={libraryFilters.type} onChange={setLibraryFilter('type')} options={[{ value: '', label: t('library.allTypes') }, ...corpusTypes]} />
+                  <Select value={libraryFilters.language} onChange={setLibraryFilter('language')} options={[{ value: '', label: t('library.allLanguages') }, ...languages]} />
+                  <Select value={libraryFilters.tag} onChange={setLibraryFilter('tag')} options={[{ value: '', label: t('library.allTags') }, ...libraryTags.map((tag) => ({ value: tag, label: `#${tag}` }))]} />
+                  <Select value={librarySort} onChange={setLibrarySort} options={options(SORT_OPTIONS, 'sort')} />
+                </div>
               </div>
               {library.length === 0 ? (
-                <p className="text-sm text-gray-600">No saved corpora yet.</p>
+                <p className="text-sm text-gray-600">{t('library.empty')}</p>
+              ) : visibleLibrary.length === 0 ? (
+                <p className="text-sm text-gray-600">{t('library.noMatch')}</p>
               ) : (
                 <ul className="space-y-2 max-h-[460px] overflow-auto pr-1">
-                  {library.map((c) => (
-                    <li key={c.id}>
-                      <button
-                        onClick={() => setSelectedId(c.id)}
-                        className={`w-full text-left rounded-md border px-3 py-2 text-sm transition-colors ${selectedId === c.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
-                      >
-                        <div className="font-medium text-gray-800">{c.title}</div>
-                        <div className="text-xs text-gray-500">{c.id}</div>
-                      </button>
-                    </li>
-                  ))}
+                  {visibleLibrary.map((c) => {
+                    const picked = selection.find((s) => s.id === c.id)
+                    return (
+                      <li key={c.id}>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => toggleSelected(c.id)}
+                            className={`flex-1 min-w-0 text-left rounded-md border px-3 py-2 text-sm transition-colors ${picked ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                          >
+                            <div className="font-medium text-gray-800">{c.title}</div>
+                            <div className="text-xs text-gray-500 truncate">
+                              {[
+                                labelOf(corpusTypes, c.type),
+                                c.language && labelOf(languages, c.language),
+                                t('library.words', { count: c.word_count }),
+                                t('library.chars', { count: c.char_count }),
+                                c.created_at && formatDate(c.created_at),
+                              ].filter(Boolean).join(' · ')}
+                            </div>
+                            {c.tags.length > 0 && (
+                              <div className="mt-1 flex flex-wrap gap-1">
+                                {c.tags.map((tag) => <span key={tag} className="rounded bg-gray-100 px-1.5 py-0.5 text-[11px] text-gray-600">#{tag}</span>)}
+                              </div>
+                            )}
+                          </button>
+                          <button
+                            onClick={() => setViewing(c)}
+                            className="shrink-0 rounded-md border border-gray-200 px-2 text-xs text-blue-700 hover:bg-gray-50"
+                          >
+                            {t('common.view')}
+                          </button>
+                        </div>
+                        {picked && (
+                          <div className="mt-1 flex items-center gap-2 px-1">
+                            <input
+                              type="range"
+                              min={0}
+                              max={100}
+                              value={picked.weight}
+                              onChange={(e) => setWeight(c.id, Number(e.target.value))}
+                              className="flex-1"
+                              aria-label={t('library.blendWeight', { title: c.title })}
+                            />
+                            <span className="w-12 text-right text-xs text-gray-600">{percent(shareOf(picked))}</span>
+                          </div>
+                        )}
+                      </li>
+                    )
+                  })}
                 </ul>
               )}
               <div className="mt-4 flex flex-col gap-2">
-                <Button onClick={generateFromSelected} disabled={busy || !selectedId}>Generate from Selected</Button>
-                <Button onClick={() => generateFromSelected().then(() => ttsSpeak(output))} disabled={busy || !selectedId} variant="success">Generate & Sing from Selected</Button>
+                {selection.length > 1 && (
+                  <p className="text-xs text-gray-600">{t('library.blending', { count: selection.length })}</p>
+                )}
+                <Button onClick={generateFromSelected} disabled={busy || !selection.length}>{t('library.generate')}</Button>
+                <Button onClick={() => generateAndSing(selectedRequest)} disabled={busy || !selection.length} variant="success">{t('library.generateAndSing')}</Button>
               </div>
             </div>
           </aside>
         </div>
       </main>
 
+      <BackendSettings open={settingsOpen} onOpenChange={setSettingsOpen} state={profiles} onChange={changeProfiles} />
+
+      <CorpusDrawer
+        api={api}
+        corpus={viewing}
+        onClose={() => setViewing(null)}
+        onSaved={onCorpusSaved}
+        onDeleted={onCorpusDeleted}
+      />
+
       <footer className="border-t bg-white/60 backdrop-blur">
         <div className="mx-auto max-w-7xl px-6 py-6 text-xs text-gray-600 flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
-          <span>Built with a character-level n-gram model + gTTS voice</span>
-          <a href="/test" className="text-blue-700 hover:underline">Run connection test</a>
+          <span>{t('app.footer')}</span>
+          <a href="/test" className="text-blue-700 hover:underline">{t('app.runConnectionTest')}</a>
         </div>
       </footer>
     </div>
@@ -1,122 +1,120 @@
-import { useState, useEffect } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createApiClient } from './lib/api'
+import { CHECKS, buildReport, runDiagnostics } from './lib/diagnostics'
+import { downloadFile } from './lib/exporters'
+import { activeProfile, clientOptions, loadProfiles } from './lib/profiles'
+import { LocaleSwitcher, useI18n } from './components/I18n'
+
+function StatusBadge({ result }) {
+  const { t } = useI18n()
+  if (!result) return <span className="rounded bg-gray-100 px-2 py-0.5 text-xs text-gray-500">{t('test.waiting')}</span>
+  if (result.ok) return <span className="rounded bg-emerald-100 px-2 py-0.5 text-xs font-semibold text-emerald-800">{t('test.pass')}</span>
+  const cls = result.failure === 'cors' ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-800'
+  return <span className={`rounded px-2 py-0.5 text-xs font-semibold ${cls}`}>{t(`test.failure.${result.failure}`)}</span>
+}
 
 function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
+  const { t, nameOf, formatNumber } = useI18n()
+  // Tests whichever backend profile is active in the main app.
+  const profile = useMemo(() => activeProfile(loadProfiles()), [])
+  const api = useMemo(() => createApiClient({ ...clientOptions(profile), retries: 0 }), [profile])
+  const [results, setResults] = useState([])
+  const [running, setRunning] = useState(false)
+  // Only the latest run may update the page (StrictMode mounts twice).
+  const runId = useRef(0)
 
   useEffect(() => {
-    checkBackendConnection()
+    runAll()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
-      }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
-    }
+  const runAll = async () => {
+    const id = ++runId.current
+    setRunning(true)
+    setResults([])
+    await runDiagnostics(api, { onResult: (_, soFar) => { if (id === runId.current) setResults(soFar) } })
+    if (id === runId.current) setRunning(false)
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
-    try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
-    }
+  const exportReport = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    downloadFile(`diagnostics-${stamp}.json`, JSON.stringify(buildReport(api.baseUrl, results, profile.name), null, 2), 'application/json')
   }
 
+  const byId = Object.fromEntries(results.map((r) => [r.id, r]))
+  const passed = results.filter((r) => r.ok).length
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
+      <div className="bg-white p-8 rounded-lg shadow-lg max-w-3xl w-full">
+        <div className="mb-2 flex justify-end">
+          <LocaleSwitcher />
+        </div>
+        <h1 className="text-3xl font-bold text-gray-800 mb-2 text-center">
+          {t('test.title')}
         </h1>
+        <p className="mb-6 text-center text-sm text-gray-600">
+          {t('test.intro', { name: nameOf(profile) })}{' '}
+          <span className="font-mono break-all">{api.baseUrl}</span>
+          {profile.authorization && ` ${t('test.withAuth')}`}
+        </p>
 
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
-          </div>
+        <div className="space-y-3">
+          {CHECKS.map((check) => {
+            const r = byId[check.id]
+            return (
+              <div key={check.id} className="rounded border border-gray-200 p-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <StatusBadge result={r} />
+                  <span className="font-semibold text-gray-800">{t(`test.check.${check.id}`)}</span>
+                  <span className="font-mono text-xs text-gray-500">{check.method} {check.path}</span>
+                  <span className="ml-auto font-mono text-xs text-gray-600">
+                    {r ? `${r.status ?? '—'} · ${formatNumber(r.latencyMs)} ms` : running ? t('test.running') : ''}
+                  </span>
+                </div>
+                {r?.message && (
+                  <p className={`mt-2 text-sm ${r.ok ? 'text-gray-600' : 'text-red-700'}`}>{t(r.message.key, r.message.vars)}</p>
+                )}
+                {r?.details?.length > 0 && (
+                  <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm">
+                    {r.details.map(({ field, value }) => (
+                      <div key={field} className="contents">
+                        <dt className="font-semibold text-gray-700">{t(`test.detail.${field}`)}</dt>
+                        <dd className="font-mono break-all text-gray-600">{value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+                {r?.audioSrc && <audio controls src={r.audioSrc} className="mt-2 h-10 w-full" />}
+              </div>
+            )
+          })}
+        </div>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
-          </div>
+        {!running && results.length > 0 && (
+          <p className="mt-4 text-center text-sm text-gray-700">{t('test.summary', { passed, total: results.length })}</p>
+        )}
 
+        <div className="mt-6 grid grid-cols-1 sm:grid-cols-3 gap-3">
           <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
+            onClick={runAll}
+            disabled={running}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-60 text-white font-semibold py-2 px-4 rounded transition-colors"
           >
-            Test Again
+            {running ? t('test.runningButton') : t('test.runAgain')}
+          </button>
+          <button
+            onClick={exportReport}
+            disabled={running || !results.length}
+            className="bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-60 text-gray-800 font-semibold py-2 px-4 rounded transition-colors"
+          >
+            {t('test.export')}
           </button>
-
           <a
             href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
+            className="block bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
           >
-            Back to Home
+            {t('test.backHome')}
           </a>
         </div>
       </div>
@@ -124,4 +122,4 @@ function Test() {
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { createProfile, updateProfile, validateProfile } from '../lib/profiles'
+import { useI18n } from './I18n'
+import { Button, Label, TextInput } from './ui'
+
+const EMPTY = { name: '', url: '', authorization: '' }
+
+// Backend profiles dialog. `state` is { profiles, activeId } (see
+// lib/profiles); every change, including switching, goes to `onChange`.
+export default function BackendSettings({ open, onOpenChange, state, onChange }) {
+  const { t, nameOf } = useI18n()
+  // null: no form; 'new' or a profile id being edited.
+  const [editing, setEditing] = useState(null)
+  const [form, setForm] = useState(EMPTY)
+  const [error, setError] = useState('')
+
+  const field = (key) => (value) => setForm((f) => ({ ...f, [key]: value }))
+
+  const startEdit = (profile) => {
+    setEditing(profile ? profile.id : 'new')
+    setForm(profile ? { name: profile.name, url: profile.url, authorization: profile.authorization } : EMPTY)
+    setError('')
+  }
+
+  const submit = () => {
+    const problem = validateProfile(form)
+    if (problem) {
+      setError(t(problem))
+      return
+    }
+    if (editing === 'new') {
+      const profile = createProfile(form)
+      onChange({ profiles: [...state.profiles, profile], activeId: profile.id })
+    } else {
+      onChange({ ...state, profiles: state.profiles.map((p) => (p.id === editing ? updateProfile(p, form) : p)) })
+    }
+    setEditing(null)
+  }
+
+  const remove = (id) => {
+    // A form left open for the deleted profile would save into nothing.
+    if (editing === id) setEditing(null)
+    onChange({
+      profiles: state.profiles.filter((p) => p.id !== id),
+      activeId: state.activeId === id ? state.profiles[0].id : state.activeId,
+    })
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={(next) => { setEditing(null); onOpenChange(next) }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 z-50 max-h-[85vh] w-[95vw] max-w-xl -translate-x-1/2 -translate-y-1/2 overflow-auto rounded-xl bg-white p-6 shadow-xl focus:outline-none">
+          <div className="mb-4 flex items-start justify-between gap-4">
+            <div>
+              <Dialog.Title className="text-lg font-semibold text-gray-900">{t('backend.title')}</Dialog.Title>
+              <Dialog.Description className="text-xs text-gray-500">{t('backend.intro')}</Dialog.Description>
+            </div>
+            <Dialog.Close className="rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100">{t('common.close')}</Dialog.Close>
+          </div>
+
+          <ul className="space-y-2">
+            {state.profiles.map((p) => (
+              <li key={p.id} className={`flex items-center gap-3 rounded-md border px-3 py-2 ${p.id === state.activeId ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}>
+                <input
+                  type="radio"
+                  name="backend-profile"
+                  checked={p.id === state.activeId}
+                  onChange={() => onChange({ ...state, activeId: p.id })}
+                  aria-label={t('backend.use', { name: nameOf(p) })}
+                />
+                <div className="min-w-0 flex-1">
+                  <div className="text-sm font-medium text-gray-800">
+                    {nameOf(p)}
+                    {p.authorization && <span className="ml-2 text-xs font-normal text-gray-500">{t('backend.withAuth')}</span>}
+                  </div>
+                  <div className="truncate font-mono text-xs text-gray-500">{p.url}</div>
+                </div>
+                {!p.builtin && (
+                  <>
+                    <button type="button" onClick={() => startEdit(p)} className="text-xs text-blue-700 hover:underline">{t('common.edit')}</button>
+                    <button type="button" onClick={() => remove(p.id)} className="text-xs text-red-700 hover:underline">{t('common.delete')}</button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {editing ? (
+            <div className="mt-4 space-y-3 rounded-md border border-gray-200 p-3">
+              <div>
+                <Label>{t('backend.name')}</Label>
+                <TextInput value={form.name} onChange={field('name')} placeholder={t('backend.namePlaceholder')} />
+              </div>
+              <div>
+                <Label>{t('backend.url')}</Label>
+                <TextInput value={form.url} onChange={field('url')} placeholder="https://api.example.com" />
+              </div>
+              <div>
+                <Label>{t('backend.authorization')}</Label>
+                <TextInput value={form.authorization} onChange={field('authorization')} placeholder="Bearer …" />
+              </div>
+              {error && <p className="text-xs text-red-700">{error}</p>}
+              <div className="flex gap-3">
+                <Button onClick={submit}>{editing === 'new' ? t('backend.addAndUse') : t('backend.save')}</Button>
+                <Button variant="ghost" onClick={() => setEditing(null)}>{t('common.cancel')}</Button>
+              </div>
+            </div>
+          ) : (
+            <div className="mt-4">
+              <Button variant="secondary" onClick={() => startEdit(null)}>{t('backend.add')}</Button>
+            </div>
+          )}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from 'react'
+import { decodeClip, mixBars, renderMix, scheduleMix } from '../lib/backing'
+import { downloadFile, slugify } from '../lib/exporters'
+import { useI18n } from './I18n'
+import { Button } from './ui'
+
+function Volume({ label, value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-700">
+      {label}
+      <input type="range" min={0} max={1} step={0.05} value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-28" />
+      <span className="w-8 text-xs text-gray-500">{Math.round(value * 100)}%</span>
+    </label>
+  )
+}
+
+// Procedural backing track under the spoken vocal. `style` is
+// {genre, mood, bpm}; `vocalSrc` the TTS clip, if any; `bars` the lyric
+// length in bars, used when there is no vocal to measure.
+export default function BackingTrackPanel({ title, style, vocalSrc, bars, disabled }) {
+  const { t, errorText } = useI18n()
+  const [backingVolume, setBackingVolume] = useState(0.5)
+  const [vocalVolume, setVocalVolume] = useState(1)
+  const [playing, setPlaying] = useState(false)
+  const [rendering, setRendering] = useState(false)
+  const [error, setError] = useState('')
+  const live = useRef(null)
+
+  const stop = () => {
+    const cur = live.current
+    live.current = null
+    if (cur) {
+      clearTimeout(cur.timer)
+      cur.ctx.close().catch(() => {})
+    }
+    setPlaying(false)
+  }
+
+  useEffect(() => stop, [])
+  // Settings changed under a running preview: it no longer matches, stop it.
+  useEffect(() => { stop() }, [style.genre, style.mood, style.bpm, vocalSrc])
+
+  useEffect(() => {
+    if (live.current) live.current.gains.backingGain.gain.value = backingVolume
+  }, [backingVolume])
+  useEffect(() => {
+    if (live.current) live.current.gains.vocalGain.gain.value = vocalVolume
+  }, [vocalVolume])
+
+  const play = async () => {
+    stop()
+    setError('')
+    let cur = null
+    try {
+      // Throws where Web Audio is missing or the browser refuses a context.
+      const ctx = new AudioContext()
+      cur = { ctx, timer: 0, gains: null }
+      live.current = cur
+      setPlaying(true)
+      const vocal = vocalSrc ? await decodeClip(ctx, vocalSrc) : null
+      if (live.current !== cur) return
+      const gains = scheduleMix(ctx, {
+        style,
+        vocal,
+        backingVolume,
+        vocalVolume,
+        bars: mixBars(style.bpm, vocal ? vocal.duration : 0, bars),
+        when: ctx.currentTime + 0.1,
+      })
+      cur.gains = gains
+      cur.timer = setTimeout(() => { if (live.current === cur) stop() }, (gains.seconds + 0.6) * 1000)
+    } catch (e) {
+      if (live.current === cur) stop()
+      setError(t('backing.failed', { error: errorText(e) }))
+    }
+  }
+
+  const download = async () => {
+    setRendering(true)
+    setError('')
+    try {
+      const wav = await renderMix({ style, vocalSrc, backingVolume, vocalVolume, fallbackBars: bars })
+      downloadFile(`${slugify(title)}-mix.wav`, new Blob([wav], { type: 'audio/wav' }))
+    } catch (e) {
+      setError(t('backing.exportFailed', { error: errorText(e) }))
+    } finally {
+      setRendering(false)
+    }
+  }
+
+  return (
+    <div className="mt-4 rounded-lg border bg-white/60 p-3">
+      <div className="flex flex-wrap items-center gap-4">
+        <span className="text-sm font-semibold text-gray-800">{t('backing.title')}</span>
+        <Volume label={t('backing.backing')} value={backingVolume} onChange={setBackingVolume} />
+        <Volume label={t('backing.vocal')} value={vocalVolume} onChange={setVocalVolume} />
+        {playing
+          ? <Button variant="secondary" onClick={stop}>{t('backing.stop')}</Button>
+          : <Button variant="secondary" onClick={play} disabled={disabled}>{t('backing.play')}</Button>}
+        <Button variant="ghost" onClick={download} disabled={disabled || rendering}>{rendering ? t('backing.rendering') : t('backing.download')}</Button>
+      </div>
+      {!vocalSrc && <p className="mt-2 text-xs text-gray-500">{t('backing.noVocal')}</p>}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { CORPUS_TYPES, LANGUAGES, formatTags, labelOf } from '../lib/corpusMeta'
+import { useI18n } from './I18n'
+import { Button, Label, Select, TextArea, TextInput } from './ui'
+
+const formOf = (c) => ({ title: c.title, text: c.text, meta: { type: c.type, tags: formatTags(c.tags), language: c.language } })
+
+// Side drawer for one library corpus: shows its full text and lets the user
+// rename it, edit the text and metadata, or delete it after a confirmation
+// step.
+export default function CorpusDrawer({ api, corpus, onClose, onSaved, onDeleted }) {
+  const { t, options, errorText, formatDate } = useI18n()
+  const corpusTypes = options(CORPUS_TYPES, 'corpusType')
+  const languages = options(LANGUAGES, 'language')
+  const [detail, setDetail] = useState(null)
+  const [title, setTitle] = useState('')
+  const [text, setText] = useState('')
+  const [meta, setMeta] = useState({ type: 'generic', tags: '', language: '' })
+  const [editing, setEditing] = useState(false)
+  const [confirming, setConfirming] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!corpus) return
+    let cancelled = false
+    const shown = formOf(corpus)
+    setDetail(corpus)
+    setTitle(shown.title)
+    setText(shown.text)
+    setMeta(shown.meta)
+    setEditing(false)
+    setConfirming(false)
+    setError('')
+    // List entries may carry only a preview, so load the full record. The
+    // user may have started editing meanwhile: fields they changed keep
+    // their edits, the rest take the loaded values.
+    api.getCorpus(corpus.id).then((full) => {
+      if (cancelled) return
+      const loaded = formOf(full)
+      const keep = (prev, was, now) => (prev === was ? now : prev)
+      setDetail(full)
+      setTitle((prev) => keep(prev, shown.title, loaded.title))
+      setText((prev) => keep(prev, shown.text, loaded.text))
+      setMeta((prev) => ({
+        type: keep(prev.type, shown.meta.type, loaded.meta.type),
+        tags: keep(prev.tags, shown.meta.tags, loaded.meta.tags),
+        language: keep(prev.language, shown.meta.language, loaded.meta.language),
+      }))
+    }).catch(() => {})
+    return () => { cancelled = true }
+  }, [api, corpus])
+
+  const save = async () => {
+    if (!text.trim()) {
+      setError(t('corpus.emptyText'))
+      return
+    }
+    setBusy(true)
+    setError('')
+    try {
+      const updated = await api.updateCorpus(detail.id, { title, text, ...meta })
+      setDetail(updated)
+      setEditing(false)
+      onSaved(updated)
+    } catch (e) {
+      setError(t('notice.saveFailed', { error: errorText(e) }))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const remove = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      await api.deleteCorpus(detail.id)
+      onDeleted(detail.id)
+    } catch (e) {
+      setError(t('corpus.deleteFailed', { error: errorText(e) }))
+      setConfirming(false)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Dialog.Root open={!!corpus} onOpenChange={(open) => !open && onClose()}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed right-0 top-0 z-50 flex h-full w-full max-w-xl flex-col gap-4 overflow-y-auto bg-white p-6 shadow-xl focus:outline-none">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <Dialog.Title className="text-lg font-semibold text-gray-900">{detail?.title}</Dialog.Title>
+              <Dialog.Description className="text-xs text-gray-500">
+                {detail && [
+                  labelOf(corpusTypes, detail.type),
+                  detail.language && labelOf(languages, detail.language),
+                  t('library.words', { count: detail.word_count }),
+                  t('library.chars', { count: detail.char_count }),
+                  detail.created_at && t('corpus.added', { date: formatDate(detail.created_at, { dateStyle: 'medium', timeStyle: 'short' }) }),
+                ].filter(Boolean).join(' · ')}
+                {detail?.tags.length > 0 && <span className="block">{detail.tags.map((t) => `#${t}`).join(' ')}</span>}
+              </Dialog.Description>
+            </div>
+            <Dialog.Close className="rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100">{t('common.close')}</Dialog.Close>
+          </div>
+
+          {error && <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-800">{error}</div>}
+
+          {editing ? (
+            <>
+              <div>
+                <Label>{t('corpus.title')}</Label>
+                <TextInput value={title} onChange={setTitle} placeholder={t('common.untitled')} />
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <Label>{t('corpus.type')}</Label>
+                  <Select value={meta.type} onChange={(type) => setMeta((m) => ({ ...m, type }))} options={corpusTypes} />
+                </div>
+                <div>
+                  <Label>{t('form.tags')}</Label>
+                  <TextInput value={meta.tags} onChange={(tags) => setMeta((m) => ({ ...m, tags }))} placeholder={t('corpus.tagsPlaceholder')} />
+                </div>
+                <div>
+                  <Label>{t('form.language')}</Label>
+                  <Select value={meta.language} onChange={(language) => setMeta((m) => ({ ...m, language }))} options={[{ value: '', label: t('corpus.unspecified') }, ...languages]} />
+                </div>
+              </div>
+              <div>
+                <Label>{t('corpus.text')}</Label>
+                <TextArea value={text} onChange={setText} rows={18} />
+              </div>
+              <div className="flex gap-3">
+                <Button onClick={save} disabled={busy}>{t('corpus.saveChanges')}</Button>
+                <Button variant="ghost" onClick={() => { setEditing(false); setTitle(detail.title); setText(detail.text); setMeta({ type: detail.type, tags: formatTags(detail.tags), language: detail.language }) }} disabled={busy}>{t('common.discard')}</Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <pre className="flex-1 whitespace-pre-wrap rounded-lg border bg-gray-50 p-4 text-sm text-gray-900">{detail?.text}</pre>
+              {confirming ? (
+                <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+                  <p className="mb-3">{t('corpus.confirmDelete', { title: detail?.title })}</p>
+                  <div className="flex gap-3">
+                    <Button variant="danger" onClick={remove} disabled={busy}>{t('common.delete')}</Button>
+                    <Button variant="ghost" onClick={() => setConfirming(false)} disabled={busy}>{t('corpus.keep')}</Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex gap-3">
+                  <Button onClick={() => setEditing(true)} disabled={!detail}>{t('corpus.edit')}</Button>
+                  <Button variant="danger" onClick={() => setConfirming(true)} disabled={!detail}>{t('corpus.delete')}</Button>
+                </div>
+              )}
+            </>
+          )}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
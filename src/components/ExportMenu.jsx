@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu'
+import { downloadFile, slugify, toJson, toLrc, toMarkdown, toPlainText } from '../lib/exporters'
+import { useI18n } from './I18n'
+import LyricSheet from './LyricSheet'
+
+const itemClass = 'cursor-pointer rounded px-3 py-2 text-sm text-gray-800 outline-none data-[highlighted]:bg-blue-50 data-[disabled]:opacity-50'
+
+// Export menu for the Output panel. `settings` is the parameter snapshot of
+// the generation being exported, or null for text no completed generation
+// produced (a cancelled one), which is then exported without settings;
+// `layout` is its current bar layout.
+export default function ExportMenu({ title, text, settings, layout, disabled }) {
+  const { t } = useI18n()
+  const [sheetOpen, setSheetOpen] = useState(false)
+  const base = slugify(title)
+  const doc = { title, text, settings, layout }
+
+  const formats = [
+    { label: t('export.txt'), run: () => downloadFile(`${base}.txt`, toPlainText(layout), 'text/plain') },
+    { label: t('export.md'), run: () => downloadFile(`${base}.md`, toMarkdown(doc, t), 'text/markdown') },
+    { label: t('export.lrc'), run: () => downloadFile(`${base}.lrc`, toLrc(doc), 'text/plain') },
+    { label: t('export.json'), run: () => downloadFile(`${base}.json`, toJson(doc), 'application/json') },
+  ]
+
+  return (
+    <>
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger
+          disabled={disabled}
+          className="inline-flex items-center justify-center rounded-md border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-100 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {t('export.menu')} ▾
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Portal>
+          <DropdownMenu.Content align="end" sideOffset={4} className="z-50 min-w-[220px] rounded-md border bg-white p-1 shadow-lg">
+            {formats.map((f) => (
+              <DropdownMenu.Item key={f.label} onSelect={f.run} className={itemClass}>{f.label}</DropdownMenu.Item>
+            ))}
+            <DropdownMenu.Separator className="my-1 h-px bg-gray-200" />
+            <DropdownMenu.Item onSelect={() => setSheetOpen(true)} className={itemClass}>{t('export.sheet')}</DropdownMenu.Item>
+          </DropdownMenu.Content>
+        </DropdownMenu.Portal>
+      </DropdownMenu.Root>
+      <LyricSheet open={sheetOpen} onOpenChange={setSheetOpen} title={title} settings={settings} layout={layout} />
+    </>
+  )
+}
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { diffLines } from '../lib/diff'
+import { useI18n } from './I18n'
+import { Button } from './ui'
+
+// Optional settings left empty (start phrase, random seed, style) are skipped.
+const summary = (t, p) =>
+  [
+    p.sources?.map((s) => (p.sources.length > 1 ? `${s.title} ${Math.round(s.weight * 100)}%` : s.title)).join(' + '),
+    p.unit && `${t(`unit.${p.unit}`)} n=${p.order}`,
+    Number.isFinite(p.temperature) && `T ${p.temperature.toFixed(2)}`,
+    p.length != null && t('history.length', { length: p.length }),
+    p.seed && t('history.start', { phrase: p.seed }),
+    p.randomSeed != null && t('history.seed', { seed: String(p.randomSeed) }),
+    [p.genre && t(`genre.${p.genre}`), p.flow && t(`flow.${p.flow}`), p.mood && t(`mood.${p.mood}`)].filter(Boolean).join('/'),
+    p.bpm && `${p.bpm} BPM`,
+  ].filter(Boolean).join(' · ')
+
+const WHEN = { dateStyle: 'medium', timeStyle: 'short' }
+
+function DiffDialog({ pair, onClose }) {
+  const { t, formatDate } = useI18n()
+  const rows = pair ? diffLines(pair[0].output, pair[1].output) : []
+  const cell = (text, changed, side) =>
+    text === null ? (
+      <div className="bg-gray-50" />
+    ) : (
+      <div className={`whitespace-pre-wrap px-2 ${changed ? (side === 'left' ? 'bg-red-50 text-red-900' : 'bg-emerald-50 text-emerald-900') : ''}`}>{text || ' '}</div>
+    )
+  return (
+    <Dialog.Root open={!!pair} onOpenChange={(open) => !open && onClose()}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 z-50 max-h-[85vh] w-[95vw] max-w-5xl -translate-x-1/2 -translate-y-1/2 overflow-auto rounded-xl bg-white p-6 shadow-xl focus:outline-none">
+          <div className="mb-4 flex items-start justify-between gap-4">
+            <Dialog.Title className="text-lg font-semibold text-gray-900">{t('history.compareTitle')}</Dialog.Title>
+            <Dialog.Close className="rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100">{t('common.close')}</Dialog.Close>
+          </div>
+          {pair && (
+            <>
+              <Dialog.Description asChild>
+                <div className="grid grid-cols-2 gap-4 text-xs text-gray-500 mb-2">
+                  {pair.map((e) => (
+                    <p key={e.id}>{formatDate(e.createdAt, WHEN)} — {summary(t, e.params)}</p>
+                  ))}
+                </div>
+              </Dialog.Description>
+              <div className="grid grid-cols-2 gap-x-4 font-mono text-sm">
+                {rows.map((row, i) => (
+                  <div key={i} className="contents">
+                    {cell(row.left, row.type === 'change', 'left')}
+                    {cell(row.right, row.type === 'change', 'right')}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+// Past generations, newest first. Entries can be starred, restored into the
+// form, deleted, or picked in pairs for a side-by-side diff.
+export default function HistoryPanel({ entries, onToggleFavorite, onRestore, onDelete }) {
+  const { t, formatDate } = useI18n()
+  const [favoritesOnly, setFavoritesOnly] = useState(false)
+  const [compare, setCompare] = useState([])
+  const [pair, setPair] = useState(null)
+
+  const shown = favoritesOnly ? entries.filter((e) => e.favorite) : entries
+
+  // Deleted entries drop out of the comparison.
+  useEffect(() => {
+    setCompare((prev) => prev.filter((id) => entries.some((e) => e.id === id)))
+  }, [entries])
+
+  const picked = compare.map((id) => entries.find((e) => e.id === id)).filter(Boolean)
+
+  const toggleCompare = (id) =>
+    setCompare((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2)))
+
+  const openDiff = () => {
+    if (picked.length === 2) setPair(picked)
+  }
+
+  return (
+    <section className="rounded-xl border bg-white/80 backdrop-blur p-5 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">{t('history.title')}</h3>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={favoritesOnly} onChange={(e) => setFavoritesOnly(e.target.checked)} />
+            {t('history.favoritesOnly')}
+          </label>
+          <Button variant="ghost" onClick={openDiff} disabled={picked.length !== 2}>{t('history.compare')}</Button>
+        </div>
+      </div>
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-600">{favoritesOnly ? t('history.noFavorites') : t('history.empty')}</p>
+      ) : (
+        <ul className="space-y-2 max-h-[420px] overflow-auto pr-1">
+          {shown.map((e) => (
+            <li key={e.id} className="rounded-md border border-gray-200 p-3 text-sm">
+              <div className="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={compare.includes(e.id)}
+                  onChange={() => toggleCompare(e.id)}
+                  aria-label={t('history.selectForCompare')}
+                />
+                <div className="min-w-0 flex-1">
+                  <div className="text-xs text-gray-500">{formatDate(e.createdAt, WHEN)} · {summary(t, e.params)}</div>
+                  <p className="mt-1 line-clamp-2 whitespace-pre-wrap text-gray-800">{e.output}</p>
+                </div>
+                <button
+                  onClick={() => onToggleFavorite(e)}
+                  className={`text-lg leading-none ${e.favorite ? 'text-amber-500' : 'text-gray-300 hover:text-amber-400'}`}
+                  title={e.favorite ? t('history.unstar') : t('history.star')}
+                >
+                  ★
+                </button>
+              </div>
+              <div className="mt-2 flex gap-3 text-xs">
+                <button onClick={() => onRestore(e)} className="text-blue-700 hover:underline">{t('history.restore')}</button>
+                <button onClick={() => onDelete(e)} className="text-red-700 hover:underline">{t('common.delete')}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <DiffDialog pair={pair} onClose={() => setPair(null)} />
+    </section>
+  )
+}
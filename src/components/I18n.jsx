@@ -0,0 +1,55 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import { UI_LOCALES, errorText, formatDate, formatNumber, loadLocale, saveLocale, translate } from '../lib/i18n'
+
+const I18nContext = createContext(null)
+
+// Holds the UI locale for the whole app and keeps <html lang> in step so
+// screen readers and hyphenation follow the switch.
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(loadLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale: (next) => {
+      try {
+        saveLocale(next)
+      } catch {
+        // Storage blocked: the choice still applies for this session.
+      }
+      setLocaleState(next)
+    },
+    t: (key, vars) => translate(locale, key, vars),
+    // Translates the labels of a { value, label } option list by `prefix.value`.
+    options: (list, prefix) => list.map((o) => ({ ...o, label: translate(locale, `${prefix}.${o.value}`) })),
+    errorText: (err) => errorText(locale, err),
+    // Built-ins (default profile, shipped presets) name themselves by key.
+    nameOf: (item) => (item?.nameKey ? translate(locale, item.nameKey) : item?.name),
+    formatNumber: (n, opts) => formatNumber(locale, n, opts),
+    formatDate: (d, opts) => formatDate(locale, d, opts),
+  }), [locale])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export const useI18n = () => useContext(I18nContext)
+
+export function LocaleSwitcher({ className = '' }) {
+  const { locale, setLocale, t } = useI18n()
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('app.uiLanguage')}
+      title={t('app.uiLanguage')}
+      className={`rounded-md border border-gray-300 bg-white/70 px-2 py-1.5 text-sm text-gray-700 ${className}`}
+    >
+      {UI_LOCALES.map((l) => (
+        <option key={l.value} value={l.value}>{l.label}</option>
+      ))}
+    </select>
+  )
+}
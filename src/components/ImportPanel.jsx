@@ -0,0 +1,121 @@
+import { useMemo, useState } from 'react'
+import { CLEANING_STEPS, DEFAULT_CLEANING, IMPORT_EXTENSIONS, MAX_IMPORT_BYTES, cleanText, extensionOf, titleFromFilename } from '../lib/clean'
+import { useI18n } from './I18n'
+import { Button } from './ui'
+
+// Drag-and-drop import of lyric files. Every file goes through the cleaning
+// pass, with a before/after preview, and can then be loaded into the Source
+// Text box or saved to the library one corpus per file.
+export default function ImportPanel({ busy, onLoad, onSave }) {
+  const { t } = useI18n()
+  const [files, setFiles] = useState([])
+  const [active, setActive] = useState(0)
+  const [options, setOptions] = useState(DEFAULT_CLEANING)
+  const [dragging, setDragging] = useState(false)
+  const [errors, setErrors] = useState([])
+
+  const cleaned = useMemo(
+    () => files.map((f) => ({ title: titleFromFilename(f.name), text: cleanText(f.raw, options, extensionOf(f.name)) })),
+    [files, options],
+  )
+
+  const readFile = async (f) => {
+    if (f.size > MAX_IMPORT_BYTES) throw new Error(t('import.tooLarge', { size: MAX_IMPORT_BYTES / 1024 / 1024 }))
+    return { name: f.name, raw: await f.text() }
+  }
+
+  // Files that cannot be read are reported one by one; the rest are added.
+  const addFiles = async (list) => {
+    const picked = Array.from(list || [])
+    const accepted = picked.filter((f) => IMPORT_EXTENSIONS.includes(extensionOf(f.name)))
+    const results = await Promise.allSettled(accepted.map(readFile))
+    setErrors([
+      ...(accepted.length < picked.length ? [t('import.unsupported', { types: IMPORT_EXTENSIONS.join(', ') })] : []),
+      ...results.flatMap((r, i) => (r.status === 'rejected' ? [t('import.readFailed', { name: accepted[i].name, error: r.reason?.message || r.reason })] : [])),
+    ])
+    setFiles((prev) => [...prev, ...results.filter((r) => r.status === 'fulfilled').map((r) => r.value)])
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    addFiles(e.dataTransfer.files)
+  }
+
+  const current = files[active]
+  const usable = cleaned.filter((c) => c.text.trim())
+
+  return (
+    <div className="mt-4">
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        className={`rounded-md border-2 border-dashed px-4 py-3 text-sm text-gray-600 ${dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+      >
+        {t('import.drop', { types: IMPORT_EXTENSIONS.join(', ') })}{' '}
+        <label className="cursor-pointer text-blue-700 hover:underline">
+          {t('import.browse')}
+          <input
+            type="file"
+            multiple
+            accept={IMPORT_EXTENSIONS.join(',')}
+            className="hidden"
+            onChange={(e) => { addFiles(e.target.files); e.target.value = '' }}
+          />
+        </label>
+      </div>
+      {errors.map((message) => <p key={message} className="mt-2 text-xs text-amber-700">{message}</p>)}
+
+      {files.length > 0 && (
+        <div className="mt-3 space-y-3 rounded-md border border-gray-200 p-3">
+          <div className="flex flex-wrap gap-2">
+            {files.map((f, i) => (
+              <button
+                key={`${f.name}-${i}`}
+                onClick={() => setActive(i)}
+                className={`rounded-md border px-2 py-1 text-xs ${i === active ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+              >
+                {f.name}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {CLEANING_STEPS.map((step) => (
+              <label key={step.id} className="flex items-center gap-2 text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!options[step.id]}
+                  onChange={(e) => setOptions((o) => ({ ...o, [step.id]: e.target.checked }))}
+                />
+                {t(`clean.${step.id}`)}
+              </label>
+            ))}
+          </div>
+
+          {current && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <div className="mb-1 text-xs font-medium text-gray-500">{t('import.before')}</div>
+                <pre className="max-h-64 overflow-auto whitespace-pre-wrap rounded border bg-gray-50 p-2 text-xs text-gray-700">{current.raw}</pre>
+              </div>
+              <div>
+                <div className="mb-1 text-xs font-medium text-gray-500">{t('import.after')}</div>
+                <pre className="max-h-64 overflow-auto whitespace-pre-wrap rounded border bg-white p-2 text-xs text-gray-900">{cleaned[active].text}</pre>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-3">
+            <Button onClick={() => onLoad(cleaned[active])} disabled={busy || !cleaned[active]?.text.trim()}>{t('import.load')}</Button>
+            <Button onClick={() => onSave(usable)} disabled={busy || !usable.length} variant="secondary">
+              {t('import.save', { count: usable.length })}
+            </Button>
+            <Button variant="ghost" onClick={() => { setFiles([]); setActive(0) }} disabled={busy}>{t('common.clear')}</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import { useI18n } from './I18n'
+
+const STATUS_STYLE = {
+  pending: 'text-gray-400',
+  running: 'text-blue-700',
+  done: 'text-emerald-700',
+  failed: 'text-red-700',
+  cancelled: 'text-amber-700',
+}
+
+const STATUS_MARK = { pending: '○', running: '◔', done: '●', failed: '✕', cancelled: '–' }
+
+// Stage-by-stage status of a pipeline job such as Generate & Sing.
+export default function JobProgress({ stages }) {
+  const { t } = useI18n()
+  return (
+    <ol className="mb-3 flex flex-wrap gap-x-5 gap-y-1 text-xs">
+      {stages.map((s) => (
+        <li key={s.id} className={`flex items-center gap-1.5 ${STATUS_STYLE[s.status]}`}>
+          <span aria-hidden>{STATUS_MARK[s.status]}</span>
+          <span>{s.label}</span>
+          {s.status === 'running' && s.progress > 0 && <span>{Math.round(s.progress * 100)}%</span>}
+          {(s.status === 'failed' || s.status === 'cancelled') && <span>({t(`job.${s.status}`)})</span>}
+        </li>
+      ))}
+    </ol>
+  )
+}
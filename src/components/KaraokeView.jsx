@@ -0,0 +1,81 @@
+import { useEffect, useMemo, useState } from 'react'
+import { karaokeWords, timeWords, wordAt } from '../lib/karaoke'
+import { useI18n } from './I18n'
+
+// Karaoke rendering of the laid-out lyrics: follows the <audio> element in
+// `audioRef`, highlighting the current line and word. Clicking a word seeks
+// the audio to it.
+export default function KaraokeView({ layout, audioRef, audioSrc }) {
+  const { t } = useI18n()
+  const [duration, setDuration] = useState(0)
+  const [time, setTime] = useState(0)
+
+  useEffect(() => {
+    const audio = audioRef.current
+    if (!audio) return
+    let frame = 0
+    const tick = () => {
+      setTime(audio.currentTime)
+      if (!audio.paused) frame = requestAnimationFrame(tick)
+    }
+    const onPlay = () => { cancelAnimationFrame(frame); frame = requestAnimationFrame(tick) }
+    const onMeta = () => setDuration(Number.isFinite(audio.duration) ? audio.duration : 0)
+    const onSeek = () => setTime(audio.currentTime)
+    onMeta()
+    onSeek()
+    audio.addEventListener('loadedmetadata', onMeta)
+    audio.addEventListener('durationchange', onMeta)
+    audio.addEventListener('play', onPlay)
+    audio.addEventListener('seeked', onSeek)
+    audio.addEventListener('timeupdate', onSeek)
+    if (!audio.paused) onPlay()
+    return () => {
+      cancelAnimationFrame(frame)
+      audio.removeEventListener('loadedmetadata', onMeta)
+      audio.removeEventListener('durationchange', onMeta)
+      audio.removeEventListener('play', onPlay)
+      audio.removeEventListener('seeked', onSeek)
+      audio.removeEventListener('timeupdate', onSeek)
+    }
+  }, [audioRef, audioSrc])
+
+  const timed = useMemo(() => timeWords(karaokeWords(layout), duration), [layout, duration])
+  const current = duration ? wordAt(timed, time) : -1
+  const currentBar = current >= 0 ? timed[current].bar : null
+
+  const seek = (word) => {
+    const audio = audioRef.current
+    if (!audio) return
+    audio.currentTime = word.start
+    audio.play().catch(() => {})
+  }
+
+  let cursor = 0
+  return (
+    <div className="rounded-lg border bg-white p-4 min-h-[160px] space-y-4">
+      {layout.stanzas.map((stanza, s) => (
+        <div key={s}>
+          {stanza.map((line) => {
+            const count = line.text.split(/\s+/).filter(Boolean).length
+            const words = timed.slice(cursor, cursor + count)
+            cursor += count
+            return (
+              <p key={line.bar} className={`text-lg leading-relaxed transition-colors ${line.bar === currentBar ? 'text-gray-900' : 'text-gray-400'}`}>
+                {words.map((w) => (
+                  <button
+                    key={w.index}
+                    onClick={() => seek(w)}
+                    className={`mr-1.5 rounded px-0.5 hover:bg-indigo-50 ${w.index === current ? 'bg-indigo-600 text-white hover:bg-indigo-600' : ''}`}
+                  >
+                    {w.text}
+                  </button>
+                ))}
+              </p>
+            )
+          })}
+        </div>
+      ))}
+      {!duration && <p className="text-xs text-gray-500">{t('karaoke.waiting')}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import { labelRhymes } from '../lib/rhyme'
+import { useI18n } from './I18n'
+
+// Output panel body: the lyrics laid out one bar per row, with the bar
+// number, the rhyme letter of each line ending, and the syllable count and
+// estimated duration of the bar.
+export default function LyricOutput({ text, layout }) {
+  const { t, formatNumber } = useI18n()
+  if (!text) {
+    return <pre className="whitespace-pre-wrap rounded-lg border bg-white p-4 text-sm text-gray-900 min-h-[160px]">{t('output.empty')}</pre>
+  }
+  const letters = labelRhymes(text).map((row) => row.letter)
+  const seconds = (s, digits) => formatNumber(s, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+  return (
+    <div className="rounded-lg border bg-white p-4 text-sm text-gray-900 min-h-[160px]">
+      <div className="mb-3 text-xs text-gray-500">
+        {t('output.perBar', { syllables: layout.perBar, seconds: seconds(layout.secondsPerBar, 2) })}
+      </div>
+      <div className="space-y-4 font-mono">
+        {layout.stanzas.map((stanza, s) => (
+          <div key={s}>
+            {stanza.map((line) => (
+              <div key={line.bar} className="flex gap-3">
+                <span className="w-6 shrink-0 text-right text-gray-400" title={t('output.bar')}>{line.bar}</span>
+                <span className="w-4 shrink-0 font-semibold text-indigo-600" title={t('output.rhymeGroup')}>{line.lineEnd ? letters[line.source] : ''}</span>
+                <span className="flex-1 whitespace-pre-wrap">{line.text}</span>
+                <span className={`shrink-0 text-xs ${line.syllables > layout.perBar ? 'text-red-600' : 'text-gray-500'}`}>
+                  {t('output.lineStats', { syllables: line.syllables, seconds: seconds(line.seconds, 1) })}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+import * as Dialog from '@radix-ui/react-dialog'
+import { sectionLabel, settingRows } from '../lib/exporters'
+import { useI18n } from './I18n'
+
+// Print-ready lyric sheet. The `lyric-sheet` class is the only thing left
+// visible by the print stylesheet in index.css.
+export default function LyricSheet({ open, onOpenChange, title, settings, layout }) {
+  const { t } = useI18n()
+  const meta = [settings?.genre && t(`genre.${settings.genre}`), settings?.mood && t(`mood.${settings.mood}`), `${layout.bpm} BPM`].filter(Boolean).join(' · ')
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30 print:hidden" />
+        <Dialog.Content className="lyric-sheet fixed inset-4 z-50 overflow-auto rounded-xl bg-white p-10 shadow-xl focus:outline-none md:inset-x-[15%]">
+          <div className="mb-6 flex justify-end gap-3 print:hidden">
+            <button onClick={() => window.print()} className="rounded-md bg-blue-600 px-4 py-2 text-sm font-semibold text-white hover:bg-blue-700">{t('sheet.print')}</button>
+            <Dialog.Close className="rounded-md border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">{t('common.close')}</Dialog.Close>
+          </div>
+          <Dialog.Title className="text-3xl font-bold text-gray-900">{title || t('common.untitled')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm uppercase tracking-wide text-gray-500">{meta}</Dialog.Description>
+          <div className="mt-8 space-y-8">
+            {layout.stanzas.map((stanza, i) => (
+              <section key={i} className="break-inside-avoid">
+                <h3 className="mb-2 text-xs font-semibold uppercase tracking-widest text-indigo-600">{sectionLabel(i, t)}</h3>
+                {stanza.map((line) => (
+                  <p key={line.bar} className="text-lg leading-relaxed text-gray-900">{line.text}</p>
+                ))}
+              </section>
+            ))}
+          </div>
+          <dl className="mt-10 grid grid-cols-2 gap-x-6 gap-y-1 border-t pt-4 text-xs text-gray-500">
+            {settingRows(settings, layout, t).map(([k, v]) => (
+              <div key={k} className="contents">
+                <dt className="font-medium">{k}</dt>
+                <dd>{v}</dd>
+              </div>
+            ))}
+          </dl>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,131 @@
+import { useRef, useState } from 'react'
+import { downloadFile } from '../lib/exporters'
+import { BUILTIN_PRESETS, PRESET_FIELDS, createPreset, fitToUnit, exportPresets, loadPresets, parsePresetFile, savePresets } from '../lib/presets'
+import { useI18n } from './I18n'
+import { Button, Label, TextInput } from './ui'
+
+const matches = (settings, current) => PRESET_FIELDS.every((f) => settings[f] === undefined || settings[f] === current[f])
+
+// Preset picker above the style settings. `current` holds the live values
+// of the preset fields and `unit` the model unit they apply to;
+// `onApply(settings)` pushes a preset into the form.
+export default function PresetBar({ current, unit, onApply }) {
+  const { t, errorText, nameOf } = useI18n()
+  const [userPresets, setUserPresets] = useState(loadPresets)
+  const [selectedId, setSelectedId] = useState('')
+  // Inline editor: null, 'save' or 'rename'; 'delete' asks for confirmation.
+  const [mode, setMode] = useState(null)
+  const [name, setName] = useState('')
+  const [error, setError] = useState('')
+  const fileRef = useRef(null)
+
+  const all = [...BUILTIN_PRESETS, ...userPresets]
+  const selected = all.find((p) => p.id === selectedId)
+  const modified = selected && !matches(fitToUnit(selected.settings, unit), current)
+
+  const store = (next) => {
+    setUserPresets(next)
+    try {
+      savePresets(next)
+      setError('')
+    } catch (e) {
+      setError(t('preset.storeFailed', { error: errorText(e) }))
+    }
+  }
+
+  const choose = (id) => {
+    setSelectedId(id)
+    setMode(null)
+    const preset = all.find((p) => p.id === id)
+    if (preset) onApply(fitToUnit(preset.settings, unit))
+  }
+
+  const startEdit = (next) => {
+    setMode(next)
+    setName(next === 'rename' ? selected.name : '')
+  }
+
+  const commitName = () => {
+    if (!name.trim()) return
+    if (mode === 'save') {
+      const preset = createPreset(name, current)
+      store([...userPresets, preset])
+      setSelectedId(preset.id)
+    } else {
+      store(userPresets.map((p) => (p.id === selectedId ? { ...p, name: name.trim() } : p)))
+    }
+    setMode(null)
+  }
+
+  const remove = () => {
+    store(userPresets.filter((p) => p.id !== selectedId))
+    setSelectedId('')
+    setMode(null)
+  }
+
+  const importFile = async (file) => {
+    if (!file) return
+    try {
+      const imported = parsePresetFile(await file.text())
+      store([...userPresets, ...imported])
+    } catch (e) {
+      setError(t('preset.importFailed', { error: errorText(e) }))
+    }
+  }
+
+  return (
+    <div className="mt-4 rounded-md border border-gray-200 p-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="min-w-[220px] flex-1">
+          <Label>{t('preset.label')}{modified && <span className="ml-2 font-normal text-gray-500">{t('preset.modified')}</span>}</Label>
+          <select
+            value={selectedId}
+            onChange={(e) => choose(e.target.value)}
+            className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            <option value="">{t('preset.custom')}</option>
+            <optgroup label={t('preset.builtin')}>
+              {BUILTIN_PRESETS.map((p) => <option key={p.id} value={p.id}>{nameOf(p)}</option>)}
+            </optgroup>
+            {userPresets.length > 0 && (
+              <optgroup label={t('preset.mine')}>
+                {userPresets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </optgroup>
+            )}
+          </select>
+        </div>
+        <Button variant="secondary" onClick={() => startEdit('save')}>{t('preset.saveAs')}</Button>
+        <Button variant="ghost" onClick={() => startEdit('rename')} disabled={!selected || selected.builtin}>{t('preset.rename')}</Button>
+        <Button variant="ghost" onClick={() => setMode('delete')} disabled={!selected || selected.builtin}>{t('common.delete')}</Button>
+        <Button variant="ghost" onClick={() => fileRef.current?.click()}>{t('preset.import')}</Button>
+        <Button variant="ghost" onClick={() => downloadFile('style-presets.json', exportPresets(userPresets), 'application/json')} disabled={!userPresets.length}>{t('preset.export')}</Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => { importFile(e.target.files[0]); e.target.value = '' }}
+        />
+      </div>
+
+      {(mode === 'save' || mode === 'rename') && (
+        <div className="mt-3 flex items-end gap-3">
+          <div className="flex-1">
+            <Label>{mode === 'save' ? t('preset.newName') : t('preset.renameLabel')}</Label>
+            <TextInput value={name} onChange={setName} placeholder={t('preset.namePlaceholder')} />
+          </div>
+          <Button onClick={commitName} disabled={!name.trim()}>{mode === 'save' ? t('common.save') : t('preset.rename')}</Button>
+          <Button variant="ghost" onClick={() => setMode(null)}>{t('common.cancel')}</Button>
+        </div>
+      )}
+      {mode === 'delete' && (
+        <div className="mt-3 flex items-center gap-3 rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+          <span className="flex-1">{t('preset.confirmDelete', { name: selected?.name })}</span>
+          <Button variant="danger" onClick={remove}>{t('common.delete')}</Button>
+          <Button variant="ghost" onClick={() => setMode(null)}>{t('common.cancel')}</Button>
+        </div>
+      )}
+      {error && <p className="mt-2 text-xs text-amber-700">{error}</p>}
+    </div>
+  )
+}
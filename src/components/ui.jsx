@@ -0,0 +1,92 @@
+// Form controls and buttons shared across the app's panels.
+
+import { useState } from 'react'
+
+export function Label({ children }) {
+  return <label className="text-sm font-medium text-gray-700">{children}</label>
+}
+
+// Shows what is typed while the field has focus; only numbers reach
+// `onChange`, so emptying the field does not report 0. `onBlur` is where
+// callers fit the value to its limits.
+export function NumberInput({ value, onChange, onBlur, min, max, step = 1 }) {
+  const [draft, setDraft] = useState(null)
+  return (
+    <input
+      type="number"
+      value={draft ?? value}
+      min={min}
+      max={max}
+      step={step}
+      onChange={(e) => {
+        setDraft(e.target.value)
+        if (e.target.value.trim() !== '' && Number.isFinite(Number(e.target.value))) onChange(Number(e.target.value))
+      }}
+      onBlur={() => {
+        setDraft(null)
+        onBlur?.()
+      }}
+      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  )
+}
+
+export function Select({ value, onChange, options }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+    >
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>{o.label}</option>
+      ))}
+    </select>
+  )
+}
+
+export function TextArea({ value, onChange, rows = 8, placeholder }) {
+  return (
+    <textarea
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      rows={rows}
+      placeholder={placeholder}
+      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  )
+}
+
+export function TextInput({ value, onChange, placeholder }) {
+  return (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  )
+}
+
+export function Button({ children, onClick, disabled, variant = 'primary' }) {
+  const cls =
+    variant === 'secondary'
+      ? 'bg-gray-700 hover:bg-gray-800 text-white'
+      : variant === 'ghost'
+      ? 'bg-transparent text-gray-700 hover:bg-gray-100 border border-gray-300'
+      : variant === 'success'
+      ? 'bg-emerald-600 hover:bg-emerald-700 text-white'
+      : variant === 'danger'
+      ? 'bg-red-600 hover:bg-red-700 text-white'
+      : 'bg-blue-600 hover:bg-blue-700 text-white'
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`inline-flex items-center justify-center rounded-md px-4 py-2 text-sm font-semibold transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${cls}`}
+    >
+      {children}
+    </button>
+  )
+}
@@ -0,0 +1,167 @@
+// Beat alignment for TTS vocals. The clip is split at silences into one
+// chunk per lyric line, each chunk is time-stretched (WSOLA, so pitch is
+// kept) to fill its bar at the chosen BPM, and chunks start on beats.
+
+import { BEATS_PER_BAR, barSeconds } from './layout'
+import { decodeClip } from './backing'
+import { encodeWav } from './wav'
+import { MessageError } from './i18n'
+
+const FRAME_SECONDS = 0.02
+const MIN_GAP_SECONDS = 0.08
+// Share of the bar a line is stretched to; the rest is breathing room.
+const FILL = 0.9
+// Beyond these the stretch sounds robotic; chunks then keep a shorter or
+// longer length and the next line waits for the following beat.
+const MIN_RATIO = 0.5
+const MAX_RATIO = 2
+
+// Splits `samples` into at most `count` voiced chunks [{ start, end }]
+// (sample offsets), cutting at the longest silences.
+export function splitAtSilences(samples, rate, count) {
+  const frame = Math.max(1, Math.round(rate * FRAME_SECONDS))
+  const frames = Math.ceil(samples.length / frame)
+  const level = new Float32Array(frames)
+  let peak = 0
+  for (let f = 0; f < frames; f++) {
+    let sum = 0
+    const end = Math.min(samples.length, (f + 1) * frame)
+    for (let i = f * frame; i < end; i++) sum += samples[i] * samples[i]
+    level[f] = Math.sqrt(sum / Math.max(1, end - f * frame))
+    peak = Math.max(peak, level[f])
+  }
+  const threshold = Math.max(peak * 0.08, 1e-4)
+  let first = 0
+  while (first < frames && level[first] < threshold) first++
+  let last = frames - 1
+  while (last > first && level[last] < threshold) last--
+  if (first >= frames) return []
+
+  const gaps = []
+  const minGap = Math.ceil(MIN_GAP_SECONDS / FRAME_SECONDS)
+  for (let f = first; f <= last; f++) {
+    if (level[f] >= threshold) continue
+    const start = f
+    while (f <= last && level[f] < threshold) f++
+    if (f - start >= minGap) gaps.push({ start, end: f })
+  }
+  const cuts = gaps
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, Math.max(0, count - 1))
+    .sort((a, b) => a.start - b.start)
+
+  const chunks = []
+  let from = first
+  for (const gap of cuts) {
+    chunks.push({ start: from * frame, end: gap.start * frame })
+    from = gap.end
+  }
+  chunks.push({ start: from * frame, end: Math.min(samples.length, (last + 1) * frame) })
+  return chunks
+}
+
+function hann(n) {
+  const w = new Float32Array(n)
+  for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n)
+  return w
+}
+
+// WSOLA time stretch: output length is `ratio` times the input, pitch kept.
+// Each analysis frame is nudged within a small window to the offset that
+// best continues the previous frame's waveform.
+export function timeStretch(input, rate, ratio) {
+  const outLen = Math.round(input.length * ratio)
+  const size = 2 * Math.round(rate * FRAME_SECONDS)
+  if (Math.abs(ratio - 1) < 0.01 || input.length < size * 2) {
+    const out = new Float32Array(outLen)
+    out.set(input.subarray(0, outLen))
+    return out
+  }
+  const hop = size / 2
+  const tolerance = Math.round(rate * 0.01)
+  const window = hann(size)
+  const out = new Float32Array(outLen + size)
+  const norm = new Float32Array(outLen + size)
+  const maxStart = input.length - size
+  let prev = -1
+  for (let o = 0; o < outLen; o += hop) {
+    const nominal = Math.min(maxStart, Math.round(o / ratio))
+    let best = nominal
+    const target = prev + hop
+    if (prev >= 0 && target + hop <= input.length) {
+      let bestScore = -Infinity
+      for (let d = -tolerance; d <= tolerance; d += 2) {
+        const c = nominal + d
+        if (c < 0 || c > maxStart) continue
+        let score = 0
+        for (let k = 0; k < hop; k += 2) score += input[c + k] * input[target + k]
+        if (score > bestScore) {
+          bestScore = score
+          best = c
+        }
+      }
+    }
+    for (let k = 0; k < size; k++) {
+      out[o + k] += input[best + k] * window[k]
+      norm[o + k] += window[k]
+    }
+    prev = best
+  }
+  for (let i = 0; i < outLen; i++) if (norm[i] > 1e-3) out[i] /= norm[i]
+  return out.subarray(0, outLen)
+}
+
+// Where each chunk goes: [{ start, end, at, ratio }], `at` being the output
+// offset in samples. Chunk i lands on bar i, or on the first beat after the
+// previous chunk if that one overran.
+export function planAlignment(samples, rate, { bpm, bars }) {
+  const bar = Math.round(barSeconds(bpm) * rate)
+  const beat = bar / BEATS_PER_BAR
+  let cursor = 0
+  return splitAtSilences(samples, rate, bars).map((chunk, i) => {
+    const at = Math.max(i * bar, Math.ceil(cursor / beat) * beat)
+    const ratio = Math.min(MAX_RATIO, Math.max(MIN_RATIO, (bar * FILL) / (chunk.end - chunk.start)))
+    cursor = at + Math.round((chunk.end - chunk.start) * ratio)
+    return { ...chunk, at: Math.round(at), ratio }
+  })
+}
+
+const FADE_SECONDS = 0.005
+
+function fadeEdges(samples, rate) {
+  const n = Math.min(Math.round(rate * FADE_SECONDS), samples.length >> 1)
+  for (let i = 0; i < n; i++) {
+    samples[i] *= i / n
+    samples[samples.length - 1 - i] *= i / n
+  }
+}
+
+const ALIGN_RATE = 24000
+
+// Decodes the clip at `src`, aligns it and returns an object URL of the
+// mono WAV result. Yields between chunks so the page stays responsive and
+// `signal` can cancel.
+export async function alignClip(src, { bpm, bars, signal, progress } = {}) {
+  const decoded = await decodeClip(new OfflineAudioContext(1, 1, ALIGN_RATE), src)
+  const samples = new Float32Array(decoded.length)
+  for (let c = 0; c < decoded.numberOfChannels; c++) {
+    const data = decoded.getChannelData(c)
+    for (let i = 0; i < data.length; i++) samples[i] += data[i] / decoded.numberOfChannels
+  }
+  const plan = planAlignment(samples, ALIGN_RATE, { bpm, bars })
+  if (!plan.length) throw new MessageError('error.noSpeech')
+  const pieces = []
+  for (let i = 0; i < plan.length; i++) {
+    await new Promise((resolve) => setTimeout(resolve))
+    signal?.throwIfAborted()
+    const { start, end, at, ratio } = plan[i]
+    const piece = timeStretch(samples.subarray(start, end), ALIGN_RATE, ratio)
+    fadeEdges(piece, ALIGN_RATE)
+    pieces.push({ at, piece })
+    progress?.((i + 1) / plan.length)
+  }
+  const total = Math.max(...pieces.map(({ at, piece }) => at + piece.length))
+  const out = new Float32Array(total)
+  for (const { at, piece } of pieces) out.set(piece, at)
+  return URL.createObjectURL(new Blob([encodeWav(out, ALIGN_RATE)], { type: 'audio/wav' }))
+}
@@ -0,0 +1,187 @@
+// Client for the generator backend, shared by both UIs. The two apps grew
+// different contracts for the same endpoints (`text` vs `content` and
+// `raw_text`, `output` vs `result`), so requests carry both spellings and
+// responses are normalized to one shape.
+
+import { parseTags, textStats } from './corpusMeta'
+import { ApiError, HttpError, NetworkError, TimeoutError } from './errors'
+import { STREAM_ACCEPT, readGenerateResponse } from './stream'
+
+// With VITE_MOCK_API=true the dev server answers under /mock-api instead
+// (see mock/backend.js).
+export const DEFAULT_BACKEND =
+  import.meta.env.VITE_MOCK_API === 'true' ? '/mock-api' : import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+
+export { ApiError, HttpError, NetworkError, TimeoutError, isUnreachable } from './errors'
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(t)
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'))
+    }
+    const t = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+// FastAPI reports validation problems as a list of `{ msg }` objects.
+function detailOf(body) {
+  const d = body?.detail ?? body?.error ?? null
+  if (Array.isArray(d)) return d.map((x) => x?.msg || JSON.stringify(x)).join('; ')
+  return typeof d === 'string' ? d : d ? JSON.stringify(d) : null
+}
+
+async function safeJson(res) {
+  try { return await res.json() } catch { return null }
+}
+
+// Backends send ISO strings, epoch seconds or milliseconds, or Mongo's
+// { $date }; the app always sees an ISO string ('' when unknown).
+function toIsoDate(value) {
+  if (value && typeof value === 'object' && '$date' in value) value = value.$date
+  if (typeof value === 'number') value = value < 1e11 ? value * 1000 : value
+  if (value === null || value === undefined || value === '') return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString()
+}
+
+export function normalizeCorpus(c) {
+  if (!c) return c
+  const text = c.text ?? c.content ?? ''
+  // List responses may carry only a text preview, so prefer stored counts.
+  const stats = textStats(text)
+  return {
+    ...c,
+    id: c.id ?? c._id,
+    title: c.title || 'Untitled',
+    text,
+    type: c.type || 'generic',
+    tags: parseTags(c.tags),
+    language: c.language || '',
+    char_count: c.char_count ?? stats.chars,
+    word_count: c.word_count ?? stats.words,
+    created_at: toIsoDate(c.created_at ?? c.createdAt),
+  }
+}
+
+// Methods that can be sent twice without changing the outcome.
+const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'DELETE']
+
+// `headers` (e.g. Authorization) are sent with every request.
+export function createApiClient({ baseUrl = DEFAULT_BACKEND, headers: defaultHeaders = {}, timeout = 15000, retries = 2, backoff = 400 } = {}) {
+  // Sends one request, retrying with exponential backoff while the backend
+  // is unreachable. Only idempotent methods retry unless `retry` says so: a
+  // POST that failed in transit may still have reached the server. The
+  // timeout covers the wait for response headers only, so a long streamed
+  // body is not cut off; callers that read a body for long pass `signal` on
+  // to the reader (see readGenerateResponse). Resolves to the raw Response.
+  async function send(path, { method = 'GET', body, headers, signal, retry = IDEMPOTENT.includes(method) } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController()
+      const onAbort = () => controller.abort(signal.reason)
+      if (signal?.aborted) onAbort()
+      signal?.addEventListener('abort', onAbort, { once: true })
+      let timedOut = false
+      const timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, timeout)
+      try {
+        let res
+        // Only a rejected fetch means the backend was not reached; anything
+        // thrown after that is a server answer or a bug, never "offline".
+        try {
+          res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body === undefined ? { ...defaultHeaders, ...headers } : { 'Content-Type': 'application/json', ...defaultHeaders, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: controller.signal,
+          })
+        } catch (e) {
+          if (signal?.aborted) throw e
+          if (timedOut) throw new TimeoutError(timeout, path)
+          if (!retry || attempt >= retries) throw new NetworkError(e, path)
+        }
+        if (res) {
+          if (!res.ok) {
+            throw new HttpError(res.status, detailOf(await safeJson(res)) || res.statusText, path)
+          }
+          return res
+        }
+      } finally {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', onAbort)
+      }
+      await sleep(backoff * 2 ** attempt, signal)
+    }
+  }
+
+  async function json(path, options) {
+    return safeJson(await send(path, options))
+  }
+
+  return {
+    baseUrl,
+
+    // Raw Response for one request; used by the diagnostics page, which
+    // needs status codes and bodies the typed methods hide.
+    request: (path, opts) => send(path, opts),
+
+    health: (opts) => json('/', opts),
+
+    dbStatus: (opts) => json('/test', opts),
+
+    async listCorpora(opts) {
+      const data = await json('/corpus', opts)
+      return (Array.isArray(data) ? data : data?.items || []).map(normalizeCorpus)
+    },
+
+    async createCorpus({ title, text, type = 'generic', tags = [], language = '', ...rest }, opts) {
+      const { chars, words } = textStats(text)
+      const body = { title: title || 'Untitled', type, tags: parseTags(tags), language, text, content: text, char_count: chars, word_count: words, ...rest }
+      const data = await json('/corpus', { ...opts, method: 'POST', body })
+      return normalizeCorpus({ ...body, ...data })
+    },
+
+    async getCorpus(id, opts) {
+      return normalizeCorpus(await json(`/corpus/${encodeURIComponent(id)}`, opts))
+    },
+
+    async updateCorpus(id, { title, text, ...rest }, opts) {
+      const body = { ...rest }
+      if (title !== undefined) body.title = title
+      if (text !== undefined) {
+        const { chars, words } = textStats(text)
+        Object.assign(body, { text, content: text, char_count: chars, word_count: words })
+      }
+      if (body.tags !== undefined) body.tags = parseTags(body.tags)
+      const data = await json(`/corpus/${encodeURIComponent(id)}`, { ...opts, method: 'PUT', body })
+      return normalizeCorpus({ id, ...body, ...data })
+    },
+
+    async deleteCorpus(id, opts) {
+      await send(`/corpus/${encodeURIComponent(id)}`, { ...opts, method: 'DELETE' })
+    },
+
+    // Asks for a streamed response and falls back to one-shot JSON when the
+    // backend does not stream. `onChunk` receives the text so far.
+    async generate(payload, { signal, onChunk } = {}) {
+      const body = { ...payload, stream: true }
+      if (payload.text != null) body.raw_text = payload.text
+      const res = await send('/generate', { method: 'POST', body, headers: { Accept: STREAM_ACCEPT }, signal })
+      return readGenerateResponse(res, (_, soFar) => onChunk?.(soFar), { signal })
+    },
+
+    // Synthesis stores nothing, so it is safe to retry.
+    async tts({ text, voice, language, slow }, opts) {
+      const data = await json('/tts', { retry: true, ...opts, method: 'POST', body: { text, voice, language, slow } })
+      const audioBase64 = data?.audio_base64 ?? data?.audio
+      if (!audioBase64) throw new ApiError('TTS response contained no audio', { path: '/tts', key: 'error.ttsNoAudio' })
+      const mimeType = data.mime_type || data.mimeType || 'audio/mpeg'
+      return { audioBase64, mimeType, src: `data:${mimeType};base64,${audioBase64}` }
+    },
+  }
+}
@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { NetworkError, TimeoutError, createApiClient, isUnreachable } from './api'
+
+const client = (options) => createApiClient({ baseUrl: 'http://backend.test', backoff: 1, ...options })
+
+const ok = (body) => new Response(JSON.stringify(body), { headers: { 'content-type': 'application/json' } })
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('createApiClient', () => {
+  it('retries idempotent requests while the backend is unreachable', async () => {
+    const fetch = vi.fn().mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValue(ok([{ id: 1, text: 'la' }]))
+    vi.stubGlobal('fetch', fetch)
+    await expect(client().listCorpora()).resolves.toMatchObject([{ id: 1, text: 'la' }])
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('reports a rejected fetch as unreachable, without retrying a POST', async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+    vi.stubGlobal('fetch', fetch)
+    const err = await client().createCorpus({ title: 't', text: 'la la' }).catch((e) => e)
+    expect(err).toBeInstanceOf(NetworkError)
+    expect(isUnreachable(err)).toBe(true)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not mistake an error after the fetch for being offline', async () => {
+    const broken = { get ok() { throw new TypeError('cannot read ok') } }
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(broken))
+    const err = await client().createCorpus({ title: 't', text: 'la la' }).catch((e) => e)
+    expect(err).toBeInstanceOf(TypeError)
+    expect(isUnreachable(err)).toBe(false)
+  })
+
+  it('times out a request whose response never arrives', async () => {
+    const hang = (_, { signal }) => new Promise((_resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+    vi.stubGlobal('fetch', vi.fn(hang))
+    const err = await client({ timeout: 5 }).dbStatus().catch((e) => e)
+    expect(err).toBeInstanceOf(TimeoutError)
+    expect(err.key).toBe('error.timeout')
+  })
+
+  it('removes its listener from the caller’s signal once the request is done', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(ok({ status: 'ok' })))
+    const { signal } = new AbortController()
+    const add = vi.spyOn(signal, 'addEventListener')
+    const remove = vi.spyOn(signal, 'removeEventListener')
+    await client().dbStatus({ signal })
+    expect(add).toHaveBeenCalledTimes(1)
+    expect(remove).toHaveBeenCalledWith('abort', add.mock.calls[0][1])
+  })
+
+  it('rejects a TTS reply without audio with a catalog message', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(ok({})))
+    await expect(client().tts({ text: 'hi' })).rejects.toMatchObject({ key: 'error.ttsNoAudio' })
+  })
+})
@@ -0,0 +1,200 @@
+// Procedural backing track built from Web Audio nodes. Works on any
+// BaseAudioContext, so the same schedule drives live playback and
+// OfflineAudioContext rendering for WAV export. Genre picks the drum pattern
+// and timbre, mood the chord progression, BPM the tempo; one chord per bar.
+
+import { BEATS_PER_BAR, barSeconds } from './layout'
+import { encodeWav } from './wav'
+
+const STEPS = 16
+
+// 16th-note grids per bar: x = hit, o = ghost (quiet) hit.
+const DRUMS = {
+  pop: { kick: 'x.......x.x.....', snare: '....x.......x...', hat: 'x.x.x.x.x.x.x.x.' },
+  hiphop: { kick: 'x......x..x.....', snare: '....x.......x...', hat: 'x.x.x.x.x.x.x.xx' },
+  jazz: { kick: 'o.......o.......', snare: '......o.......o.', hat: 'x...x.x.x...x.x.', swing: 0.33 },
+  rock: { kick: 'x.....x.x.......', snare: '....x.......x...', hat: 'x.x.x.x.x.x.x.x.' },
+  lofi: { kick: 'x......x.x......', snare: '....x.......x...', hat: '..x...x...x...x.', swing: 0.25 },
+}
+
+const TIMBRE = {
+  pop: { wave: 'triangle', cutoff: 2400, bass: 0.35 },
+  hiphop: { wave: 'sine', cutoff: 1600, bass: 0.5 },
+  jazz: { wave: 'sine', cutoff: 2000, bass: 0.3 },
+  rock: { wave: 'sawtooth', cutoff: 1800, bass: 0.4 },
+  lofi: { wave: 'triangle', cutoff: 900, bass: 0.35 },
+}
+
+// MIDI voicings, one chord per bar, looped.
+const PROGRESSIONS = {
+  chill: [[48, 52, 55, 59], [45, 48, 52, 55], [41, 45, 48, 52], [43, 47, 50, 53]], // Cmaj7 Am7 Fmaj7 G7
+  happy: [[48, 52, 55], [43, 47, 50], [45, 48, 52], [41, 45, 48]], // C G Am F
+  sad: [[45, 48, 52], [41, 45, 48], [48, 52, 55], [43, 47, 50]], // Am F C G
+  epic: [[50, 53, 57], [46, 50, 53], [41, 45, 48], [48, 52, 55]], // Dm Bb F C
+}
+
+const midiHz = (n) => 440 * Math.pow(2, (n - 69) / 12)
+
+const noiseBuffers = new WeakMap()
+
+function noise(ctx) {
+  if (!noiseBuffers.has(ctx)) {
+    const buf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate)
+    const data = buf.getChannelData(0)
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1
+    noiseBuffers.set(ctx, buf)
+  }
+  return noiseBuffers.get(ctx)
+}
+
+function envelope(ctx, dest, t, peak, decay) {
+  const g = ctx.createGain()
+  g.gain.setValueAtTime(0.0001, t)
+  g.gain.exponentialRampToValueAtTime(peak, t + 0.005)
+  g.gain.exponentialRampToValueAtTime(0.0001, t + decay)
+  g.connect(dest)
+  return g
+}
+
+function kick(ctx, dest, t, level) {
+  const osc = ctx.createOscillator()
+  osc.frequency.setValueAtTime(150, t)
+  osc.frequency.exponentialRampToValueAtTime(45, t + 0.12)
+  osc.connect(envelope(ctx, dest, t, 0.9 * level, 0.35))
+  osc.start(t)
+  osc.stop(t + 0.4)
+}
+
+function snare(ctx, dest, t, level) {
+  const src = ctx.createBufferSource()
+  src.buffer = noise(ctx)
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'highpass'
+  filter.frequency.value = 1200
+  src.connect(filter)
+  filter.connect(envelope(ctx, dest, t, 0.5 * level, 0.18))
+  src.start(t)
+  src.stop(t + 0.2)
+  const body = ctx.createOscillator()
+  body.frequency.value = 190
+  body.connect(envelope(ctx, dest, t, 0.25 * level, 0.08))
+  body.start(t)
+  body.stop(t + 0.1)
+}
+
+function hat(ctx, dest, t, level) {
+  const src = ctx.createBufferSource()
+  src.buffer = noise(ctx)
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'highpass'
+  filter.frequency.value = 7000
+  src.connect(filter)
+  filter.connect(envelope(ctx, dest, t, 0.18 * level, 0.05))
+  src.start(t)
+  src.stop(t + 0.06)
+}
+
+function chord(ctx, dest, t, dur, notes, timbre) {
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'lowpass'
+  filter.frequency.value = timbre.cutoff
+  const g = ctx.createGain()
+  g.gain.setValueAtTime(0.0001, t)
+  g.gain.linearRampToValueAtTime(0.12 / notes.length * 3, t + 0.08)
+  g.gain.setValueAtTime(0.12 / notes.length * 3, t + dur - 0.15)
+  g.gain.linearRampToValueAtTime(0.0001, t + dur)
+  filter.connect(g)
+  g.connect(dest)
+  for (const n of notes) {
+    const osc = ctx.createOscillator()
+    osc.type = timbre.wave
+    osc.frequency.value = midiHz(n + 12)
+    osc.connect(filter)
+    osc.start(t)
+    osc.stop(t + dur)
+  }
+  // Bass: chord root two octaves down on beats 1 and 3.
+  const beat = dur / BEATS_PER_BAR
+  for (const b of [0, 2]) {
+    const osc = ctx.createOscillator()
+    osc.type = 'sine'
+    osc.frequency.value = midiHz(notes[0] - 12)
+    osc.connect(envelope(ctx, dest, t + b * beat, timbre.bass, beat * 1.8))
+    osc.start(t + b * beat)
+    osc.stop(t + (b + 2) * beat)
+  }
+}
+
+// Schedules `bars` bars of backing into `destination`, starting at `when`
+// (context time). Returns the length in seconds.
+export function scheduleBacking(ctx, destination, { genre = 'pop', mood = 'chill', bpm = 100, bars = 8, when = 0 }) {
+  const drums = DRUMS[genre] || DRUMS.pop
+  const timbre = TIMBRE[genre] || TIMBRE.pop
+  const progression = PROGRESSIONS[mood] || PROGRESSIONS.chill
+  const bar = barSeconds(bpm)
+  const step = bar / STEPS
+  const voices = [['kick', kick], ['snare', snare], ['hat', hat]]
+  for (let b = 0; b < bars; b++) {
+    const t0 = when + b * bar
+    chord(ctx, destination, t0, bar, progression[b % progression.length], timbre)
+    for (let s = 0; s < STEPS; s++) {
+      // Swing delays every second 8th note by a fraction of a 16th.
+      const swing = drums.swing && s % 4 === 2 ? drums.swing * step : 0
+      const t = t0 + s * step + swing
+      for (const [name, play] of voices) {
+        const hit = drums[name][s]
+        if (hit === 'x') play(ctx, destination, t, 1)
+        else if (hit === 'o') play(ctx, destination, t, 0.4)
+      }
+    }
+  }
+  return bars * bar
+}
+
+// Decodes an audio URL (data: or blob: included) on `ctx`.
+export async function decodeClip(ctx, src) {
+  const res = await fetch(src)
+  return ctx.decodeAudioData(await res.arrayBuffer())
+}
+
+// Number of backing bars for a mix: one count-in bar, then enough bars to
+// cover the vocal (or `fallbackBars` when there is none).
+export function mixBars(bpm, vocalSeconds, fallbackBars = 8) {
+  const body = vocalSeconds > 0 ? Math.ceil(vocalSeconds / barSeconds(bpm)) : fallbackBars
+  return 1 + Math.max(1, body)
+}
+
+// Wires backing and (optional) vocal through their own gain nodes into
+// ctx.destination. The vocal enters after the count-in bar. Returns the
+// gains so live playback can adjust them, and the total length in seconds.
+export function scheduleMix(ctx, { style, vocal, backingVolume, vocalVolume, bars, when = 0 }) {
+  const backingGain = ctx.createGain()
+  backingGain.gain.value = backingVolume
+  backingGain.connect(ctx.destination)
+  const seconds = scheduleBacking(ctx, backingGain, { ...style, bars, when })
+  const vocalGain = ctx.createGain()
+  vocalGain.gain.value = vocalVolume
+  vocalGain.connect(ctx.destination)
+  if (vocal) {
+    const src = ctx.createBufferSource()
+    src.buffer = vocal
+    src.connect(vocalGain)
+    src.start(when + barSeconds(style.bpm))
+  }
+  return { backingGain, vocalGain, seconds }
+}
+
+const MIX_RATE = 44100
+
+// Renders the mix offline and returns a stereo WAV as a Uint8Array.
+export async function renderMix({ style, vocalSrc, backingVolume, vocalVolume, fallbackBars }) {
+  // Decode on a throwaway context first: the offline one needs its length up front.
+  const probe = new OfflineAudioContext(2, 1, MIX_RATE)
+  const vocal = vocalSrc ? await decodeClip(probe, vocalSrc) : null
+  const bars = mixBars(style.bpm, vocal ? vocal.duration : 0, fallbackBars)
+  const seconds = Math.max(bars * barSeconds(style.bpm), vocal ? barSeconds(style.bpm) + vocal.duration : 0)
+  const ctx = new OfflineAudioContext(2, Math.ceil((seconds + 0.5) * MIX_RATE), MIX_RATE)
+  scheduleMix(ctx, { style, vocal, backingVolume, vocalVolume, bars })
+  const rendered = await ctx.startRendering()
+  return encodeWav([rendered.getChannelData(0), rendered.getChannelData(1)], MIX_RATE)
+}
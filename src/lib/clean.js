@@ -0,0 +1,107 @@
+// Cleaning pass for imported lyric files. Each step can be toggled; they run
+// in the order listed, after line endings have been normalized. Steps get
+// the file's extension, for rules that only make sense in one format.
+
+const CHORD = '[A-G](?:#|b)?(?:maj|min|m|dim|aug|sus|add)?\\d*(?:/[A-G](?:#|b)?)?'
+const CHORD_LINE_RE = new RegExp(`^\\s*(?:${CHORD}\\s*)+$`)
+const INLINE_CHORD_RE = new RegExp(`\\[${CHORD}\\]`, 'g')
+// "00:00:01,000 --> 00:00:04,000" (SRT) or "00:01.000 --> 00:04.000" (WebVTT)
+const TIMECODE = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}[,.]\\d{1,3}'
+const SRT_TIMING_RE = new RegExp(`^\\s*${TIMECODE}\\s*-->\\s*${TIMECODE}`)
+const CUE_NUMBER_RE = /^\s*\d+\s*$/
+const SECTION_WORDS = 'intro|verse|pre-?chorus|chorus|hook|bridge|outro|refrain|interlude|instrumental|breakdown|coda|tag'
+const SECTION_RE = new RegExp(`^\\s*(?:[\\[({]\\s*(?:${SECTION_WORDS})[^\\])}]*[\\])}]|(?:${SECTION_WORDS})(?:\\s*\\d+)?\\s*:)\\s*$`, 'i')
+
+// Labels live in the locale catalogs under `clean.<id>`.
+export const CLEANING_STEPS = [
+  {
+    id: 'nonPrinting',
+    // ZWNJ/ZWJ (U+200C/U+200D) stay: Devanagari conjuncts and joined emoji
+    // need them. Unicode line and paragraph separators become line breaks.
+    apply: (text) =>
+      text
+        .replace(/[\u2028\u2029]/g, '\n')
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\u0000-\u0008\u000b-\u001f\u007f\u00ad\u200b\u200e\u200f\u2060\ufeff]/g, ''),
+  },
+  {
+    id: 'timestamps',
+    apply: (text) => {
+      const lines = text.split('\n')
+      return lines
+        // SRT timing lines, and cue numbers only where a timing line follows,
+        // so a line of digits in plain lyrics survives
+        .filter((l, i) => !SRT_TIMING_RE.test(l) && !(CUE_NUMBER_RE.test(l) && SRT_TIMING_RE.test(lines[i + 1] || '')))
+        // LRC metadata tags such as [ar:Artist] and [length:03:20]
+        .filter((l) => !/^\s*\[[a-z]+:[^\]]*\]\s*$/i.test(l))
+        .map((l) => l.replace(/\[\d{1,2}:\d{2}(?:[.:]\d{1,3})?\]/g, '').replace(/<\d{1,2}:\d{2}(?:[.:]\d{1,3})?>/g, ''))
+        .join('\n')
+    },
+  },
+  {
+    id: 'markup',
+    apply: (text, { format } = {}) =>
+      text
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .split('\n')
+        // Markdown syntax only in Markdown files: a leading "- " or *stars*
+        // in plain lyrics are part of the text. _emphasis_ never inside a word.
+        .map((l) =>
+          format === '.md'
+            ? l
+                .replace(/^\s{0,3}(?:#{1,6}\s+|>\s?|[-*+]\s+(?=\S))/, '')
+                .replace(/(\*\*|\*|`)(.+?)\1/g, '$2')
+                .replace(/(^|[^\p{L}\p{N}_])(__|_)(?=\S)(.+?)(?<=\S)\2(?![\p{L}\p{N}_])/gu, '$1$3')
+            : l,
+        )
+        .join('\n'),
+  },
+  {
+    id: 'chords',
+    apply: (text) =>
+      text
+        .split('\n')
+        .filter((l) => !(l.trim() && CHORD_LINE_RE.test(l)))
+        .map((l) => l.replace(INLINE_CHORD_RE, ''))
+        .join('\n'),
+  },
+  {
+    id: 'sections',
+    apply: (text) =>
+      text
+        .split('\n')
+        .filter((l) => !SECTION_RE.test(l) && !/^\s*\{(?:start|end)_of_\w+\}\s*$/i.test(l))
+        .join('\n'),
+  },
+  {
+    id: 'blankLines',
+    apply: (text) =>
+      text
+        .split('\n')
+        .map((l) => l.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim(),
+  },
+]
+
+export const DEFAULT_CLEANING = Object.fromEntries(CLEANING_STEPS.map((s) => [s.id, true]))
+
+// `format` is the file extension ('.md', '.srt', ...), if known.
+export function cleanText(text, options = DEFAULT_CLEANING, format = '') {
+  let out = (text || '').replace(/\r\n?/g, '\n')
+  for (const step of CLEANING_STEPS) {
+    if (options[step.id]) out = step.apply(out, { format })
+  }
+  return out
+}
+
+export const extensionOf = (name) => (name.match(/\.[^.]+$/)?.[0] || '').toLowerCase()
+
+export const IMPORT_EXTENSIONS = ['.txt', '.md', '.lrc', '.srt']
+
+// Lyric files are small; anything bigger is almost certainly the wrong file.
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024
+
+export const titleFromFilename = (name) => name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Untitled'
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_CLEANING, cleanText, extensionOf, titleFromFilename } from './clean'
+
+const only = (id) => ({ [id]: true })
+
+describe('cleanText', () => {
+  it('normalizes line endings', () => {
+    expect(cleanText('one\r\ntwo\rthree', {})).toBe('one\ntwo\nthree')
+  })
+
+  it('runs no step that is switched off', () => {
+    expect(cleanText('[Chorus]\n\n\n\n- line', {}, '.md')).toBe('[Chorus]\n\n\n\n- line')
+  })
+
+  describe('non-printing characters', () => {
+    it('removes zero-width spaces, BOMs, soft hyphens and control characters', () => {
+      expect(cleanText('\ufeffsun\u200bshine\u00ad\u0007', only('nonPrinting'))).toBe('sunshine')
+    })
+
+    it('keeps ZWNJ and ZWJ, which Devanagari conjuncts and joined emoji need', () => {
+      const hindi = 'क्\u200dष और क्\u200cष'
+      const family = '👩\u200d👩\u200d👧'
+      expect(cleanText(`${hindi} ${family}`, only('nonPrinting'))).toBe(`${hindi} ${family}`)
+    })
+
+    it('turns Unicode line and paragraph separators into line breaks', () => {
+      expect(cleanText('first\u2028second\u2029third', only('nonPrinting'))).toBe('first\nsecond\nthird')
+    })
+  })
+
+  describe('timestamps', () => {
+    it('drops SRT cue numbers and timing lines', () => {
+      const srt = '1\n00:00:01,000 --> 00:00:04,000\nHello there\n\n2\n00:00:05,000 --> 00:00:07,500\nGoodbye'
+      expect(cleanText(srt, only('timestamps'), '.srt')).toBe('Hello there\n\nGoodbye')
+    })
+
+    it('keeps a line of digits that is not a cue number', () => {
+      expect(cleanText('Count with me\n99\nand on', only('timestamps'))).toBe('Count with me\n99\nand on')
+    })
+
+    it('strips LRC line and word timestamps and metadata tags', () => {
+      const lrc = '[ar:Someone]\n[length:03:20]\n[00:12.34]Under the <00:13.00>lights\n[01:02]Again'
+      expect(cleanText(lrc, only('timestamps'), '.lrc')).toBe('Under the lights\nAgain')
+    })
+  })
+
+  describe('markup', () => {
+    it('removes subtitle tags in any format', () => {
+      expect(cleanText('<i>softly</i> {\\an8}now', only('markup'), '.srt')).toBe('softly now')
+    })
+
+    it('leaves Markdown-like text alone outside .md files', () => {
+      const lyrics = '- dash line\n*whispered* words\n# number one\nsnake_case _under_'
+      for (const format of ['.txt', '.lrc', '.srt', '']) {
+        expect(cleanText(lyrics, only('markup'), format)).toBe(lyrics)
+      }
+    })
+
+    it('strips Markdown syntax in .md files', () => {
+      const md = '# Title\n> quoted\n- item\n**bold** and *em* and `code`\n__strong__ _under_'
+      expect(cleanText(md, only('markup'), '.md')).toBe('Title\nquoted\nitem\nbold and em and code\nstrong under')
+    })
+
+    it('keeps underscores inside words in .md files', () => {
+      expect(cleanText('snake_case and my_var_name', only('markup'), '.md')).toBe('snake_case and my_var_name')
+    })
+  })
+
+  it('removes chord lines and inline chords', () => {
+    expect(cleanText('C  G  Am  F\n[C]Let it [G/B]be', only('chords'))).toBe('Let it be')
+  })
+
+  it('removes section tags', () => {
+    expect(cleanText('[Chorus]\nla la\nVerse 2:\n{start_of_chorus}\nhey', only('sections'))).toBe('la la\nhey')
+  })
+
+  it('collapses runs of blank lines and trims trailing space', () => {
+    expect(cleanText('\n\none  \n\n\n\ntwo\t\n\n', only('blankLines'))).toBe('one\n\ntwo')
+  })
+
+  it('cleans a whole file with the default steps', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:02,000\n<i>- Hey</i>\u200b\n\n\n\n2\n00:00:03,000 --> 00:00:04,000\n[Chorus]'
+    expect(cleanText(srt, DEFAULT_CLEANING, '.srt')).toBe('- Hey')
+  })
+})
+
+describe('file names', () => {
+  it('reads the extension in lower case', () => {
+    expect(extensionOf('Song.LRC')).toBe('.lrc')
+    expect(extensionOf('README')).toBe('')
+  })
+
+  it('turns a file name into a title', () => {
+    expect(titleFromFilename('my_best-song.txt')).toBe('my best song')
+    expect(titleFromFilename('.txt')).toBe('Untitled')
+  })
+})
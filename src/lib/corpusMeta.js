@@ -0,0 +1,63 @@
+// Corpus metadata shared by the library, the corpus drawer and the save
+// form: types, languages (the TTS language codes), tags, text statistics,
+// and filtering/sorting of the library list.
+
+export const CORPUS_TYPES = [
+  { value: 'lyrics', label: 'Lyrics' },
+  { value: 'poem', label: 'Poem' },
+  { value: 'generic', label: 'Generic' },
+]
+
+export const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'en-uk', label: 'English (UK)' },
+  { value: 'en-au', label: 'English (AU)' },
+  { value: 'hi', label: 'Hindi' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+  { value: 'ja', label: 'Japanese' },
+]
+
+export const labelOf = (options, value) => options.find((o) => o.value === value)?.label || value
+
+export function textStats(text = '') {
+  const words = text.match(/\S+/g)
+  return { chars: text.length, words: words ? words.length : 0 }
+}
+
+// "Love, night  ,love" -> ['love', 'night']
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',')
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))]
+}
+
+export const formatTags = (tags) => (tags || []).join(', ')
+
+// normalizeCorpus leaves `created_at` empty when the backend sent no usable
+// date; such corpora sort as the oldest.
+const timeOf = (c) => Date.parse(c.created_at) || 0
+
+// Labels live in the locale catalogs under `sort.<key>`.
+export const LIBRARY_SORTS = {
+  newest: { compare: (a, b) => timeOf(b) - timeOf(a) },
+  oldest: { compare: (a, b) => timeOf(a) - timeOf(b) },
+  title: { compare: (a, b) => a.title.localeCompare(b.title) },
+  longest: { compare: (a, b) => b.word_count - a.word_count },
+}
+
+// `filters` is { query, type, language, tag }; empty values match all.
+export function filterLibrary(list, { query = '', type = '', language = '', tag = '' } = {}, sort = 'newest') {
+  const q = query.trim().toLowerCase()
+  return list
+    .filter((c) => !type || c.type === type)
+    .filter((c) => !language || c.language === language)
+    .filter((c) => !tag || c.tags.includes(tag))
+    .filter((c) => !q || c.title.toLowerCase().includes(q) || c.text.toLowerCase().includes(q) || c.tags.some((t) => t.includes(q)))
+    .sort((LIBRARY_SORTS[sort] || LIBRARY_SORTS.newest).compare)
+}
+
+// Every tag used in the library, alphabetically.
+export function allTags(list) {
+  return [...new Set(list.flatMap((c) => c.tags))].sort()
+}
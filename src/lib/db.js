@@ -0,0 +1,52 @@
+// The app's IndexedDB database. Each store belongs to one module:
+// history (lib/history), library mirrors and the offline save queue
+// (lib/offline). Upgrades only ever add stores.
+
+import { MessageError } from './i18n'
+
+const DB_NAME = 'lyric-generator'
+const DB_VERSION = 2
+
+let dbPromise = null
+
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true })
+    history.createIndex('createdAt', 'createdAt')
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore('mirror', { keyPath: 'baseUrl' })
+    const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true })
+    outbox.createIndex('baseUrl', 'baseUrl')
+  }
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new MessageError('error.storageUnavailable'))
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion)
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Runs `fn(store)` in a transaction on `storeName`; resolves to the result
+// of the request `fn` returns once the transaction completes.
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
@@ -0,0 +1,158 @@
+// Endpoint smoke tests for the diagnostics page (/test). Each check makes
+// one small real request and reports status, latency, whether the response
+// has the shape the app relies on, and why it failed if it did. Messages
+// are catalog keys with variables ({ key, vars }) for the page to translate.
+
+import { HttpError, TimeoutError } from './api'
+import { DEFAULT_LOCALE, translate } from './i18n'
+
+const SAMPLE_TEXT = 'the quick brown fox jumps over the lazy dog. the dog sleeps in the sun.'
+
+const isObject = (d) => d && typeof d === 'object' && !Array.isArray(d)
+const pass = (key, vars = {}) => ({ ok: true, summary: { key, vars } })
+const fail = (key, vars = {}) => ({ ok: false, summary: { key, vars } })
+
+export const CHECKS = [
+  {
+    id: 'health',
+    label: 'Health',
+    method: 'GET',
+    path: '/',
+    shape: (d) => (!isObject(d) ? fail('test.shape.notObject') : d.message ? pass('test.message', { message: d.message }) : pass('test.shape.object')),
+  },
+  {
+    id: 'database',
+    label: 'Database status',
+    method: 'GET',
+    path: '/test',
+    shape: (d) => (isObject(d) && ('database' in d || 'connection_status' in d)
+      ? pass('test.shape.database', { database: d.database ?? '?', status: d.connection_status ?? '?' })
+      : fail('test.shape.noDatabase')),
+    // What the old status page listed; labels are `test.detail.<field>`.
+    details: (d) =>
+      ['backend', 'database', 'database_url', 'database_name', 'connection_status', 'collections']
+        .filter((field) => d[field] != null && d[field] !== '' && !(Array.isArray(d[field]) && !d[field].length))
+        .map((field) => ({ field, value: Array.isArray(d[field]) ? d[field].join(', ') : String(d[field]) })),
+  },
+  {
+    id: 'corpora',
+    label: 'List corpora',
+    method: 'GET',
+    path: '/corpus',
+    shape: (d) => {
+      const items = Array.isArray(d) ? d : d?.items
+      if (!Array.isArray(items)) return fail('test.shape.notList')
+      const bad = items.find((c) => !(c?.id ?? c?._id) || typeof (c.text ?? c.content ?? '') !== 'string')
+      return bad ? fail('test.shape.badItem') : pass('test.shape.corpora', { count: items.length })
+    },
+  },
+  {
+    id: 'generate',
+    label: 'Generate',
+    method: 'POST',
+    path: '/generate',
+    body: { text: SAMPLE_TEXT, raw_text: SAMPLE_TEXT, unit: 'char', order: 2, length: 40, temperature: 1, random_seed: 1 },
+    shape: (d) => {
+      const out = typeof d === 'string' ? d : d?.output ?? d?.result
+      return typeof out === 'string' && out.length ? pass('test.shape.output', { count: out.length }) : fail('test.shape.noOutput')
+    },
+  },
+  {
+    id: 'tts',
+    label: 'Text to speech',
+    method: 'POST',
+    path: '/tts',
+    body: { text: 'hello', voice: 'female', language: 'en', slow: false },
+    shape: (d) => {
+      const audio = d?.audio_base64 ?? d?.audio
+      if (typeof audio !== 'string' || !audio) return fail('test.shape.noAudio')
+      const size = Math.round((audio.length * 3) / 4 / 1024)
+      const mime = d.mime_type || d.mimeType
+      return mime ? pass('test.shape.audio', { mime, size }) : pass('test.shape.audioAssumed', { size })
+    },
+    audio: (d) => `data:${d.mime_type || d.mimeType || 'audio/mpeg'};base64,${d.audio_base64 ?? d.audio}`,
+  },
+]
+
+// A failed fetch does not say whether CORS or the network was at fault.
+// An opaque no-cors request still succeeds when the server is reachable,
+// so success there means the browser blocked the real request on CORS.
+async function classifyUnreachable(baseUrl) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), 5000)
+  try {
+    await fetch(`${baseUrl}/`, { mode: 'no-cors', cache: 'no-store', signal: controller.signal })
+    return 'cors'
+  } catch {
+    return 'network'
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Resolves to { id, label, method, path, status, latencyMs, ok, shape,
+// failure, message, details, audioSrc }. `failure` is null, 'http', 'shape',
+// 'cors', 'network' or 'timeout'; `message` is { key, vars }; `details` is
+// [{ field, value }] from the response, when the check lists any. Never
+// rejects.
+export async function runCheck(api, check) {
+  const base = { id: check.id, label: check.label, method: check.method, path: check.path }
+  const started = performance.now()
+  const elapsed = () => Math.round(performance.now() - started)
+  try {
+    const res = await api.request(check.path, { method: check.method, body: check.body, headers: { Accept: 'application/json' } })
+    const raw = await res.text()
+    const latencyMs = elapsed()
+    let data = raw
+    try { data = JSON.parse(raw) } catch { /* keep the raw text */ }
+    const shape = check.shape(data)
+    return {
+      ...base,
+      status: res.status,
+      latencyMs,
+      ok: shape.ok,
+      shape,
+      failure: shape.ok ? null : 'shape',
+      message: shape.summary,
+      details: shape.ok && check.details ? check.details(data) : [],
+      audioSrc: shape.ok && check.audio ? check.audio(data) : null,
+    }
+  } catch (e) {
+    const latencyMs = elapsed()
+    if (e instanceof HttpError) {
+      return { ...base, status: e.status, latencyMs, ok: false, shape: null, failure: 'http', message: { key: 'test.message', vars: { message: e.message } }, details: [], audioSrc: null }
+    }
+    const failure = e instanceof TimeoutError ? 'timeout' : await classifyUnreachable(api.baseUrl)
+    return { ...base, status: null, latencyMs, ok: false, shape: null, failure, message: { key: `test.hint.${failure}`, vars: { error: e.message } }, details: [], audioSrc: null }
+  }
+}
+
+// Runs every check in order, reporting each result as it lands.
+export async function runDiagnostics(api, { onResult } = {}) {
+  const results = []
+  for (const check of CHECKS) {
+    const result = await runCheck(api, check)
+    results.push(result)
+    onResult?.(result, results.slice())
+  }
+  return results
+}
+
+// JSON-ready report with messages in English; audio payloads are left out.
+export function buildReport(baseUrl, results, profileName = null) {
+  return {
+    generatedAt: new Date().toISOString(),
+    profile: profileName,
+    baseUrl,
+    origin: typeof location !== 'undefined' ? location.origin : null,
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    passed: results.filter((r) => r.ok).length,
+    total: results.length,
+    checks: results.map(({ audioSrc, message, details, ...rest }) => ({
+      ...rest,
+      message: message && translate(DEFAULT_LOCALE, message.key, message.vars),
+      details: Object.fromEntries((details || []).map(({ field, value }) => [field, value])),
+      audio: audioSrc ? 'received' : null,
+    })),
+  }
+}
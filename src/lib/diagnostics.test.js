@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest'
+import { CHECKS, buildReport, runCheck } from './diagnostics'
+
+const database = CHECKS.find((c) => c.id === 'database')
+const answering = (body) => ({ baseUrl: 'http://backend.test', request: async () => new Response(JSON.stringify(body)) })
+
+describe('database check', () => {
+  const status = {
+    backend: 'running',
+    database: 'MongoDB',
+    database_url: 'mongodb://db:27017',
+    database_name: 'lyrics',
+    connection_status: 'connected',
+    collections: ['corpus', 'users'],
+  }
+
+  it('lists the connection details the backend reports', async () => {
+    const result = await runCheck(answering(status), database)
+    expect(result.ok).toBe(true)
+    expect(result.details).toEqual([
+      { field: 'backend', value: 'running' },
+      { field: 'database', value: 'MongoDB' },
+      { field: 'database_url', value: 'mongodb://db:27017' },
+      { field: 'database_name', value: 'lyrics' },
+      { field: 'connection_status', value: 'connected' },
+      { field: 'collections', value: 'corpus, users' },
+    ])
+  })
+
+  it('leaves out fields the backend does not send', async () => {
+    const result = await runCheck(answering({ database: 'MongoDB', collections: [] }), database)
+    expect(result.details).toEqual([{ field: 'database', value: 'MongoDB' }])
+  })
+
+  it('carries the details into the exported report', async () => {
+    const result = await runCheck(answering(status), database)
+    const [check] = buildReport('http://backend.test', [result]).checks
+    expect(check.details).toMatchObject({ database_url: 'mongodb://db:27017', database_name: 'lyrics', collections: 'corpus, users' })
+    expect(check.message).toBe('MongoDB · connected')
+  })
+})
@@ -0,0 +1,42 @@
+// Line diff (longest common subsequence) laid out for a side-by-side view:
+// each row has a left and right cell; removed and added lines that sit
+// together are paired on the same row.
+
+export function diffLines(a, b) {
+  const left = (a || '').split('\n')
+  const right = (b || '').split('\n')
+  const n = left.length
+  const m = right.length
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const rows = []
+  let dels = []
+  let adds = []
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+      rows.push({ type: 'change', left: dels[k] ?? null, right: adds[k] ?? null })
+    }
+    dels = []
+    adds = []
+  }
+  let i = 0
+  let j = 0
+  while (i < n || j < m) {
+    if (i < n && j < m && left[i] === right[j]) {
+      flush()
+      rows.push({ type: 'same', left: left[i], right: right[j] })
+      i++
+      j++
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      adds.push(right[j++])
+    } else {
+      dels.push(left[i++])
+    }
+  }
+  flush()
+  return rows
+}
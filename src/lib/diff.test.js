@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { diffLines } from './diff'
+
+describe('diffLines', () => {
+  it('pairs unchanged lines side by side', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'same', left: 'b', right: 'b' },
+    ])
+  })
+
+  it('puts a replaced line on the same row as its replacement', () => {
+    expect(diffLines('a\nold\nc', 'a\nnew\nc')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'change', left: 'old', right: 'new' },
+      { type: 'same', left: 'c', right: 'c' },
+    ])
+  })
+
+  it('leaves the other side empty for added and removed lines', () => {
+    expect(diffLines('a', 'a\nb')).toEqual([
+      { type: 'same', left: 'a', right: 'a' },
+      { type: 'change', left: null, right: 'b' },
+    ])
+    expect(diffLines('a\nb', '')).toEqual([
+      { type: 'change', left: 'a', right: '' },
+      { type: 'change', left: 'b', right: null },
+    ])
+  })
+})
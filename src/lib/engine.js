@@ -0,0 +1,46 @@
+// Entry point of the local engine, shared by the Web Worker and the
+// main-thread fallback: picks plain or rhyme-constrained generation.
+
+import { blendModels, generate, trainModel } from './ngram'
+import { buildRhymeIndex, patternOf } from './rhyme'
+import { seededRandom } from './random'
+import { generateVerse } from './verse'
+
+// Retraining is the expensive part, so keep recent models around while the
+// corpus, unit and order stay the same between generations. Blends train
+// one model per corpus, hence room for several.
+const CACHE_SIZE = 8
+const models = new Map()
+const rhymeIndexes = new Map()
+
+function remember(cache, key, build) {
+  if (cache.has(key)) {
+    const value = cache.get(key)
+    cache.delete(key)
+    cache.set(key, value)
+    return value
+  }
+  const value = build()
+  cache.set(key, value)
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value)
+  return value
+}
+
+const modelFor = (text, unit, order) =>
+  remember(models, `${unit}|${order}|${text}`, () => trainModel(text, order, unit))
+
+const rhymeIndexFor = (text) => remember(rhymeIndexes, text, () => buildRhymeIndex(text))
+
+// `params.sources` ([{ text, weight }]) blends several corpora; otherwise
+// `params.text` is the single corpus. A numeric `params.randomSeed` makes
+// the output reproducible.
+export function runEngine(input) {
+  const params = input.randomSeed == null ? input : { ...input, random: seededRandom(input.randomSeed) }
+  const sources = params.sources?.length ? params.sources : [{ text: params.text, weight: 1 }]
+  const model = sources.length === 1
+    ? modelFor(sources[0].text, params.unit, params.order)
+    : blendModels(sources.map((s) => ({ model: modelFor(s.text, params.unit, params.order), weight: s.weight })))
+  if (!patternOf(params.scheme)) return generate(model, params)
+  const rhymeIndex = rhymeIndexFor(sources.map((s) => s.text).join('\n'))
+  return generateVerse(model, { ...params, rhymeIndex })
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { runEngine } from './engine'
+
+const corpus = `The night is young and the city is bright
+We ride the light until the morning comes
+Hold me close and never let me go tonight
+The river sings and the thunder drums`
+
+const params = { text: corpus, unit: 'word', order: 1, temperature: 1.2, length: 40, scheme: 'free' }
+
+describe('runEngine', () => {
+  it('repeats its output for the same random seed', () => {
+    expect(runEngine({ ...params, randomSeed: 42 })).toBe(runEngine({ ...params, randomSeed: 42 }))
+  })
+
+  it('varies the output with the seed', () => {
+    const outputs = new Set([1, 2, 3, 4, 5].map((randomSeed) => runEngine({ ...params, randomSeed })))
+    expect(outputs.size).toBeGreaterThan(1)
+  })
+
+  it('is reproducible for blends and rhyme schemes too', () => {
+    const blend = { ...params, sources: [{ text: corpus, weight: 0.7 }, { text: 'la la la la la la', weight: 0.3 }], scheme: 'AABB', randomSeed: 7 }
+    expect(runEngine(blend)).toBe(runEngine(blend))
+  })
+
+  it('continues from a starting phrase', () => {
+    expect(runEngine({ ...params, seed: 'Hold me', randomSeed: 3 })).toMatch(/^Hold me/)
+  })
+})
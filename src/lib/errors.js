@@ -0,0 +1,45 @@
+// Errors raised by the backend client (lib/api) and the response readers
+// it uses (lib/stream). Re-exported from lib/api, where callers import them.
+
+// `message` is the English text, for logs; a catalog `key` (and `vars`)
+// lets the UI word the error in its own locale (see errorText).
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null, path = '', key = null, vars = {} } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.detail = detail
+    this.path = path
+    if (key) Object.assign(this, { key, vars })
+  }
+}
+
+// The server answered with a non-2xx status; `detail` is its explanation.
+export class HttpError extends ApiError {
+  constructor(status, detail, path) {
+    super(detail || `Request failed with status ${status}`, { status, detail, path })
+    this.name = 'HttpError'
+    // Without a detail from the server, the UI words the status itself.
+    if (!detail) Object.assign(this, { key: 'error.httpStatus', vars: { status: String(status) } })
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS, refused).
+export class NetworkError extends ApiError {
+  constructor(cause, path) {
+    super(cause?.message || 'Network error', { path })
+    this.name = 'NetworkError'
+    this.cause = cause
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(ms, path) {
+    super(`Request timed out after ${ms} ms`, { path })
+    this.name = 'TimeoutError'
+    this.key = 'error.timeout'
+    this.vars = { seconds: ms / 1000 }
+  }
+}
+
+export const isUnreachable = (err) => err instanceof NetworkError
@@ -0,0 +1,99 @@
+// Serializers for the Output panel's export menu. All of them work from the
+// bar layout, so line breaks and LRC timings match what is shown on screen.
+
+import { DEFAULT_LOCALE, translate } from './i18n'
+import { layoutText } from './layout'
+
+// Labels default to English; the UI passes the `t` of the current locale.
+const english = (key, vars) => translate(DEFAULT_LOCALE, key, vars)
+
+export const slugify = (s) =>
+  (s || 'lyrics').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'lyrics'
+
+export const sectionLabel = (i, t = english) => t('sheet.verse', { number: i + 1 })
+
+// Human-readable settings, in form order, for headers and the lyric sheet.
+// Without a settings snapshot only the layout's own rows remain.
+export function settingRows(settings, layout, t = english) {
+  settings ??= {}
+  const rows = [
+    [t('sheet.source'), settings.sources?.map((s) => (settings.sources.length > 1 ? `${s.title} (${Math.round(s.weight * 100)}%)` : s.title)).join(', ')],
+    [t('sheet.model'), settings.unit && t('sheet.modelValue', { unit: t(`unit.${settings.unit}`), order: settings.order })],
+    [t('form.temperature'), settings.temperature?.toFixed(2)],
+    [t('form.length'), settings.length],
+    [t('sheet.startingPhrase'), settings.seed],
+    [t('form.randomSeed'), settings.randomSeed],
+    [t('form.rhymeScheme'), settings.rhymeScheme !== 'free' && settings.rhymeScheme && t(`rhyme.${settings.rhymeScheme}`)],
+    [t('form.genre'), settings.genre && t(`genre.${settings.genre}`)],
+    [t('form.flow'), layout.flow && t(`flow.${layout.flow}`)],
+    [t('form.mood'), settings.mood && t(`mood.${settings.mood}`)],
+    [t('form.bpm'), layout.bpm],
+    [t('form.voice'), settings.voice && [t(`voice.${settings.voice}`), t(`language.${settings.language}`), settings.slow && t('sheet.slow')].filter(Boolean).join(', ')],
+  ]
+  return rows.filter(([, v]) => v !== undefined && v !== null && v !== '' && v !== false)
+}
+
+export function toPlainText(layout) {
+  return layoutText(layout) + '\n'
+}
+
+export function toMarkdown({ title, settings, layout }, t = english) {
+  const header = settingRows(settings, layout, t).map(([k, v]) => `| ${k} | ${String(v).replace(/\|/g, '\\|')} |`)
+  const body = layout.stanzas.map((s, i) => `### ${sectionLabel(i, t)}\n\n${s.map((l) => l.text).join('  \n')}`)
+  return [`# ${title || t('common.untitled')}`, '', `| ${t('sheet.setting')} | ${t('sheet.value')} |`, '| --- | --- |', ...header, '', ...body.flatMap((b) => [b, ''])].join('\n')
+}
+
+const lrcTime = (seconds) => {
+  const m = Math.floor(seconds / 60)
+  const s = seconds - m * 60
+  return `${String(m).padStart(2, '0')}:${s.toFixed(2).padStart(5, '0')}`
+}
+
+// One timestamp per bar-line: bar N starts (N - 1) bars into the song.
+export function toLrc({ title, layout }) {
+  const head = [`[ti:${title || 'Untitled'}]`, '[re:Creative Music & Poetry Generator]']
+  const lines = layout.stanzas.flatMap((s) => s.map((l) => `[${lrcTime((l.bar - 1) * layout.secondsPerBar)}]${l.text}`))
+  return [...head, ...lines].join('\n') + '\n'
+}
+
+export function toJson({ title, text, settings, layout }) {
+  return JSON.stringify(
+    {
+      title,
+      text,
+      settings,
+      layout: {
+        bpm: layout.bpm,
+        flow: layout.flow,
+        syllablesPerBar: layout.perBar,
+        secondsPerBar: layout.secondsPerBar,
+        lines: layout.stanzas.flatMap((s, i) =>
+          s.map((l) => ({ section: sectionLabel(i), bar: l.bar, text: l.text, syllables: l.syllables, seconds: l.seconds })),
+        ),
+      },
+      exportedAt: new Date().toISOString(),
+    },
+    null,
+    2,
+  )
+}
+
+export function downloadFile(filename, content, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const AUDIO_EXTENSIONS = { 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/ogg': 'ogg', 'audio/webm': 'webm' }
+
+// File extension for a data: URL or MIME type, defaulting to mp3 (gTTS).
+export function audioExtension(srcOrMime) {
+  const mime = (srcOrMime || '').replace(/^data:/, '').split(/[;,]/)[0]
+  return AUDIO_EXTENSIONS[mime] || 'mp3'
+}
@@ -0,0 +1,47 @@
+// Generation history kept in IndexedDB so it survives reloads. Each entry
+// is { id, createdAt, output, engine, favorite, params } where `params` is
+// the full form snapshot needed to restore the generation. Snapshots can
+// hold a whole inline Source Text, so only MAX_HISTORY entries are kept.
+
+import { withStore } from './db'
+
+const STORE = 'history'
+
+// Newest first.
+export async function listHistory() {
+  const all = await withStore(STORE, 'readonly', (store) => store.index('createdAt').getAll())
+  return all.reverse()
+}
+
+export const MAX_HISTORY = 100
+
+// Adds `entry`, then deletes the oldest unstarred entries past MAX_HISTORY
+// in the same transaction. Resolves to { entry, removed } where `removed`
+// lists the deleted ids.
+export async function addHistory(entry) {
+  const record = { favorite: false, createdAt: new Date().toISOString(), ...entry }
+  const removed = []
+  const id = await withStore(STORE, 'readwrite', (store) => {
+    const added = store.add(record)
+    const all = store.index('createdAt').getAll()
+    all.onsuccess = () => {
+      const extra = all.result.length - MAX_HISTORY
+      if (extra <= 0) return
+      for (const old of all.result.filter((e) => !e.favorite).slice(0, extra)) {
+        store.delete(old.id)
+        removed.push(old.id)
+      }
+    }
+    return added
+  })
+  return { entry: { ...record, id }, removed }
+}
+
+export async function updateHistory(entry) {
+  await withStore(STORE, 'readwrite', (store) => store.put(entry))
+  return entry
+}
+
+export function deleteHistory(id) {
+  return withStore(STORE, 'readwrite', (store) => store.delete(id))
+}
@@ -0,0 +1,108 @@
+// UI localization: message catalogs for the languages the voice already
+// speaks, browser locale detection, a persisted manual choice, and Intl
+// formatting. Messages are flat dotted keys; anything missing from a catalog
+// falls back to English, then to the key itself.
+
+import en from '../locales/en'
+import hi from '../locales/hi'
+import es from '../locales/es'
+import fr from '../locales/fr'
+import de from '../locales/de'
+import ja from '../locales/ja'
+
+const CATALOGS = { en, hi, es, fr, de, ja }
+
+// Labels are in their own language so the switcher reads right in any locale.
+export const UI_LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी' },
+  { value: 'es', label: 'Español' },
+  { value: 'fr', label: 'Français' },
+  { value: 'de', label: 'Deutsch' },
+  { value: 'ja', label: '日本語' },
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const STORAGE_KEY = 'lyric-generator:locale'
+
+const supported = (code) => (code in CATALOGS ? code : null)
+
+// First browser language we have a catalog for, matched on the base code
+// ("de-AT" -> "de").
+export function detectLocale(languages = globalThis.navigator?.languages || [globalThis.navigator?.language]) {
+  for (const lang of languages) {
+    const base = supported(String(lang || '').toLowerCase().split('-')[0])
+    if (base) return base
+  }
+  return DEFAULT_LOCALE
+}
+
+// The saved manual choice wins over detection.
+export function loadLocale() {
+  try {
+    const saved = supported(localStorage.getItem(STORAGE_KEY) || '')
+    if (saved) return saved
+  } catch {
+    // Storage blocked: fall through to detection.
+  }
+  return detectLocale()
+}
+
+export function saveLocale(locale) {
+  localStorage.setItem(STORAGE_KEY, locale)
+}
+
+const pluralRules = {}
+const pluralOf = (locale, count) => (pluralRules[locale] ||= new Intl.PluralRules(locale)).select(count)
+
+function lookup(locale, key, count) {
+  const catalog = CATALOGS[locale] || {}
+  if (typeof count === 'number') {
+    const plural = catalog[`${key}.${pluralOf(locale, count)}`] ?? catalog[`${key}.other`]
+    if (plural !== undefined) return plural
+  }
+  return catalog[key]
+}
+
+// translate('fr', 'library.pending', { count: 2 }) -> "2 en attente".
+// A numeric `count` picks `key.one` / `key.other` (etc.) by the locale's
+// plural rules and is shown with locale digit grouping.
+export function translate(locale, key, vars = {}) {
+  const count = vars.count
+  const message = lookup(locale, key, count) ?? lookup(DEFAULT_LOCALE, key, count) ?? key
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in vars)) return match
+    const value = vars[name]
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value)
+  })
+}
+
+// An error whose text lives in the catalogs. `message` is the English text,
+// for logs; the UI shows `key` in its own locale (see errorText).
+export class MessageError extends Error {
+  constructor(key, vars = {}) {
+    super(translate(DEFAULT_LOCALE, key, vars))
+    this.name = 'MessageError'
+    this.key = key
+    this.vars = vars
+  }
+}
+
+// Text of any error in `locale`. Errors carrying a catalog `key` are
+// translated; others (server details, browser messages) show as they are.
+export function errorText(locale, err) {
+  if (err?.key) return translate(locale, err.key, err.vars)
+  return err?.message || String(err)
+}
+
+export function formatNumber(locale, value, options) {
+  return new Intl.NumberFormat(locale, options).format(value)
+}
+
+// Accepts a Date, an ISO string or a timestamp; returns '' for anything
+// that is not a valid date.
+export function formatDate(locale, value, options = { dateStyle: 'medium' }) {
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : new Intl.DateTimeFormat(locale, options).format(date)
+}
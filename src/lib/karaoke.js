@@ -0,0 +1,52 @@
+// Estimated word timings for karaoke highlighting. Without alignment data
+// from the TTS engine, each word gets time in proportion to its syllables,
+// plus a short pause at line and stanza ends, scaled to the clip length.
+
+import { countSyllables } from './syllables'
+
+const LINE_PAUSE = 0.6
+const STANZA_PAUSE = 1.2
+
+// Words of a bar layout with their position, in reading order.
+export function karaokeWords(layout) {
+  const words = []
+  layout.stanzas.forEach((stanza, s) => {
+    stanza.forEach((line, l) => {
+      const parts = line.text.split(/\s+/).filter(Boolean)
+      parts.forEach((text, w) => {
+        let weight = Math.max(1, countSyllables(text))
+        if (w === parts.length - 1) weight += l === stanza.length - 1 && s < layout.stanzas.length - 1 ? STANZA_PAUSE : LINE_PAUSE
+        words.push({ text, bar: line.bar, weight })
+      })
+    })
+  })
+  return words
+}
+
+// Adds start/end seconds to each word so the total spans `duration`.
+export function timeWords(words, duration) {
+  const total = words.reduce((sum, w) => sum + w.weight, 0) || 1
+  let t = 0
+  return words.map((w, index) => {
+    const start = t
+    t += (w.weight / total) * duration
+    return { ...w, index, start, end: t }
+  })
+}
+
+// Index of the word being sung at `time`, or -1 before the first word.
+export function wordAt(timed, time) {
+  let lo = 0
+  let hi = timed.length - 1
+  let found = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (timed[mid].start <= time) {
+      found = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return found
+}
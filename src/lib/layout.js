@@ -0,0 +1,79 @@
+// Lays generated lyrics out on a bar grid. Each bar is four beats; how many
+// syllables fit in one depends on the tempo and the flow style.
+
+import { countSyllables } from './syllables'
+
+export const BEATS_PER_BAR = 4
+
+// Syllables per beat at the reference tempo. Faster tempos leave less room
+// per beat, so density is scaled down as BPM rises (and up as it falls).
+const FLOW_DENSITY = { smooth: 2, rapid: 4, story: 1.5, punchy: 2.5 }
+const REFERENCE_BPM = 90
+
+export function barSeconds(bpm) {
+  return (BEATS_PER_BAR * 60) / Math.max(1, bpm || REFERENCE_BPM)
+}
+
+export function syllablesPerBar(bpm, flow) {
+  const density = FLOW_DENSITY[flow] || FLOW_DENSITY.smooth
+  const scaled = BEATS_PER_BAR * density * Math.sqrt(REFERENCE_BPM / Math.max(1, bpm || REFERENCE_BPM))
+  return Math.min(24, Math.max(3, Math.round(scaled)))
+}
+
+// Wraps one source line into bar-sized pieces at word boundaries.
+function wrapLine(line, perBar) {
+  const words = line.trim().split(/\s+/).filter(Boolean)
+  const pieces = []
+  let current = []
+  let count = 0
+  for (const word of words) {
+    const n = countSyllables(word)
+    if (current.length && count + n > perBar) {
+      pieces.push(current.join(' '))
+      current = []
+      count = 0
+    }
+    current.push(word)
+    count += n
+  }
+  if (current.length) pieces.push(current.join(' '))
+  return pieces
+}
+
+// Returns stanzas of lines, each line fitting one bar, with its syllable
+// count, estimated sung duration and bar number. `source` is the index of
+// the original line and `lineEnd` marks the piece that carries its ending.
+export function layoutLyrics(text, { bpm, flow }) {
+  const perBar = syllablesPerBar(bpm, flow)
+  const secondsPerBar = barSeconds(bpm)
+  const secondsPerSyllable = secondsPerBar / perBar
+  const stanzas = []
+  let stanza = []
+  let bar = 1
+  ;(text || '').split('\n').forEach((line, source) => {
+    if (!line.trim()) {
+      if (stanza.length) stanzas.push(stanza)
+      stanza = []
+      return
+    }
+    const pieces = wrapLine(line, perBar)
+    pieces.forEach((piece, i) => {
+      const syllables = countSyllables(piece)
+      stanza.push({
+        text: piece,
+        syllables,
+        seconds: syllables * secondsPerSyllable,
+        bar: bar++,
+        source,
+        lineEnd: i === pieces.length - 1,
+      })
+    })
+  })
+  if (stanza.length) stanzas.push(stanza)
+  return { bpm, flow, perBar, secondsPerBar, stanzas }
+}
+
+// Plain text of a layout, one bar per line, for speaking or export.
+export function layoutText(layout) {
+  return layout.stanzas.map((s) => s.map((l) => l.text).join('\n')).join('\n\n')
+}
@@ -0,0 +1,81 @@
+import { runEngine } from './engine'
+import { MessageError } from './i18n'
+
+let worker = null
+// Set once the worker fails to load or crashes; later jobs then run on the
+// main thread instead of starting another worker.
+let workerFailed = false
+let nextId = 0
+const pending = new Map()
+
+function getWorker() {
+  if (worker || workerFailed || typeof Worker === 'undefined') return worker
+  try {
+    worker = new Worker(new URL('./ngram.worker.js', import.meta.url), { type: 'module' })
+  } catch {
+    return null
+  }
+  worker.onmessage = (e) => {
+    const { id, output, error, key, vars } = e.data
+    const job = pending.get(id)
+    if (!job) return
+    pending.delete(id)
+    if (key) job.reject(new MessageError(key, vars))
+    else if (error) job.reject(new Error(error))
+    else job.resolve(output)
+  }
+  worker.onerror = () => {
+    workerFailed = true
+    worker.terminate()
+    worker = null
+    const jobs = [...pending.values()]
+    pending.clear()
+    for (const job of jobs) runOnMainThread(job.params).then(job.resolve, job.reject)
+  }
+  return worker
+}
+
+const runOnMainThread = (params) => Promise.resolve().then(() => runEngine(params))
+
+const abortError = () => new DOMException('Generation cancelled', 'AbortError')
+
+// A running job cannot be interrupted inside the worker, so cancelling
+// terminates it; the next job starts a fresh worker.
+function cancelAll() {
+  for (const job of pending.values()) job.reject(abortError())
+  pending.clear()
+  worker?.terminate()
+  worker = null
+}
+
+// Runs the n-gram model off the main thread. Takes the same parameters as
+// the backend `/generate` payload and resolves to the text. `sources`
+// ([{ text, weight }]) blends several corpora instead of using `text`.
+export function generateLocal(
+  { text, sources = null, unit = 'char', order = 3, temperature = 1, length = 240, seed = null, random_seed: randomSeed = null, rhyme_scheme: scheme = 'free' },
+  { signal } = {},
+) {
+  if (signal?.aborted) return Promise.reject(abortError())
+  const texts = sources ? sources.map((s) => s.text) : [text]
+  if (!texts.length || texts.some((t) => !t || !t.trim())) {
+    return Promise.reject(new MessageError('error.needMoreText'))
+  }
+  const params = { text, sources, unit, order, temperature, length, seed: seed || null, randomSeed, scheme }
+  const w = getWorker()
+  if (!w) return runOnMainThread(params)
+  const id = ++nextId
+  return new Promise((resolve, reject) => {
+    const onAbort = () => cancelAll()
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const done = (fn) => (value) => {
+      signal?.removeEventListener('abort', onAbort)
+      fn(value)
+    }
+    pending.set(id, { params, resolve: done(resolve), reject: done(reject) })
+    w.postMessage({ id, params })
+  })
+}
+
+export function isAbort(err) {
+  return err?.name === 'AbortError'
+}
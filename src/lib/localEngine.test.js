@@ -0,0 +1,32 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { runEngine } from './engine'
+import { generateLocal } from './localEngine'
+
+const corpus = 'the night is young and the city is bright\nwe ride the light until the morning comes'
+
+// A worker that crashes on its first message, as a failed load would.
+class CrashingWorker {
+  static created = 0
+  constructor() {
+    CrashingWorker.created += 1
+  }
+  postMessage() {
+    setTimeout(() => this.onerror(new Event('error')))
+  }
+  terminate() {}
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('generateLocal', () => {
+  it('runs pending and later jobs on the main thread after the worker crashes', async () => {
+    vi.stubGlobal('Worker', CrashingWorker)
+    const payload = { text: corpus, unit: 'word', order: 1, length: 20, random_seed: 5 }
+    const expected = runEngine({ text: corpus, sources: null, unit: 'word', order: 1, temperature: 1, length: 20, seed: null, randomSeed: 5, scheme: 'free' })
+    await expect(generateLocal(payload)).resolves.toBe(expected)
+    await expect(generateLocal(payload)).resolves.toBe(expected)
+    expect(CrashingWorker.created).toBe(1)
+  })
+})
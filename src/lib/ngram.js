@@ -0,0 +1,224 @@
+// N-gram model used by the in-browser engine. Mirrors the parameters of the
+// backend `/generate` endpoint: unit, order, temperature, length and seed
+// (a starting phrase). Order and length are counted in tokens of the unit.
+
+import { syllabify } from './syllables'
+import { MessageError } from './i18n'
+
+const SEP = '\u0001'
+
+const keyOf = (tokens) => tokens.join(SEP)
+
+const WORD_RE = /\n|[\p{L}\p{N}']+|[^\s\p{L}\p{N}']/gu
+const WORD_PIECE_RE = /^[\p{L}\p{N}']+$/u
+const WORD_END = new Map([[' ', 1]])
+
+// Words are joined with spaces, except around line breaks and before
+// closing punctuation.
+function joinWords(tokens) {
+  let out = ''
+  let prev = '\n'
+  for (const tok of tokens) {
+    if (out && tok !== '\n' && prev !== '\n' && !/^[.,!?;:)\]}]$/.test(tok) && !/^[([{]$/.test(prev)) out += ' '
+    out += tok
+    prev = tok
+  }
+  return out
+}
+
+export const UNITS = {
+  char: {
+    label: 'Character',
+    order: { min: 1, max: 10, default: 3 },
+    length: { min: 50, max: 2000, step: 10, default: 240 },
+    lineMax: 64,
+    tokenize: (text) => Array.from(text),
+    detokenize: (tokens) => tokens.join(''),
+    isBoundary: (prev) => /\s/.test(prev),
+  },
+  word: {
+    label: 'Word',
+    order: { min: 1, max: 4, default: 2 },
+    length: { min: 10, max: 400, step: 5, default: 60 },
+    lineMax: 12,
+    tokenize: (text) => text.match(WORD_RE) || [],
+    detokenize: joinWords,
+    isBoundary: (prev) => prev === '\n' || /^[.!?]$/.test(prev),
+  },
+  syllable: {
+    label: 'Syllable',
+    order: { min: 1, max: 6, default: 3 },
+    length: { min: 20, max: 800, step: 10, default: 120 },
+    lineMax: 16,
+    tokenize: (text) =>
+      (text.match(/\n|[ \t]+|[\p{L}\p{N}']+|[^\s\p{L}\p{N}']/gu) || []).flatMap((tok) =>
+        /^[ \t]+$/.test(tok) ? [' '] : /^[\p{L}\p{N}']+$/u.test(tok) ? syllabify(tok) : [tok],
+      ),
+    detokenize: (tokens) => tokens.join(''),
+    isBoundary: (prev) => /\s/.test(prev),
+  },
+}
+
+export const unitOf = (unit) => UNITS[unit] || UNITS.char
+
+// Keeps order and length inside the limits of the chosen unit. Values that
+// are not numbers (an emptied field) fall back to the unit's defaults.
+export function clampToUnit(unit, { order, length }) {
+  const u = unitOf(unit)
+  const clamp = (v, { min, max, default: fallback }) =>
+    Number.isFinite(v) ? Math.min(max, Math.max(min, Math.round(v))) : fallback
+  return { order: clamp(order, u.order), length: clamp(length, u.length) }
+}
+
+export function tokenize(text, unit = 'char') {
+  return unitOf(unit).tokenize(text || '')
+}
+
+// Whether `text` has enough tokens of `unit` to train a model of `order`;
+// the same test generate() applies.
+export const isLongEnough = (text, unit, order) => tokenize(text, unit).length >= order + 1
+
+// Counts next-token frequencies for every context length from 0 to `order`,
+// so generation can back off to shorter contexts when a long one is unseen.
+// The corpus is trained as if it ended in a line break, so its last tokens
+// still have a continuation that ends the word.
+export function trainModel(text, order, unit = 'char') {
+  const tokens = tokenize(text, unit)
+  const seq = tokens.length && tokens[tokens.length - 1] !== '\n' ? [...tokens, '\n'] : tokens
+  const n = Math.max(1, Math.floor(order) || 1)
+  const tables = Array.from({ length: n + 1 }, () => new Map())
+  for (let i = 0; i < seq.length; i++) {
+    const next = seq[i]
+    for (let k = 0; k <= n && k <= i; k++) {
+      const ctx = keyOf(seq.slice(i - k, i))
+      let counts = tables[k].get(ctx)
+      if (!counts) {
+        counts = new Map()
+        tables[k].set(ctx, counts)
+      }
+      counts.set(next, (counts.get(next) || 0) + 1)
+    }
+  }
+  return { unit, order: n, tables, tokens }
+}
+
+function sample(counts, temperature, random) {
+  const t = Math.max(0.05, temperature || 1)
+  let total = 0
+  const weighted = []
+  for (const [tok, c] of counts) {
+    const w = Math.pow(c, 1 / t)
+    total += w
+    weighted.push([tok, w])
+  }
+  let r = random() * total
+  for (const [tok, w] of weighted) {
+    r -= w
+    if (r <= 0) return tok
+  }
+  return weighted[weighted.length - 1][0]
+}
+
+// Mixes several trained models (same unit and order). Each weight scales
+// that model's own backed-off next-token distribution, so a corpus's share
+// of the output follows its weight.
+export function blendModels(parts) {
+  const total = parts.reduce((sum, p) => sum + p.weight, 0) || 1
+  return {
+    unit: parts[0].model.unit,
+    order: parts[0].model.order,
+    parts: parts.map((p) => ({ model: p.model, weight: p.weight / total })),
+  }
+}
+
+const tokenCount = (model) =>
+  model.parts ? Math.max(...model.parts.map((p) => p.model.tokens.length)) : model.tokens.length
+
+function pickPart(model, random) {
+  let r = random()
+  for (const p of model.parts) {
+    r -= p.weight
+    if (r <= 0) return p.model
+  }
+  return model.parts[model.parts.length - 1].model
+}
+
+function nextCounts(model, history) {
+  if (model.parts) {
+    const mixed = new Map()
+    for (const { model: part, weight } of model.parts) {
+      const counts = nextCounts(part, history)
+      if (!counts || !weight) continue
+      let total = 0
+      for (const c of counts.values()) total += c
+      for (const [tok, c] of counts) mixed.set(tok, (mixed.get(tok) || 0) + (weight * c) / total)
+    }
+    return mixed.size ? mixed : null
+  }
+  for (let k = Math.min(model.order, history.length); k >= 1; k--) {
+    const counts = model.tables[k].get(keyOf(history.slice(history.length - k)))
+    if (counts && counts.size) return counts
+  }
+  // Syllables are joined without spaces, so one drawn from the empty
+  // context would be glued onto the word in progress (a starting phrase
+  // the corpus never saw): end that word first.
+  if (model.unit === 'syllable' && WORD_PIECE_RE.test(history[history.length - 1] || '')) return WORD_END
+  const counts = model.tables[0].get(keyOf([]))
+  return counts && counts.size ? counts : null
+}
+
+// Picks a starting context at a word (or, for words, line or sentence)
+// boundary so unseeded output does not begin mid-word.
+function randomStart(model, random) {
+  if (model.parts) return randomStart(pickPart(model, random), random)
+  const { tokens, order } = model
+  const { isBoundary } = unitOf(model.unit)
+  const starts = []
+  for (let i = 0; i + order < tokens.length; i++) {
+    if (i === 0 || isBoundary(tokens[i - 1])) starts.push(i)
+  }
+  const i = starts.length ? starts[Math.floor(random() * starts.length)] : 0
+  return tokens.slice(i, i + order)
+}
+
+export function generate(model, { length = 240, temperature = 1, seed = null, random = Math.random } = {}) {
+  if (tokenCount(model) < model.order + 1) {
+    throw new MessageError('error.needMoreText')
+  }
+  const out = seed ? tokenize(seed, model.unit) : randomStart(model, random)
+  const target = Math.max(out.length, Math.floor(length) || 0)
+  while (out.length < target) {
+    const counts = nextCounts(model, out.slice(-model.order))
+    if (!counts) break
+    out.push(sample(counts, temperature, random))
+  }
+  // A syllable cut off by the length limit would leave half a word.
+  if (model.unit === 'syllable') {
+    for (let extra = 0; extra < 8 && WORD_PIECE_RE.test(out[out.length - 1] || ''); extra++) {
+      const counts = nextCounts(model, out.slice(-model.order))
+      const tok = counts && sample(counts, temperature, random)
+      if (!tok || !WORD_PIECE_RE.test(tok)) break
+      out.push(tok)
+    }
+  }
+  return unitOf(model.unit).detokenize(out)
+}
+
+// Continues `history` up to the next line break (or the unit's line length
+// cap) and returns only the new tokens, without the break.
+export function generateLine(model, history, { temperature = 1, random = Math.random } = {}) {
+  const max = unitOf(model.unit).lineMax
+  const ctx = history.slice(-model.order)
+  const line = []
+  for (let tries = 0; line.length < max && tries < max * 4; tries++) {
+    const counts = nextCounts(model, ctx.concat(line).slice(-model.order))
+    if (!counts) break
+    const tok = sample(counts, temperature, random)
+    if (tok === '\n') {
+      if (line.length) break
+      continue
+    }
+    line.push(tok)
+  }
+  return line
+}
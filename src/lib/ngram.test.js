@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest'
+import { clampToUnit, generate, isLongEnough, tokenize, trainModel } from './ngram'
+import { seededRandom } from './random'
+
+describe('clampToUnit', () => {
+  it('keeps order and length inside the unit’s limits', () => {
+    expect(clampToUnit('word', { order: 9, length: 1 })).toEqual({ order: 4, length: 10 })
+    expect(clampToUnit('char', { order: 0, length: 5000 })).toEqual({ order: 1, length: 2000 })
+  })
+
+  it('rounds to whole tokens', () => {
+    expect(clampToUnit('char', { order: 2.6, length: 240.4 })).toEqual({ order: 3, length: 240 })
+  })
+
+  it('falls back to the unit’s defaults for values that are not numbers', () => {
+    expect(clampToUnit('syllable', { order: NaN, length: undefined })).toEqual({ order: 3, length: 120 })
+  })
+})
+
+describe('isLongEnough', () => {
+  const text = 'one two three'
+
+  it('counts tokens of the chosen unit', () => {
+    expect(tokenize(text, 'word')).toEqual(['one', 'two', 'three'])
+    expect(isLongEnough(text, 'char', 4)).toBe(true)
+    expect(isLongEnough(text, 'word', 2)).toBe(true)
+    expect(isLongEnough(text, 'word', 3)).toBe(false)
+  })
+
+  it('agrees with the engine', () => {
+    expect(() => generate(trainModel(text, 3, 'word'))).toThrow(expect.objectContaining({ key: 'error.needMoreText' }))
+    expect(() => generate(trainModel(text, 2, 'word'), { length: 5 })).not.toThrow()
+  })
+})
+
+describe('syllable generation', () => {
+  const corpus = `The night is young and the city is bright
+We ride the light until the morning comes
+Hold me close and never let me go tonight
+The river sings and the thunder drums`
+  const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []
+
+  it('only produces words from the corpus or the starting phrase', () => {
+    for (const order of [1, 2, 3]) {
+      const model = trainModel(corpus, order, 'syllable')
+      // "drums" ends the corpus; "velvet sky" is a phrase it never saw.
+      for (const seed of ['', 'drums', 'velvet sky']) {
+        const known = new Set([...words(corpus), ...words(seed)])
+        for (let s = 0; s < 50; s++) {
+          const out = generate(model, { length: 120, seed, random: seededRandom(s) })
+          expect(words(out).filter((w) => !known.has(w))).toEqual([])
+        }
+      }
+    }
+  })
+})
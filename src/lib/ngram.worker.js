@@ -0,0 +1,11 @@
+import { runEngine } from './engine'
+
+self.onmessage = (e) => {
+  const { id, params } = e.data
+  try {
+    self.postMessage({ id, output: runEngine(params) })
+  } catch (err) {
+    // Catalog errors keep their key so the UI can translate them.
+    self.postMessage({ id, error: err?.message || String(err), key: err?.key, vars: err?.vars })
+  }
+}
@@ -0,0 +1,80 @@
+// Offline support for the library: a mirror of the last corpus list seen
+// per backend, and a queue of saves made while the backend was unreachable,
+// replayed against POST /corpus once it is back.
+
+import { TimeoutError, isUnreachable } from './api'
+import { withStore } from './db'
+
+// Errors that mean "try again later" rather than "the backend said no".
+export const isOfflineError = (err) => isUnreachable(err) || err instanceof TimeoutError
+
+// Errors after which a save is known not to have been stored, so it can be
+// queued and replayed. A timed-out POST is not one: the backend may have
+// committed it before the response was lost.
+export const isUnsent = (err) => isUnreachable(err)
+
+export async function saveMirror(baseUrl, corpora) {
+  await withStore('mirror', 'readwrite', (store) => store.put({ baseUrl, corpora, savedAt: new Date().toISOString() }))
+}
+
+// { baseUrl, corpora, savedAt } or undefined.
+export function loadMirror(baseUrl) {
+  return withStore('mirror', 'readonly', (store) => store.get(baseUrl))
+}
+
+export async function queueCorpus(baseUrl, corpus) {
+  const record = { baseUrl, corpus, queuedAt: new Date().toISOString(), lastError: null }
+  const id = await withStore('outbox', 'readwrite', (store) => store.add(record))
+  return { ...record, id }
+}
+
+// Oldest first.
+export function listOutbox(baseUrl) {
+  return withStore('outbox', 'readonly', (store) => store.index('baseUrl').getAll(baseUrl))
+}
+
+async function sendQueued(api, retryRejected) {
+  let sent = 0
+  let failed = 0
+  for (const item of await listOutbox(api.baseUrl)) {
+    if (item.lastError && !retryRejected) continue
+    try {
+      await api.createCorpus(item.corpus)
+      await withStore('outbox', 'readwrite', (store) => store.delete(item.id))
+      sent++
+    } catch (e) {
+      if (isUnsent(e)) break
+      failed++
+      await withStore('outbox', 'readwrite', (store) => store.put({ ...item, lastError: e.message }))
+      if (e instanceof TimeoutError) break
+    }
+  }
+  return { sent, failed }
+}
+
+// Latest flush per backend URL: { promise, retryRejected }.
+const flushing = new Map()
+
+// Sends queued saves for `api.baseUrl` in order. Stops at the first
+// connectivity failure. A save the backend rejects, or one that timed out
+// and may have been stored, stays queued with `lastError` and is skipped
+// until the user retries it (`retryRejected`). Only one flush per backend
+// runs at a time, so no save is sent twice: an overlapping call shares the
+// running flush when that one covers it, and otherwise starts once it has
+// settled. Resolves to { sent, failed }.
+export function flushOutbox(api, { retryRejected = false } = {}) {
+  const key = api.baseUrl
+  const running = flushing.get(key)
+  if (running && (running.retryRejected || !retryRejected)) return running.promise
+  const promise = (running ? running.promise.catch(() => {}) : Promise.resolve())
+    .then(() => sendQueued(api, retryRejected))
+    .finally(() => {
+      if (flushing.get(key)?.promise === promise) flushing.delete(key)
+    })
+  flushing.set(key, { promise, retryRejected })
+  return promise
+}
+
+export function discardQueued(id) {
+  return withStore('outbox', 'readwrite', (store) => store.delete(id))
+}
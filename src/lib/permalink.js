@@ -0,0 +1,65 @@
+// Permalinks: a generation's settings snapshot (see snapshotParams in App),
+// deflated and base64url-encoded into the `s` query parameter. Library
+// sources travel as ids; inline source text travels compressed.
+
+import { MessageError } from './i18n'
+import { cleanSnapshot } from './settings'
+
+export const PERMALINK_PARAM = 's'
+
+// Prefixes say how the payload is packed: z = deflate-raw, j = plain JSON
+// for browsers without CompressionStream.
+const DEFLATED = 'z'
+const PLAIN = 'j'
+
+function toBase64Url(bytes) {
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0))
+}
+
+async function pipeThrough(bytes, stream) {
+  const res = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await res.arrayBuffer())
+}
+
+export async function encodeParams(params) {
+  const bytes = new TextEncoder().encode(JSON.stringify(params))
+  if (typeof CompressionStream === 'undefined') return PLAIN + toBase64Url(bytes)
+  return DEFLATED + toBase64Url(await pipeThrough(bytes, new CompressionStream('deflate-raw')))
+}
+
+export async function decodeParams(value) {
+  const kind = value[0]
+  let bytes = fromBase64Url(value.slice(1))
+  if (kind === DEFLATED) bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'))
+  else if (kind !== PLAIN) throw new MessageError('error.linkFormat')
+  let params
+  try {
+    params = cleanSnapshot(JSON.parse(new TextDecoder().decode(bytes)))
+  } catch {
+    params = null
+  }
+  // Checked here, before any of it reaches the form.
+  if (!params) throw new MessageError('error.linkSettings')
+  return params
+}
+
+// Upper bound on the encoded parameter. Longer URLs get cut off or refused
+// by some browsers, servers and chat apps, so an inline Source Text that is
+// still too long once compressed has to be shared from the library instead.
+export const MAX_PERMALINK_LENGTH = 8000
+
+// Full URL of the app root carrying `params`.
+export async function permalinkFor(params, origin = window.location.origin) {
+  const encoded = await encodeParams(params)
+  if (encoded.length > MAX_PERMALINK_LENGTH) throw new MessageError('error.linkTooLong')
+  const url = new URL('/', origin)
+  url.searchParams.set(PERMALINK_PARAM, encoded)
+  return url.toString()
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_PERMALINK_LENGTH, PERMALINK_PARAM, decodeParams, permalinkFor } from './permalink'
+import { seededRandom } from './random'
+
+const params = {
+  sources: [{ title: 'Source text', text: 'la la la\nhey hey', weight: 1 }],
+  corpusTitle: '',
+  unit: 'word',
+  order: 2,
+  length: 60,
+  temperature: 0.9,
+  seed: '',
+  randomSeed: 12345,
+  genre: 'pop',
+  flow: 'smooth',
+  bpm: 96,
+  mood: 'chill',
+  rhymeScheme: 'free',
+  voice: 'female',
+  language: 'en',
+  slow: false,
+}
+
+// Random letters, which deflate cannot shrink much.
+function noise(n) {
+  const random = seededRandom(1)
+  return Array.from({ length: n }, () => String.fromCharCode(97 + Math.floor(random() * 26))).join('')
+}
+
+describe('permalinkFor', () => {
+  it('carries the settings and inline text through the link', async () => {
+    const url = new URL(await permalinkFor(params, 'https://lyrics.test'))
+    await expect(decodeParams(url.searchParams.get(PERMALINK_PARAM))).resolves.toEqual(params)
+  })
+
+  it('refuses an inline text too long for a link', async () => {
+    const long = { ...params, sources: [{ title: 'Source text', text: noise(MAX_PERMALINK_LENGTH * 2), weight: 1 }] }
+    await expect(permalinkFor(long, 'https://lyrics.test')).rejects.toMatchObject({ key: 'error.linkTooLong' })
+  })
+})
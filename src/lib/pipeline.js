@@ -0,0 +1,46 @@
+// Sequential job runner for multi-step actions like Generate & Sing. Each
+// stage receives the previous stage's result directly, so nothing depends
+// on React state having re-rendered in between.
+
+export class StageError extends Error {
+  constructor(stage, cause) {
+    super(`${stage.label} failed: ${cause?.message || cause}`)
+    this.name = 'StageError'
+    this.stage = stage.id
+    this.cause = cause
+  }
+}
+
+// `stages` is [{ id, label, run(input, { signal, progress }) }]. `onUpdate`
+// receives the full stage list ({ id, label, status, progress }) whenever
+// anything changes; status is pending, running, done, failed or cancelled.
+// Rejects with the AbortError on cancel, or a StageError naming the stage.
+export async function runPipeline(stages, { input, signal, onUpdate } = {}) {
+  const state = stages.map(({ id, label }) => ({ id, label, status: 'pending', progress: 0 }))
+  const emit = () => onUpdate?.(state.map((s) => ({ ...s })))
+  emit()
+  let value = input
+  for (let i = 0; i < stages.length; i++) {
+    const stage = stages[i]
+    state[i].status = 'running'
+    emit()
+    try {
+      signal?.throwIfAborted()
+      value = await stage.run(value, {
+        signal,
+        progress: (fraction) => {
+          state[i].progress = Math.max(0, Math.min(1, fraction))
+          emit()
+        },
+      })
+      state[i] = { ...state[i], status: 'done', progress: 1 }
+      emit()
+    } catch (e) {
+      const aborted = e?.name === 'AbortError' || signal?.aborted
+      state[i].status = aborted ? 'cancelled' : 'failed'
+      emit()
+      throw aborted ? e : new StageError(stage, e)
+    }
+  }
+  return value
+}
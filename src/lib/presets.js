@@ -0,0 +1,79 @@
+// Style presets: named snapshots of the nine style controls. Built-ins ship
+// with the app; user presets live in localStorage and can be moved between
+// browsers as JSON.
+
+import { MessageError } from './i18n'
+import { unitOf } from './ngram'
+import { cleanSettings } from './settings'
+
+export const PRESET_FIELDS = ['genre', 'flow', 'bpm', 'mood', 'voice', 'language', 'slow', 'order', 'temperature']
+
+export const BUILTIN_PRESETS = [
+  { id: 'builtin:lofi-chill', name: 'Lo-fi chill 80bpm', nameKey: 'preset.name.lofiChill', settings: { genre: 'lofi', flow: 'smooth', bpm: 80, mood: 'chill', voice: 'female', language: 'en', slow: true, order: 4, temperature: 0.8 } },
+  { id: 'builtin:rapid-hiphop', name: 'Rapid hip-hop 140bpm', nameKey: 'preset.name.rapidHiphop', settings: { genre: 'hiphop', flow: 'rapid', bpm: 140, mood: 'epic', voice: 'male', language: 'en', slow: false, order: 3, temperature: 1.1 } },
+  { id: 'builtin:happy-pop', name: 'Happy pop 110bpm', nameKey: 'preset.name.happyPop', settings: { genre: 'pop', flow: 'punchy', bpm: 110, mood: 'happy', voice: 'female', language: 'en', slow: false, order: 4, temperature: 0.9 } },
+  { id: 'builtin:jazz-story', name: 'Jazz storytelling 90bpm', nameKey: 'preset.name.jazzStory', settings: { genre: 'jazz', flow: 'story', bpm: 90, mood: 'sad', voice: 'male', language: 'en-uk', slow: true, order: 5, temperature: 0.7 } },
+  { id: 'builtin:epic-rock', name: 'Epic rock 128bpm', nameKey: 'preset.name.epicRock', settings: { genre: 'rock', flow: 'punchy', bpm: 128, mood: 'epic', voice: 'male', language: 'en', slow: false, order: 4, temperature: 1 } },
+].map((p) => ({ ...p, builtin: true }))
+
+const STORAGE_KEY = 'lyric-generator:presets'
+const FILE_VERSION = 1
+
+export function pickSettings(source) {
+  return Object.fromEntries(PRESET_FIELDS.filter((f) => source[f] !== undefined).map((f) => [f, source[f]]))
+}
+
+const newId = () => `user:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+
+// Keeps only well-formed presets: settings are trimmed to the known fields,
+// coerced to the form's types and clamped to its ranges. A preset with any
+// unusable value (e.g. temperature "hot") is dropped.
+function sanitize(list) {
+  if (!Array.isArray(list)) return []
+  return list
+    .filter((p) => p && typeof p.name === 'string' && p.name.trim())
+    .map((p) => ({ id: typeof p.id === 'string' && p.id.startsWith('user:') ? p.id : newId(), name: p.name.trim(), settings: cleanSettings(p.settings, PRESET_FIELDS) }))
+    .filter((p) => p.settings)
+}
+
+export function loadPresets() {
+  try {
+    return sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'))
+  } catch {
+    return []
+  }
+}
+
+export function savePresets(presets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+}
+
+// The settings a preset actually puts in the form: its order is held to
+// what the current model unit allows.
+export function fitToUnit(settings, unit) {
+  if (settings.order === undefined) return settings
+  const { min, max } = unitOf(unit).order
+  return { ...settings, order: Math.min(max, Math.max(min, settings.order)) }
+}
+
+export function createPreset(name, settings) {
+  return { id: newId(), name: name.trim(), settings: pickSettings(settings) }
+}
+
+export function exportPresets(presets) {
+  return JSON.stringify({ version: FILE_VERSION, presets: presets.map(({ name, settings }) => ({ name, settings })) }, null, 2)
+}
+
+// Accepts an exported file ({ version, presets }) or a bare array. Imported
+// presets get fresh ids so they never overwrite existing ones.
+export function parsePresetFile(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new MessageError('error.presetNotJson')
+  }
+  const presets = sanitize(Array.isArray(data) ? data : data?.presets).map((p) => ({ ...p, id: newId() }))
+  if (!presets.length) throw new MessageError('error.presetEmpty')
+  return presets
+}
@@ -0,0 +1,56 @@
+// Backend connection profiles, switchable at runtime and kept in
+// localStorage. The build-time backend (DEFAULT_BACKEND) is always present
+// as the first, undeletable profile.
+
+import { DEFAULT_BACKEND } from './api'
+
+const STORAGE_KEY = 'lyric-generator:backend-profiles'
+
+export const DEFAULT_PROFILE = { id: 'default', name: 'Default', nameKey: 'backend.defaultName', url: DEFAULT_BACKEND, authorization: '', builtin: true }
+
+const normalizeUrl = (url) => url.trim().replace(/\/+$/, '')
+
+// Absolute http(s) URLs, or same-origin paths like /mock-api. Returns the
+// locale key of the first problem, or null.
+export function validateProfile({ name, url }) {
+  if (!name.trim()) return 'backend.error.name'
+  const u = normalizeUrl(url)
+  if (u.startsWith('/')) return null
+  try {
+    const parsed = new URL(u)
+    return /^https?:$/.test(parsed.protocol) ? null : 'backend.error.protocol'
+  } catch {
+    return 'backend.error.url'
+  }
+}
+
+export function loadProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    const custom = Array.isArray(stored?.profiles) ? stored.profiles.filter((p) => p?.id && p.id !== DEFAULT_PROFILE.id && p.url) : []
+    const profiles = [DEFAULT_PROFILE, ...custom]
+    const activeId = profiles.some((p) => p.id === stored?.activeId) ? stored.activeId : DEFAULT_PROFILE.id
+    return { profiles, activeId }
+  } catch {
+    return { profiles: [DEFAULT_PROFILE], activeId: DEFAULT_PROFILE.id }
+  }
+}
+
+export function saveProfiles({ profiles, activeId }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles: profiles.filter((p) => !p.builtin), activeId }))
+}
+
+export const activeProfile = ({ profiles, activeId }) => profiles.find((p) => p.id === activeId) || DEFAULT_PROFILE
+
+export function createProfile({ name, url, authorization = '' }) {
+  return { id: `p${Date.now().toString(36)}`, name: name.trim(), url: normalizeUrl(url), authorization: authorization.trim() }
+}
+
+export function updateProfile(profile, { name, url, authorization = '' }) {
+  return { ...profile, name: name.trim(), url: normalizeUrl(url), authorization: authorization.trim() }
+}
+
+// Options for createApiClient.
+export function clientOptions(profile) {
+  return { baseUrl: profile.url, headers: profile.authorization ? { Authorization: profile.authorization } : {} }
+}
@@ -0,0 +1,10 @@
+// Registers the service worker (public/sw.js) in production builds only;
+// in development it would cache modules that Vite serves fresh.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Offline support is optional; the app works without it.
+    })
+  })
+}
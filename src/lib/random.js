@@ -0,0 +1,34 @@
+// Seedable PRNG for reproducible generation. The same seed always yields
+// the same sequence, in the browser, the worker and the mock backend.
+
+export const MAX_SEED = 2 ** 32 - 1
+
+// mulberry32: small, fast and good enough for sampling tokens.
+export function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function randomSeed() {
+  if (globalThis.crypto?.getRandomValues) return globalThis.crypto.getRandomValues(new Uint32Array(1))[0]
+  return Math.floor(Math.random() * MAX_SEED)
+}
+
+// Nearest usable seed to a number typed into a seed field, so the field can
+// never hold a value that parseSeed would drop.
+export function clampSeed(value) {
+  const n = Math.trunc(Number(value))
+  return Number.isFinite(n) ? Math.min(MAX_SEED, Math.max(0, n)) : 0
+}
+
+// Parses a user-entered seed; null when it is not a usable integer.
+export function parseSeed(value) {
+  const n = typeof value === 'number' ? value : Number(String(value).trim())
+  return Number.isInteger(n) && n >= 0 && n <= MAX_SEED ? n : null
+}
@@ -0,0 +1,159 @@
+// Offline rhyme heuristics. A word's rhyme key is its last vowel sound plus
+// the consonants after it, with common English spellings of the same sound
+// folded together ("time"/"rhyme"/"night" all map to I|m, I|m, I|t).
+
+import { syllabify } from './syllables'
+
+export const RHYME_SCHEMES = {
+  free: { label: 'Free', pattern: null },
+  AABB: { label: 'AABB (couplets)', pattern: 'AABB' },
+  ABAB: { label: 'ABAB (alternate)', pattern: 'ABAB' },
+  ABCB: { label: 'ABCB (ballad)', pattern: 'ABCB' },
+}
+
+export const patternOf = (scheme) => RHYME_SCHEMES[scheme]?.pattern || null
+
+const LONG = { a: 'A', e: 'E', i: 'I', o: 'O', u: 'U', y: 'I' }
+
+const VOWEL_GROUPS = [
+  [/^(?:ai|ay|ei|eigh|aigh)$/, 'A'],
+  [/^(?:ee|ea|ie|ey)$/, 'E'],
+  [/^(?:oa|oe)$/, 'O'],
+  [/^(?:oo|ew|ue|ui)$/, 'U'],
+]
+
+const WORD_RE = /[\p{L}\p{N}']+/gu
+
+export function rhymeKey(word) {
+  const lower = (word || '').toLowerCase()
+  const w = lower
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/([^aeiouy])\1+$/, '$1')
+  if (!w) {
+    // Non-Latin scripts: fall back to matching the final two characters.
+    const chars = Array.from(lower.replace(/[^\p{L}\p{N}]/gu, ''))
+    return chars.length ? 'x|' + chars.slice(-2).join('') : ''
+  }
+  let m = w.match(/igh(t?)$/)
+  if (m) return `I|${m[1]}`
+  // Silent final "e" lengthens the vowel before it: time, rhyme, stone.
+  m = w.match(/([aeiouy])([^aeiouy]{1,2})e$/)
+  if (m && !/[^aeiouy]le$/.test(w) && !/[aeiou][aeiouy][^aeiouy]{1,2}e$/.test(w)) {
+    return `${LONG[m[1]]}|${m[2]}`
+  }
+  m = w.match(/([aeiouy]+)([^aeiouy]*)$/)
+  if (!m) return `|${w}`
+  let [, vowels, coda] = m
+  const monosyllable = syllabify(w).length === 1
+  if (!coda) {
+    if (vowels === 'y' || vowels === 'ie') return monosyllable ? 'I|' : 'E|'
+    if (vowels === 'e' && monosyllable) return 'E|'
+    if (vowels === 'o') return 'O|'
+    if (vowels === 'ou') return 'U|'
+  }
+  if (/^(?:o|oo|ou|oa)$/.test(vowels) && coda.startsWith('r')) return `O|${coda}`
+  for (const [re, sound] of VOWEL_GROUPS) {
+    if (re.test(vowels)) return `${sound}|${coda}`
+  }
+  // A trailing "e" after another vowel is silent: blue, free, toe.
+  if (vowels.length > 1 && vowels.endsWith('e') && !coda) vowels = vowels.slice(0, -1)
+  return `${vowels.slice(-2)}|${coda}`
+}
+
+export function rhymes(a, b) {
+  const ka = rhymeKey(a)
+  return !!ka && ka === rhymeKey(b)
+}
+
+export function lastWord(line) {
+  const words = (line || '').match(WORD_RE)
+  return words ? words[words.length - 1] : ''
+}
+
+export function replaceLastWord(line, word) {
+  return line.replace(/[\p{L}\p{N}']+(?=[^\p{L}\p{N}']*$)/u, word)
+}
+
+// Index of corpus words by rhyme key, used to repair line endings.
+export function buildRhymeIndex(text) {
+  const index = new Map()
+  for (const word of (text || '').match(WORD_RE) || []) {
+    if (word.length < 2) continue
+    const key = rhymeKey(word)
+    if (!key) continue
+    if (!index.has(key)) index.set(key, new Set())
+    index.get(key).add(word.toLowerCase())
+  }
+  return index
+}
+
+// Picks a corpus word rhyming with `anchor`, preferring a different word
+// over repeating the anchor itself. Returns null when the corpus has none.
+export function findRhyme(index, anchor, random = Math.random) {
+  const words = [...(index.get(rhymeKey(anchor)) || [])]
+  const others = words.filter((w) => w !== anchor.toLowerCase())
+  const pool = others.length ? others : words
+  return pool.length ? pool[Math.floor(random() * pool.length)] : null
+}
+
+// Splits output into lines, wrapping long unbroken runs (backends often
+// return one flat stream) so they can carry a rhyme scheme.
+export function toVerseLines(text, wordsPerLine = 8) {
+  return (text || '').split('\n').flatMap((line) => {
+    const words = line.trim().split(/\s+/).filter(Boolean)
+    if (words.length <= wordsPerLine * 1.5) return [line.trim()]
+    const out = []
+    for (let i = 0; i < words.length; i += wordsPerLine) out.push(words.slice(i, i + wordsPerLine).join(' '))
+    return out
+  })
+}
+
+// Rewrites line endings so each stanza follows `scheme`, using rhyming words
+// from the corpus index. Lines whose ending already rhymes are left alone.
+export function enforceScheme(text, scheme, index, random = Math.random) {
+  const pattern = patternOf(scheme)
+  if (!pattern) return text
+  const lines = toVerseLines(text).filter(Boolean)
+  const out = []
+  for (let s = 0; s < lines.length; s += pattern.length) {
+    const anchors = {}
+    const stanza = lines.slice(s, s + pattern.length).map((line, i) => {
+      const letter = pattern[i]
+      const end = lastWord(line)
+      if (!end) return line
+      if (!anchors[letter]) {
+        anchors[letter] = end
+        return line
+      }
+      if (rhymes(end, anchors[letter])) return line
+      const word = findRhyme(index, anchors[letter], random)
+      return word ? replaceLastWord(line, word) : line
+    })
+    out.push(stanza.join('\n'))
+  }
+  return out.join('\n\n')
+}
+
+// Labels every line with a rhyme letter detected from its last word.
+// Letters restart at each stanza (blank-line separated block).
+export function labelRhymes(text) {
+  const rows = []
+  let groups = []
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) {
+      groups = []
+      rows.push({ text: line, letter: '' })
+      continue
+    }
+    const key = rhymeKey(lastWord(line))
+    let idx = key ? groups.indexOf(key) : -1
+    if (idx === -1) {
+      groups.push(key || `#${groups.length}`)
+      idx = groups.length - 1
+    }
+    rows.push({ text: line, letter: String.fromCharCode(65 + (idx % 26)) })
+  }
+  return rows
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import { buildRhymeIndex, enforceScheme, labelRhymes, lastWord, rhymes } from './rhyme'
+
+describe('rhymes', () => {
+  it('folds spellings of the same sound together', () => {
+    expect(rhymes('time', 'rhyme')).toBe(true)
+    expect(rhymes('night', 'light')).toBe(true)
+    expect(rhymes('blue', 'true')).toBe(true)
+  })
+
+  it('tells different endings apart', () => {
+    expect(rhymes('night', 'day')).toBe(false)
+    expect(rhymes('', '')).toBe(false)
+  })
+})
+
+describe('enforceScheme', () => {
+  const index = buildRhymeIndex('the light and the night, a day to stay')
+
+  it('rewrites endings that break the scheme', () => {
+    const out = enforceScheme('we walk at night\nthe road is long\nwe talk all day\nand sing a song', 'AABB', index, () => 0)
+    const ends = out.split('\n').map(lastWord)
+    expect(rhymes(ends[0], ends[1])).toBe(true)
+    expect(ends[0]).toBe('night')
+  })
+
+  it('leaves free verse alone', () => {
+    expect(enforceScheme('a\nb', 'free', index)).toBe('a\nb')
+  })
+})
+
+describe('labelRhymes', () => {
+  it('letters lines by rhyme and restarts at each stanza', () => {
+    const rows = labelRhymes('in the night\nsee the light\nall day\n\nagain')
+    expect(rows.map((r) => r.letter)).toEqual(['A', 'A', 'B', '', 'A'])
+  })
+})
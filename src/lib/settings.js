@@ -0,0 +1,102 @@
+// Choices and bounds of the style controls, and validation for settings that
+// come from outside the form (saved or imported presets, permalinks). Values
+// are coerced to the form's types and clamped to its ranges; a value that
+// cannot be read as the right type makes the whole set invalid.
+
+import { UNITS, clampToUnit } from './ngram'
+import { RHYME_SCHEMES } from './rhyme'
+import { LANGUAGES } from './corpusMeta'
+import { parseSeed } from './random'
+
+export const GENRES = ['pop', 'hiphop', 'jazz', 'rock', 'lofi']
+export const FLOWS = ['smooth', 'rapid', 'story', 'punchy']
+export const MOODS = ['chill', 'happy', 'sad', 'epic']
+export const VOICES = ['female', 'male']
+
+export const BPM_RANGE = { min: 40, max: 240 }
+export const TEMPERATURE_RANGE = { min: 0.2, max: 2.5, step: 0.05 }
+// Widest order any unit allows; the form clamps to the current unit on apply.
+const ORDER_RANGE = {
+  min: Math.min(...Object.values(UNITS).map((u) => u.order.min)),
+  max: Math.max(...Object.values(UNITS).map((u) => u.order.max)),
+}
+
+const oneOf = (values) => (v) => (values.includes(v) ? v : undefined)
+
+const inRange = ({ min, max }, { integer = false } = {}) => (v) => {
+  const n = typeof v === 'number' ? v : typeof v === 'string' && v.trim() ? Number(v) : NaN
+  if (!Number.isFinite(n)) return undefined
+  return Math.min(max, Math.max(min, integer ? Math.round(n) : n))
+}
+
+const toBoolean = (v) => (typeof v === 'boolean' ? v : v === 'true' ? true : v === 'false' ? false : undefined)
+
+// One rule per field; each returns the cleaned value, or undefined when the
+// input is unusable.
+export const STYLE_RULES = {
+  genre: oneOf(GENRES),
+  flow: oneOf(FLOWS),
+  bpm: inRange(BPM_RANGE, { integer: true }),
+  mood: oneOf(MOODS),
+  voice: oneOf(VOICES),
+  language: oneOf(LANGUAGES.map((l) => l.value)),
+  slow: toBoolean,
+  order: inRange(ORDER_RANGE, { integer: true }),
+  temperature: inRange(TEMPERATURE_RANGE),
+}
+
+// Cleans the given fields of `source`. Absent fields stay absent; returns
+// null if any present field is invalid.
+export function cleanSettings(source, fields = Object.keys(STYLE_RULES)) {
+  if (!source || typeof source !== 'object') return null
+  const out = {}
+  for (const field of fields) {
+    if (source[field] === undefined) continue
+    const value = STYLE_RULES[field](source[field])
+    if (value === undefined) return null
+    out[field] = value
+  }
+  return out
+}
+
+const SNAPSHOT_REQUIRED = ['genre', 'flow', 'bpm', 'mood', 'voice', 'language', 'temperature']
+const isText = (v) => typeof v === 'string'
+
+function cleanSource(src) {
+  if (!src || typeof src !== 'object' || !isText(src.title)) return null
+  const weight = inRange({ min: 0, max: 1 })(src.weight)
+  if (weight === undefined) return null
+  if ((isText(src.id) && src.id) || Number.isFinite(src.id)) return { id: src.id, title: src.title, weight }
+  if (isText(src.text) && src.text) return { title: src.title, text: src.text, weight }
+  return null
+}
+
+// Validates a full generation snapshot (see snapshotParams in App), as
+// carried by permalinks. Order and length are clamped to the unit's limits.
+// Returns null unless every source and setting is usable.
+export function cleanSnapshot(p) {
+  if (!p || typeof p !== 'object' || !Array.isArray(p.sources) || !p.sources.length) return null
+  const sources = p.sources.map(cleanSource)
+  if (sources.includes(null)) return null
+  if (!Object.hasOwn(UNITS, p.unit) || SNAPSHOT_REQUIRED.some((f) => p[f] === undefined)) return null
+  const style = cleanSettings(p, SNAPSHOT_REQUIRED)
+  const order = inRange({ min: 1, max: Infinity }, { integer: true })(p.order)
+  const length = inRange({ min: 1, max: Infinity }, { integer: true })(p.length)
+  const slow = p.slow === undefined ? false : toBoolean(p.slow)
+  const rhymeScheme = p.rhymeScheme === undefined ? 'free' : oneOf(Object.keys(RHYME_SCHEMES))(p.rhymeScheme)
+  const randomSeed = p.randomSeed == null ? null : parseSeed(p.randomSeed)
+  if (!style || order === undefined || length === undefined || slow === undefined || rhymeScheme === undefined) return null
+  if (p.randomSeed != null && randomSeed === null) return null
+  if ((p.seed != null && !isText(p.seed)) || (p.corpusTitle != null && !isText(p.corpusTitle))) return null
+  return {
+    ...style,
+    ...clampToUnit(p.unit, { order, length }),
+    sources,
+    corpusTitle: p.corpusTitle || '',
+    unit: p.unit,
+    seed: p.seed || '',
+    randomSeed,
+    rhymeScheme,
+    slow,
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest'
+import { cleanSettings, cleanSnapshot } from './settings'
+
+const snapshot = {
+  sources: [{ title: 'Source text', text: 'la la la', weight: 1 }],
+  unit: 'word',
+  order: 2,
+  length: 60,
+  temperature: 0.9,
+  seed: 'hold me',
+  randomSeed: 12345,
+  genre: 'pop',
+  flow: 'smooth',
+  bpm: 96,
+  mood: 'chill',
+  rhymeScheme: 'ABAB',
+  voice: 'female',
+  language: 'en',
+  slow: false,
+}
+
+describe('cleanSettings', () => {
+  it('coerces and clamps readable values', () => {
+    expect(cleanSettings({ bpm: '300', slow: 'true', temperature: 0.01 })).toEqual({ bpm: 240, slow: true, temperature: 0.2 })
+  })
+
+  it('rejects the set when any field is unusable', () => {
+    expect(cleanSettings({ genre: 'pop', bpm: 'fast' })).toBeNull()
+    expect(cleanSettings({ genre: 'polka' })).toBeNull()
+  })
+})
+
+describe('cleanSnapshot', () => {
+  it('round-trips a snapshot through JSON unchanged', () => {
+    expect(cleanSnapshot(JSON.parse(JSON.stringify(snapshot)))).toEqual({ ...snapshot, corpusTitle: '' })
+  })
+
+  it('clamps order and length to the unit', () => {
+    expect(cleanSnapshot({ ...snapshot, order: 9, length: 1000 })).toMatchObject({ order: 4, length: 400 })
+  })
+
+  it('defaults optional fields', () => {
+    const { rhymeScheme, slow, randomSeed, seed, ...rest } = snapshot
+    expect(cleanSnapshot(rest)).toMatchObject({ rhymeScheme: 'free', slow: false, randomSeed: null, seed: '' })
+  })
+
+  it('rejects unusable sources and settings', () => {
+    expect(cleanSnapshot({ ...snapshot, sources: [] })).toBeNull()
+    expect(cleanSnapshot({ ...snapshot, sources: [{ title: 'x', weight: 1 }] })).toBeNull()
+    expect(cleanSnapshot({ ...snapshot, unit: 'phoneme' })).toBeNull()
+    expect(cleanSnapshot({ ...snapshot, randomSeed: -1 })).toBeNull()
+    expect(cleanSnapshot({ ...snapshot, rhymeScheme: 'XYZ' })).toBeNull()
+  })
+})
@@ -0,0 +1,116 @@
+// Fallback voice using the browser's speechSynthesis API. Maps the app's
+// Voice, Language and Slow options onto the best installed voice.
+
+import { MessageError } from './i18n'
+
+// BCP 47 tags to look for, best first, per Language option.
+const LANG_TAGS = {
+  en: ['en-US', 'en'],
+  'en-uk': ['en-GB', 'en'],
+  'en-au': ['en-AU', 'en'],
+  hi: ['hi-IN', 'hi'],
+  es: ['es-ES', 'es-MX', 'es-US', 'es'],
+  fr: ['fr-FR', 'fr-CA', 'fr'],
+  de: ['de-DE', 'de'],
+  ja: ['ja-JP', 'ja'],
+}
+
+// Voice names rarely state a gender, so match well-known system voices too.
+const GENDER_HINTS = {
+  female: /female|woman|samantha|victoria|karen|moira|tessa|zira|susan|hazel|serena|fiona|catherine|amelie|audrey|anna|helena|monica|paulina|lekha|kyoko|sabina|heera|aria|jenny|libby|natasha/i,
+  male: /\bmale|\bman\b|daniel|alex|david|fred|mark|george|james|thomas|jorge|diego|juan|otoya|rishi|ravi|yannick|markus|stefan|guy|ryan|william|lee\b/i,
+}
+
+export const isSpeechAvailable = () => typeof window !== 'undefined' && 'speechSynthesis' in window
+
+// Voices load asynchronously in some browsers; wait briefly for them.
+export function loadVoices(timeout = 1500) {
+  if (!isSpeechAvailable()) return Promise.resolve([])
+  const now = window.speechSynthesis.getVoices()
+  if (now.length) return Promise.resolve(now)
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer)
+      window.speechSynthesis.removeEventListener('voiceschanged', done)
+      resolve(window.speechSynthesis.getVoices())
+    }
+    const timer = setTimeout(done, timeout)
+    window.speechSynthesis.addEventListener('voiceschanged', done)
+  })
+}
+
+export function pickVoice(voices, { language = 'en', voice = 'female' } = {}) {
+  const tags = LANG_TAGS[language] || [language]
+  let best = null
+  let bestScore = 0
+  for (const v of voices) {
+    const lang = v.lang.replace('_', '-')
+    const rank = tags.findIndex((t) => lang.toLowerCase() === t.toLowerCase() || (!t.includes('-') && lang.toLowerCase().startsWith(`${t.toLowerCase()}-`)))
+    if (rank === -1) continue
+    let score = 10 - rank
+    if (GENDER_HINTS[voice]?.test(v.name)) score += 3
+    else if (GENDER_HINTS[voice === 'male' ? 'female' : 'male']?.test(v.name)) score -= 3
+    if (v.localService) score += 0.5
+    if (score > bestScore) {
+      best = v
+      bestScore = score
+    }
+  }
+  return best
+}
+
+// Chrome sometimes never starts an utterance (no voices yet, audio blocked).
+const START_TIMEOUT = 5000
+
+// Speaks `text` and resolves once speech has started, with the voice used
+// ({ name, lang }; name is null for the browser's default voice).
+// `onEnd` fires when it finishes. Aborting `signal` stops speech. Settles
+// in every case: speech that ends, fails or is interrupted before starting,
+// or that has not started within START_TIMEOUT, rejects.
+export async function speak(text, { language = 'en', voice = 'female', slow = false } = {}, { signal, onEnd } = {}) {
+  if (!isSpeechAvailable()) throw new MessageError('error.speechUnsupported')
+  const synth = window.speechSynthesis
+  const chosen = pickVoice(await loadVoices(), { language, voice })
+  signal?.throwIfAborted()
+  synth.cancel()
+  const utterance = new SpeechSynthesisUtterance(text)
+  if (chosen) utterance.voice = chosen
+  utterance.lang = chosen?.lang || (LANG_TAGS[language] || ['en-US'])[0]
+  utterance.rate = slow ? 0.7 : 1
+  // Without a gendered voice, nudge the pitch towards the chosen one.
+  if (!chosen || !GENDER_HINTS[voice]?.test(chosen.name)) utterance.pitch = voice === 'male' ? 0.8 : 1.2
+  const used = { name: chosen?.name || null, lang: utterance.lang }
+  return new Promise((resolve, reject) => {
+    let settled = false
+    const settle = (fn, value) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      fn(value)
+    }
+    const onAbort = () => {
+      synth.cancel()
+      settle(reject, new DOMException('Speech cancelled', 'AbortError'))
+    }
+    const timer = setTimeout(() => {
+      synth.cancel()
+      settle(reject, new MessageError('error.speechNotStarted'))
+    }, START_TIMEOUT)
+    signal?.addEventListener('abort', onAbort, { once: true })
+    utterance.onstart = () => settle(resolve, used)
+    // Very short text can end without a start event in some browsers.
+    utterance.onend = () => {
+      settle(resolve, used)
+      onEnd?.()
+    }
+    utterance.onerror = (e) => {
+      const stopped = e.error === 'interrupted' || e.error === 'canceled'
+      settle(reject, stopped ? new DOMException('Speech cancelled', 'AbortError') : new MessageError('error.speechFailed', { error: e.error }))
+      onEnd?.()
+    }
+    synth.speak(utterance)
+  })
+}
+
+export const stopSpeaking = () => isSpeechAvailable() && window.speechSynthesis.cancel()
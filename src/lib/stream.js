@@ -0,0 +1,117 @@
+// Reads a `/generate` response that may be streamed as NDJSON or
+// server-sent events, or returned as one JSON document. Calls `onChunk`
+// with each piece of text as it arrives and resolves to the full output;
+// aborting `signal` stops reading a streamed body.
+
+import { ApiError } from './errors'
+
+const PATH = '/generate'
+
+export const STREAM_ACCEPT = 'application/x-ndjson, text/event-stream;q=0.9, application/json;q=0.8'
+
+// A streamed message either carries an increment (token/delta/text) or,
+// usually at the end, the full output, which replaces what was accumulated.
+function applyMessage(state, msg, onChunk) {
+  if (msg == null) return
+  if (typeof msg === 'string') {
+    state.text += msg
+    onChunk?.(msg, state.text)
+    return
+  }
+  if (msg.detail || msg.error) {
+    const detail = String(msg.detail || msg.error)
+    throw new ApiError(detail, { detail, path: PATH })
+  }
+  const full = msg.output ?? msg.result
+  if (typeof full === 'string') {
+    state.text = full
+    onChunk?.('', state.text)
+    return
+  }
+  const piece = msg.token ?? msg.delta ?? msg.text ?? msg.chunk
+  if (typeof piece === 'string' && piece) {
+    state.text += piece
+    onChunk?.(piece, state.text)
+  }
+}
+
+// Aborting `signal` cancels the body, ending the stream early.
+async function* lines(res, signal) {
+  const reader = res.body.getReader()
+  const onAbort = () => reader.cancel(signal.reason).catch(() => {})
+  signal?.addEventListener('abort', onAbort, { once: true })
+  const decoder = new TextDecoder()
+  let buf = ''
+  try {
+    for (;;) {
+      signal?.throwIfAborted()
+      const { value, done } = await reader.read()
+      signal?.throwIfAborted()
+      if (done) break
+      buf += decoder.decode(value, { stream: true })
+      let nl
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        yield buf.slice(0, nl).replace(/\r$/, '')
+        buf = buf.slice(nl + 1)
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+  }
+  buf += decoder.decode()
+  if (buf) yield buf
+}
+
+async function readNdjson(res, state, onChunk, signal) {
+  for await (const line of lines(res, signal)) {
+    if (line.trim()) applyMessage(state, JSON.parse(line), onChunk)
+  }
+}
+
+async function readEventStream(res, state, onChunk, signal) {
+  let data = []
+  const dispatch = () => {
+    const payload = data.join('\n')
+    data = []
+    if (!payload || payload === '[DONE]') return
+    let msg
+    try { msg = JSON.parse(payload) } catch { msg = payload }
+    applyMessage(state, msg, onChunk)
+  }
+  for await (const line of lines(res, signal)) {
+    if (!line) dispatch()
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+  }
+  dispatch()
+}
+
+export async function readGenerateResponse(res, onChunk, { signal } = {}) {
+  const type = res.headers.get('content-type') || ''
+  const state = { text: '' }
+  if (res.ok && res.body && /ndjson|jsonl/.test(type)) {
+    await readNdjson(res, state, onChunk, signal)
+  } else if (res.ok && res.body && type.includes('text/event-stream')) {
+    await readEventStream(res, state, onChunk, signal)
+  } else {
+    let data = null
+    try {
+      data = await res.json()
+    } catch {
+      // Reported below, once a failed status has had its say.
+    }
+    const { status } = res
+    if (!res.ok) {
+      const detail = typeof data?.detail === 'string' ? data.detail : null
+      throw new ApiError(detail || 'Generation failed', { status, detail, path: PATH, key: detail ? null : 'error.generateFailed' })
+    }
+    if (!data || typeof data !== 'object') {
+      throw new ApiError('Generation response is not valid JSON', { status, path: PATH, key: 'error.generateNotJson' })
+    }
+    const output = data.output ?? data.result
+    if (typeof output !== 'string') {
+      throw new ApiError('Generation response has no output', { status, path: PATH, key: 'error.generateNoOutput' })
+    }
+    applyMessage(state, { output }, onChunk)
+  }
+  return state.text
+}
@@ -0,0 +1,98 @@
+import { describe, expect, it, vi } from 'vitest'
+import { ApiError } from './errors'
+import { readGenerateResponse } from './stream'
+
+const encoder = new TextEncoder()
+
+// A response whose body arrives in the given pieces; `open` leaves the body
+// unfinished after the last piece, like a stream still generating.
+function streamed(pieces, type, { open = false } = {}) {
+  const body = new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(typeof piece === 'string' ? encoder.encode(piece) : piece)
+      if (!open) controller.close()
+    },
+  })
+  return new Response(body, { headers: { 'content-type': type } })
+}
+
+const json = (body, init = {}) =>
+  new Response(typeof body === 'string' ? body : JSON.stringify(body), { headers: { 'content-type': 'application/json' }, ...init })
+
+describe('readGenerateResponse', () => {
+  describe('NDJSON', () => {
+    it('accumulates tokens and reports each piece with the text so far', async () => {
+      const onChunk = vi.fn()
+      const res = streamed(['{"token":"Hel"}\n{"delta":"lo"}\n', '{"text":" world"}\n'], 'application/x-ndjson')
+      await expect(readGenerateResponse(res, onChunk)).resolves.toBe('Hello world')
+      expect(onChunk.mock.calls).toEqual([['Hel', 'Hel'], ['lo', 'Hello'], [' world', 'Hello world']])
+    })
+
+    it('joins lines and characters split across chunks', async () => {
+      const bytes = encoder.encode('{"token":"é"}\r\n{"token":"!"}')
+      const res = streamed([bytes.slice(0, 11), bytes.slice(11, 14), bytes.slice(14)], 'application/x-ndjson')
+      await expect(readGenerateResponse(res)).resolves.toBe('é!')
+    })
+
+    it('replaces the accumulated text with a final full output', async () => {
+      const res = streamed(['{"token":"dra"}\n{"token":"ft"}\n{"output":"final"}\n'], 'application/jsonl')
+      await expect(readGenerateResponse(res)).resolves.toBe('final')
+    })
+
+    it('rejects with the server detail of an error message', async () => {
+      const res = streamed(['{"token":"a"}\n{"detail":"model exploded"}\n'], 'application/x-ndjson')
+      const err = await readGenerateResponse(res).catch((e) => e)
+      expect(err).toBeInstanceOf(ApiError)
+      expect(err).toMatchObject({ message: 'model exploded', detail: 'model exploded', path: '/generate' })
+    })
+
+    it('stops reading and rejects when the signal aborts', async () => {
+      const controller = new AbortController()
+      const res = streamed(['{"token":"first"}\n'], 'application/x-ndjson', { open: true })
+      const reading = readGenerateResponse(res, () => controller.abort(), { signal: controller.signal })
+      await expect(reading).rejects.toMatchObject({ name: 'AbortError' })
+    })
+  })
+
+  describe('server-sent events', () => {
+    it('reads JSON and plain-text data and ignores [DONE]', async () => {
+      const res = streamed(['data: {"token":"one"}\n\n', 'data: two\n\n', 'event: end\ndata: [DONE]\n\n'], 'text/event-stream')
+      await expect(readGenerateResponse(res)).resolves.toBe('onetwo')
+    })
+
+    it('joins multi-line data and dispatches an unterminated last event', async () => {
+      const res = streamed(['data: line one\ndata: line two\n\ndata: !'], 'text/event-stream')
+      await expect(readGenerateResponse(res)).resolves.toBe('line one\nline two!')
+    })
+  })
+
+  describe('one-shot JSON', () => {
+    it('returns `output` or `result`', async () => {
+      const onChunk = vi.fn()
+      await expect(readGenerateResponse(json({ output: 'from output' }), onChunk)).resolves.toBe('from output')
+      expect(onChunk).toHaveBeenCalledWith('', 'from output')
+      await expect(readGenerateResponse(json({ result: 'from result' }))).resolves.toBe('from result')
+    })
+
+    it('accepts an empty output', async () => {
+      await expect(readGenerateResponse(json({ output: '' }))).resolves.toBe('')
+    })
+
+    it('rejects a reply without output instead of returning nothing', async () => {
+      const err = await readGenerateResponse(json({ status: 'ok' })).catch((e) => e)
+      expect(err).toBeInstanceOf(ApiError)
+      expect(err).toMatchObject({ key: 'error.generateNoOutput', status: 200 })
+    })
+
+    it('rejects a body that is not JSON with a typed error', async () => {
+      const err = await readGenerateResponse(json('<html>Bad gateway</html>')).catch((e) => e)
+      expect(err).toBeInstanceOf(ApiError)
+      expect(err).toMatchObject({ key: 'error.generateNotJson', status: 200 })
+    })
+
+    it('rejects a failed status with the server detail, or a catalog message without one', async () => {
+      await expect(readGenerateResponse(json({ detail: 'corpus missing' }, { status: 404 }))).rejects.toMatchObject({ message: 'corpus missing', status: 404 })
+      await expect(readGenerateResponse(json('oops', { status: 500 }))).rejects.toMatchObject({ key: 'error.generateFailed', status: 500 })
+    })
+  })
+})
@@ -0,0 +1,26 @@
+// Offline syllable heuristics shared by the local engine and lyric layout.
+// Splits on vowel groups, which is rough but good enough for English-like
+// spelling; words without Latin vowels are treated as a single syllable.
+
+const VOWELS = 'aeiouyàáâäãåèéêëìíîïòóôöõùúûüæœ'
+const SYLLABLE_RE = new RegExp(
+  `[^${VOWELS}]*[${VOWELS}]+(?:[^${VOWELS}]*$|[^${VOWELS}](?=[^${VOWELS}]))?`,
+  'giu',
+)
+
+export function syllabify(word) {
+  if (!word) return []
+  const parts = word.match(SYLLABLE_RE)
+  if (!parts || parts.join('') !== word) return [word]
+  // A trailing silent "e" ("time", "rhyme") is not a syllable of its own.
+  const last = parts[parts.length - 1]
+  if (parts.length > 1 && /^[^aeiouy]*e$/i.test(last) && !/le$/i.test(word)) {
+    parts.splice(-2, 2, parts[parts.length - 2] + last)
+  }
+  return parts
+}
+
+export function countSyllables(text) {
+  const words = (text || '').match(/[\p{L}\p{N}']+/gu) || []
+  return words.reduce((n, w) => n + syllabify(w).length, 0)
+}
@@ -0,0 +1,55 @@
+// Rhyme-constrained generation for the local engine: builds the output one
+// line at a time, resampling each line until its ending fits the scheme and
+// repairing the last word from the corpus when sampling does not get there.
+
+import { generateLine, tokenize, unitOf } from './ngram'
+import { findRhyme, lastWord, patternOf, replaceLastWord, rhymes } from './rhyme'
+
+const CANDIDATES = 8
+const MAX_STANZAS = 100
+
+function lineText(model, tokens, capped) {
+  let text = unitOf(model.unit).detokenize(tokens).trim()
+  // A capped character or syllable line usually ends mid-word; cut back to
+  // the last space.
+  if (capped && model.unit !== 'word' && /\s/.test(text)) text = text.replace(/\s+\S*$/, '')
+  return text
+}
+
+export function generateVerse(model, { scheme, length = 240, temperature = 1, seed = null, random = Math.random, rhymeIndex }) {
+  const pattern = patternOf(scheme)
+  const { lineMax, detokenize } = unitOf(model.unit)
+  const history = ['\n']
+  let prefix = seed ? tokenize(seed, model.unit) : []
+  let produced = 0
+  const stanzas = []
+
+  while (produced < length && stanzas.length < MAX_STANZAS) {
+    const lines = []
+    const anchors = {}
+    for (const letter of pattern) {
+      const anchor = anchors[letter]
+      let chosen = null
+      for (let i = 0; i < CANDIDATES && !chosen; i++) {
+        const tokens = prefix.concat(generateLine(model, history.slice(-model.order).concat(prefix), { temperature, random }))
+        const text = lineText(model, tokens, tokens.length - prefix.length >= lineMax)
+        if (!lastWord(text)) continue
+        if (!anchor || rhymes(lastWord(text), anchor) || i === CANDIDATES - 1) chosen = text
+      }
+      if (!chosen) chosen = detokenize(prefix).trim() || lastWord(anchor || '') || '...'
+      if (anchor && !rhymes(lastWord(chosen), anchor)) {
+        const word = findRhyme(rhymeIndex, anchor, random)
+        if (word) chosen = replaceLastWord(chosen, word)
+      }
+      if (!anchor) anchors[letter] = lastWord(chosen)
+      prefix = []
+      lines.push(chosen)
+      const tokens = tokenize(chosen, model.unit)
+      history.push(...tokens, '\n')
+      produced += tokens.length
+    }
+    stanzas.push(lines.join('\n'))
+    history.push('\n')
+  }
+  return stanzas.join('\n\n')
+}
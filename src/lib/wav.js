@@ -0,0 +1,33 @@
+// Minimal 16-bit PCM WAV encoder for mono or interleaved multi-channel
+// Float32 samples in [-1, 1]. Works in the browser and in Node.
+
+export function encodeWav(channels, sampleRate) {
+  const chans = Array.isArray(channels) ? channels : [channels]
+  const frames = chans[0].length
+  const blockAlign = chans.length * 2
+  const buffer = new ArrayBuffer(44 + frames * blockAlign)
+  const view = new DataView(buffer)
+  const ascii = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)) }
+  ascii(0, 'RIFF')
+  view.setUint32(4, 36 + frames * blockAlign, true)
+  ascii(8, 'WAVE')
+  ascii(12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true)
+  view.setUint16(22, chans.length, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, 16, true)
+  ascii(36, 'data')
+  view.setUint32(40, frames * blockAlign, true)
+  let offset = 44
+  for (let i = 0; i < frames; i++) {
+    for (const ch of chans) {
+      const s = Math.max(-1, Math.min(1, ch[i] || 0))
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true)
+      offset += 2
+    }
+  }
+  return new Uint8Array(buffer)
+}
@@ -0,0 +1,383 @@
+// German UI messages. Missing keys fall back to English.
+export default {
+  'app.title': 'Kreativer Musik- und Poesie-Generator',
+  'app.tagline': 'Schreibe Texte mit einem Zeichen-, Wort- oder Silben-N-Gramm-Modell und mach daraus Gesang. Stimme Genre, Flow, BPM und Stimmung ab.',
+  'app.connectionTest': 'Verbindungstest',
+  'app.backend': 'Backend: {name}',
+  'app.uiLanguage': 'Sprache der Oberfläche',
+  'app.footer': 'Erstellt mit einem Zeichen-/Wort-/Silben-N-Gramm-Modell + gTTS-Stimme',
+  'app.runConnectionTest': 'Verbindungstest starten',
+
+  'common.cancel': 'Abbrechen',
+  'common.dismiss': 'Schließen',
+  'common.discard': 'Verwerfen',
+  'common.refresh': 'Aktualisieren',
+  'common.view': 'Ansehen',
+  'common.untitled': 'Ohne Titel',
+  'common.close': 'Schließen',
+  'common.delete': 'Löschen',
+  'common.edit': 'Bearbeiten',
+  'common.save': 'Speichern',
+  'common.clear': 'Leeren',
+
+  'link.restored': 'Einstellungen aus dem Link wiederhergestellt.',
+  'link.failed': 'Link konnte nicht geöffnet werden: {error}',
+  'link.opened': 'Geteilter Link geöffnet. Mit diesen Einstellungen erneut generieren?',
+  'link.rerun': 'Erneut ausführen',
+  'link.copied': 'Link kopiert. Beim Öffnen werden diese Einstellungen wiederhergestellt.',
+  'link.copyPrompt': 'Diesen Link kopieren',
+  'link.createFailed': 'Link konnte nicht erstellt werden: {error}',
+
+  'notice.backendSwitched': 'Backend „{name}“ wird jetzt verwendet.',
+  'notice.libraryOffline': 'Backend nicht erreichbar: Die Bibliothek wird im zuletzt bekannten Stand angezeigt. Speichervorgänge warten, bis es wieder da ist.',
+  'notice.dbNotConfigured': 'Datenbank nicht eingerichtet. Generieren aus Text funktioniert weiterhin. Zum Speichern wird MongoDB benötigt.',
+  'notice.synced.one': '{count} Offline-Speicherung mit der Bibliothek synchronisiert.',
+  'notice.synced.other': '{count} Offline-Speicherungen mit der Bibliothek synchronisiert.',
+  'notice.syncRejected': '{count} vom Backend abgelehnt.',
+  'notice.tooShortEntry': '„{title}“ ist zu kurz zum Speichern (muss länger als die N-Gramm-Ordnung sein).',
+  'notice.needMoreText': 'Bitte mehr Text einfügen (länger als die N-Gramm-Ordnung).',
+  'notice.queuedOne': 'Backend nicht erreichbar: Die Speicherung wartet und wird synchronisiert, sobald es wieder da ist.',
+  'notice.queuedMany': 'Backend nicht erreichbar: {count} Speicherungen warten und werden synchronisiert, sobald es wieder da ist.',
+  'notice.discardFailed': 'Wartende Speicherung konnte nicht verworfen werden: {error}',
+  'notice.saved': 'In der Bibliothek gespeichert.',
+  'notice.savedMany': '{count} Korpora in der Bibliothek gespeichert.',
+  'notice.saveFailed': 'Speichern fehlgeschlagen: {error}',
+  'notice.loaded': '„{title}“ in den Quelltext geladen.',
+  'notice.corpusUpdated': 'Korpus aktualisiert.',
+  'notice.corpusDeleted': 'Korpus gelöscht.',
+  'notice.historyRestored': 'Einstellungen aus dem Verlauf wiederhergestellt.',
+  'notice.historyInvalid': 'Dieser Verlaufseintrag hat keine verwendbaren Einstellungen.',
+  'notice.historyFailed': 'Verlauf konnte nicht aktualisiert werden: {error}',
+  'notice.historyLoadFailed': 'Verlauf konnte nicht geladen werden: {error}',
+  'notice.pickCorpus': 'Wähle zuerst ein gespeichertes Korpus aus deiner Bibliothek.',
+  'notice.needWeight': 'Gib mindestens einem ausgewählten Korpus ein Gewicht über null.',
+  'notice.generating': 'Generiere...',
+  'notice.done': 'Fertig',
+  'notice.doneLocal': 'Fertig (lokale Engine)',
+  'notice.doneFallback': 'Fertig (Backend nicht erreichbar, lokale Engine verwendet)',
+  'notice.generationCancelled': 'Generierung abgebrochen.',
+  'notice.generationFailed': 'Generierung fehlgeschlagen: {error}',
+  'notice.aligning': 'Gesang wird auf den Beat ausgerichtet...',
+  'notice.aligned': 'Gesang auf {bpm} BPM ausgerichtet',
+  'notice.alignFailed': 'Ausrichten fehlgeschlagen: {error}',
+  'notice.nothingToSpeak': 'Nichts zum Vorlesen. Generiere zuerst Text.',
+  'notice.synthesizing': 'Stimme wird erzeugt...',
+  'notice.readyToPlay': 'Bereit zur Wiedergabe',
+  'notice.speakingBrowser': 'Vorlesen mit der Browserstimme',
+  'notice.ttsFailed': 'Sprachausgabe fehlgeschlagen: {error}',
+  'notice.speechCancelled': 'Vorlesen abgebrochen.',
+  'notice.singing': 'Generieren & Singen...',
+  'notice.donePlaying': 'Fertig. Wird abgespielt.',
+  'notice.pressPlay': 'Fertig. Der Browser hat die automatische Wiedergabe blockiert: zum Anhören auf Wiedergabe drücken.',
+  'notice.singCancelled': 'Generieren & Singen abgebrochen.',
+  'notice.stageFailed': '{stage} fehlgeschlagen: {error}',
+
+  'error.localEngineMissing': 'Der Text von „{title}“ ist für die lokale Engine nicht verfügbar.',
+  'error.httpStatus': 'Anfrage mit Status {status} fehlgeschlagen',
+  'error.timeout': 'Keine Antwort innerhalb von {seconds} s',
+  'error.presetNotJson': 'Die Vorlagendatei ist kein gültiges JSON.',
+  'error.presetEmpty': 'Keine Vorlagen in der Datei gefunden.',
+  'error.linkFormat': 'Unbekanntes Linkformat.',
+  'error.linkSettings': 'Der Link enthält keine verwendbaren Generierungseinstellungen.',
+  'error.linkTooLong': 'Der Quelltext ist zu lang für einen Link. Speichere ihn in der Bibliothek und generiere von dort, um ihn zu teilen.',
+  'error.speechUnsupported': 'Dieser Browser unterstützt keine Sprachausgabe',
+  'error.speechNotStarted': 'Die Sprachausgabe ist nicht gestartet. Der Browser blockiert möglicherweise Audio.',
+  'error.speechFailed': 'Sprachausgabe fehlgeschlagen: {error}',
+  'error.needMoreText': 'Bitte mehr Text einfügen (länger als die N-Gramm-Ordnung).',
+  'error.noSpeech': 'Im Clip wurde keine Sprache gefunden.',
+  'error.ttsNoAudio': 'Die Sprachantwort enthielt kein Audio.',
+  'error.generateFailed': 'Generierung fehlgeschlagen.',
+  'error.generateNotJson': 'Die Antwort des Servers auf Generieren war kein gültiges JSON.',
+  'error.generateNoOutput': 'Die Antwort des Servers auf Generieren enthielt keinen Text.',
+  'error.storageUnavailable': 'Lokaler Speicher (IndexedDB) ist in diesem Browser nicht verfügbar.',
+
+  'stage.generate': 'Text generieren',
+  'stage.synthesize': 'Stimme erzeugen',
+  'stage.align': 'Auf den Beat ausrichten',
+  'stage.play': 'Abspielen',
+
+  'job.failed': 'fehlgeschlagen',
+  'job.cancelled': 'abgebrochen',
+
+  'form.corpusTitle': 'Korpustitel',
+  'form.corpusTitlePlaceholder': 'z. B. Shakespeare-Mix',
+  'form.unit': 'Modelleinheit',
+  'form.order': 'Ordnung',
+  'form.length': 'Länge',
+  'form.unitHint': 'Ordnung und Länge werden in {units} für Kontext und Ausgabe gezählt.',
+  'form.corpusType': 'Korpustyp',
+  'form.tags': 'Schlagwörter',
+  'form.tagsPlaceholder': 'z. B. Liebe, Nacht',
+  'form.corpusLanguage': 'Korpussprache',
+  'form.sourceText': 'Quelltext',
+  'form.sourceTextPlaceholder': 'Text hier einfügen',
+  'form.temperature': 'Temperatur',
+  'form.startingPhrase': 'Anfangsphrase (optional)',
+  'form.startingPhrasePlaceholder': 'z. B. die Nacht',
+  'form.randomSeed': 'Zufalls-Seed',
+  'form.newSeed': 'Neuer Zufalls-Seed',
+  'form.genre': 'Genre',
+  'form.flow': 'Flow',
+  'form.rhymeScheme': 'Reimschema',
+  'form.bpm': 'BPM',
+  'form.mood': 'Stimmung',
+  'form.voice': 'Stimme',
+  'form.language': 'Sprache',
+  'form.slow': 'Langsame Stimme',
+  'form.localEngine': 'Lokale Engine (im Browser generieren)',
+  'form.preferBrowserVoice': 'Browserstimme bevorzugen',
+  'form.alignBeat': 'Gesang auf den Beat ausrichten',
+  'form.generateFromText': 'Aus Text generieren',
+  'form.saveToLibrary': 'In Bibliothek speichern',
+  'form.generateAndSing': 'Generieren & Singen',
+
+  'unit.char': 'Zeichen',
+  'unit.word': 'Wort',
+  'unit.syllable': 'Silbe',
+  'units.char': 'Zeichen',
+  'units.word': 'Wörtern',
+  'units.syllable': 'Silben',
+
+  'genre.pop': 'Pop',
+  'genre.hiphop': 'Hip-Hop',
+  'genre.jazz': 'Jazz',
+  'genre.rock': 'Rock',
+  'genre.lofi': 'Lo-Fi',
+
+  'flow.smooth': 'Geschmeidig',
+  'flow.rapid': 'Schnell',
+  'flow.story': 'Erzählend',
+  'flow.punchy': 'Knackig',
+
+  'rhyme.free': 'Frei',
+  'rhyme.AABB': 'AABB (Paarreim)',
+  'rhyme.ABAB': 'ABAB (Kreuzreim)',
+  'rhyme.ABCB': 'ABCB (Ballade)',
+
+  'mood.chill': 'Entspannt',
+  'mood.happy': 'Fröhlich',
+  'mood.sad': 'Melancholisch',
+  'mood.epic': 'Episch',
+
+  'voice.female': 'Weiblich',
+  'voice.male': 'Männlich',
+
+  'language.en': 'Englisch',
+  'language.en-uk': 'Englisch (UK)',
+  'language.en-au': 'Englisch (AU)',
+  'language.hi': 'Hindi',
+  'language.es': 'Spanisch',
+  'language.fr': 'Französisch',
+  'language.de': 'Deutsch',
+  'language.ja': 'Japanisch',
+
+  'corpusType.lyrics': 'Songtext',
+  'corpusType.poem': 'Gedicht',
+  'corpusType.generic': 'Allgemein',
+
+  'output.title': 'Ausgabe',
+  'output.copyLink': 'Link kopieren',
+  'output.from': 'Aus: {sources}',
+  'output.seed': 'Seed',
+  'output.sourceText': 'Quelltext',
+  'output.speak': 'Ausgabe vorlesen',
+  'output.downloadAudio': 'Audio herunterladen',
+  'output.original': 'Original',
+  'output.aligned': 'Ausgerichtet',
+  'output.alignToBeat': 'Auf den Beat ausrichten',
+  'output.karaoke': 'Karaoke',
+  'output.spokenBy': 'Gesprochen von: {voice}',
+  'output.backendVoice': 'Backend-Stimme (gTTS)',
+  'output.browserVoice': 'Browserstimme: {name} ({lang})',
+  'output.defaultVoice': 'Standardstimme',
+  'output.ttsUnavailable': 'Backend-Sprachausgabe nicht verfügbar',
+  'output.empty': 'Noch keine Ausgabe.',
+  'output.perBar': '{syllables} Silben pro Takt · {seconds} s pro Takt',
+  'output.bar': 'Takt',
+  'output.rhymeGroup': 'Reimgruppe',
+  'output.lineStats': '{syllables} Silb. · {seconds} s',
+
+  'export.menu': 'Exportieren',
+  'export.txt': 'Nur Text (.txt)',
+  'export.md': 'Markdown (.md)',
+  'export.lrc': 'Synchronisierter Songtext (.lrc)',
+  'export.json': 'JSON mit Einstellungen (.json)',
+  'export.sheet': 'Textblatt (Drucken)…',
+
+  'sheet.print': 'Drucken',
+  'sheet.verse': 'Strophe {number}',
+  'sheet.setting': 'Einstellung',
+  'sheet.value': 'Wert',
+  'sheet.source': 'Quelle',
+  'sheet.model': 'Modell',
+  'sheet.modelValue': '{unit}, Ordnung {order}',
+  'sheet.startingPhrase': 'Anfangsphrase',
+  'sheet.slow': 'langsam',
+
+  'backing.title': 'Begleitspur',
+  'backing.backing': 'Begleitung',
+  'backing.vocal': 'Gesang',
+  'backing.stop': 'Stopp',
+  'backing.play': 'Mix abspielen',
+  'backing.rendering': 'Wird gerendert…',
+  'backing.download': 'Mix herunterladen (.wav)',
+  'backing.noVocal': 'Noch kein Gesangsclip – Generieren & Singen (Backend-Stimme), um den Gesang einzumischen.',
+  'backing.failed': 'Begleitspur fehlgeschlagen: {error}',
+  'backing.exportFailed': 'Mix-Export fehlgeschlagen: {error}',
+  'karaoke.waiting': 'Warte auf Audio…',
+
+  'library.title': 'Bibliothek',
+  'library.pending': '{count} ausstehend',
+  'library.pendingHint': 'Speicherungen, die auf das Backend warten. Klicken, um jetzt zu synchronisieren.',
+  'library.offlineCopy': 'Offline-Kopie vom {date}.',
+  'library.queued': 'wartet seit {time}',
+  'library.rejected': 'Abgelehnt: {error}',
+  'library.search': 'Titel, Text oder Schlagwörter durchsuchen',
+  'library.allTypes': 'Alle Typen',
+  'library.allLanguages': 'Alle Sprachen',
+  'library.allTags': 'Alle Schlagwörter',
+  'library.empty': 'Noch keine Korpora gespeichert.',
+  'library.noMatch': 'Keine Korpora passen zu Suche und Filtern.',
+  'library.words.one': '{count} Wort',
+  'library.words.other': '{count} Wörter',
+  'library.chars.one': '{count} Zeichen',
+  'library.chars.other': '{count} Zeichen',
+  'library.blendWeight': 'Mischgewicht für {title}',
+  'library.blending': '{count} Korpora werden nach Gewicht gemischt.',
+  'library.generate': 'Aus Auswahl generieren',
+  'library.generateAndSing': 'Aus Auswahl generieren & singen',
+
+  'history.title': 'Verlauf',
+  'history.favoritesOnly': 'Nur Favoriten',
+  'history.compare': 'Auswahl vergleichen',
+  'history.compareTitle': 'Ausgaben vergleichen',
+  'history.noFavorites': 'Noch keine Favoriten.',
+  'history.empty': 'Generierungen erscheinen hier.',
+  'history.selectForCompare': 'Zum Vergleich auswählen',
+  'history.star': 'Als Favorit markieren',
+  'history.unstar': 'Favorit entfernen',
+  'history.restore': 'Einstellungen wiederherstellen',
+  'history.length': 'Länge {length}',
+  'history.start': 'Anfang „{phrase}“',
+  'history.seed': 'Seed {seed}',
+
+  'corpus.added': 'hinzugefügt am {date}',
+  'corpus.title': 'Titel',
+  'corpus.type': 'Typ',
+  'corpus.tagsPlaceholder': 'Liebe, Nacht',
+  'corpus.unspecified': 'Nicht angegeben',
+  'corpus.text': 'Text',
+  'corpus.emptyText': 'Der Korpustext darf nicht leer sein.',
+  'corpus.deleteFailed': 'Löschen fehlgeschlagen: {error}',
+  'corpus.saveChanges': 'Änderungen speichern',
+  'corpus.confirmDelete': '„{title}“ löschen? Das kann nicht rückgängig gemacht werden.',
+  'corpus.keep': 'Behalten',
+  'corpus.edit': 'Bearbeiten / umbenennen',
+  'corpus.delete': 'Löschen…',
+
+  'import.drop': '{types}-Dateien hier ablegen oder',
+  'import.browse': 'durchsuchen',
+  'import.unsupported': 'Nicht unterstützte Dateien übersprungen ({types} verwenden).',
+  'import.readFailed': '{name} konnte nicht gelesen werden: {error}',
+  'import.tooLarge': 'größer als {size} MB',
+  'import.before': 'Vorher',
+  'import.after': 'Nachher',
+  'import.load': 'In den Quelltext laden',
+  'import.save.one': 'Datei in Bibliothek speichern',
+  'import.save.other': '{count} Dateien in Bibliothek speichern',
+  'clean.nonPrinting': 'Nicht druckbare Zeichen',
+  'clean.timestamps': 'Zeitstempel (LRC/SRT)',
+  'clean.markup': 'Untertitel- und Markdown-Auszeichnung',
+  'clean.chords': 'Akkordzeilen',
+  'clean.sections': 'Abschnittsmarken ([Chorus], Verse 1:)',
+  'clean.blankLines': 'Doppelte Leerzeilen',
+
+  'preset.label': 'Stilvorlage',
+  'preset.modified': '(geändert)',
+  'preset.custom': 'Eigene Einstellungen',
+  'preset.builtin': 'Integriert',
+  'preset.mine': 'Meine Vorlagen',
+  'preset.saveAs': 'Speichern unter…',
+  'preset.rename': 'Umbenennen',
+  'preset.import': 'Importieren',
+  'preset.export': 'Exportieren',
+  'preset.newName': 'Name der neuen Vorlage',
+  'preset.renameLabel': 'Vorlage umbenennen',
+  'preset.namePlaceholder': 'z. B. Lo-Fi spät nachts',
+  'preset.confirmDelete': 'Vorlage „{name}“ löschen?',
+  'preset.storeFailed': 'Vorlagen konnten nicht gespeichert werden: {error}',
+  'preset.importFailed': 'Vorlagen konnten nicht importiert werden: {error}',
+  'preset.name.lofiChill': 'Lo-Fi entspannt 80bpm',
+  'preset.name.rapidHiphop': 'Schneller Hip-Hop 140bpm',
+  'preset.name.happyPop': 'Fröhlicher Pop 110bpm',
+  'preset.name.jazzStory': 'Erzählender Jazz 90bpm',
+  'preset.name.epicRock': 'Epischer Rock 128bpm',
+
+  'backend.title': 'Backend-Verbindung',
+  'backend.defaultName': 'Standard',
+  'backend.intro': 'Wähle das Backend, mit dem dieser Browser spricht. Profile werden lokal gespeichert.',
+  'backend.use': '{name} verwenden',
+  'backend.withAuth': 'mit Authorization',
+  'backend.name': 'Name',
+  'backend.namePlaceholder': 'z. B. Staging',
+  'backend.url': 'Backend-URL',
+  'backend.authorization': 'Authorization-Header (optional)',
+  'backend.add': 'Profil hinzufügen',
+  'backend.addAndUse': 'Hinzufügen und verwenden',
+  'backend.save': 'Profil speichern',
+  'backend.error.name': 'Gib dem Profil einen Namen.',
+  'backend.error.protocol': 'Die URL muss mit http:// oder https:// beginnen',
+  'backend.error.url': 'Gib eine vollständige URL wie https://api.example.com oder einen Pfad wie /api ein.',
+
+  'sort.newest': 'Neueste zuerst',
+  'sort.oldest': 'Älteste zuerst',
+  'sort.title': 'Titel A–Z',
+  'sort.longest': 'Meiste Wörter',
+
+  'test.title': 'Backend-Diagnose',
+  'test.intro': 'Prüft jeden Endpunkt, den die App nutzt, mit dem Profil „{name}“ unter',
+  'test.withAuth': '(mit Authorization-Header)',
+  'test.waiting': 'wartet',
+  'test.pass': 'ok',
+  'test.running': 'läuft…',
+  'test.summary': '{passed} von {total} Prüfungen bestanden',
+  'test.runAgain': 'Erneut ausführen',
+  'test.runningButton': 'Läuft…',
+  'test.export': 'Bericht exportieren (JSON)',
+  'test.backHome': 'Zur Startseite',
+  'test.check.health': 'Status',
+  'test.check.database': 'Datenbankstatus',
+  'test.check.corpora': 'Korpora auflisten',
+  'test.check.generate': 'Generieren',
+  'test.check.tts': 'Sprachausgabe',
+  'test.failure.http': 'HTTP-Fehler',
+  'test.failure.shape': 'Unerwartete Antwort',
+  'test.failure.cors': 'Durch CORS blockiert',
+  'test.failure.network': 'Netzwerkfehler',
+  'test.failure.timeout': 'Zeitüberschreitung',
+
+  'test.message': '{message}',
+  'test.shape.object': 'JSON-Objekt',
+  'test.shape.notObject': 'JSON-Objekt erwartet',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'Felder database / connection_status erwartet',
+  'test.detail.backend': 'Backend',
+  'test.detail.database': 'Datenbank',
+  'test.detail.database_url': 'DB-URL',
+  'test.detail.database_name': 'DB-Name',
+  'test.detail.connection_status': 'Verbindung',
+  'test.detail.collections': 'Collections',
+  'test.shape.notList': 'Array erwartet (oder { items: [] })',
+  'test.shape.badItem': 'Eintrag ohne id oder Text',
+  'test.shape.corpora.one': '{count} Korpus',
+  'test.shape.corpora.other': '{count} Korpora',
+  'test.shape.noOutput': 'Text in output oder result erwartet',
+  'test.shape.output.one': '{count} Zeichen',
+  'test.shape.output.other': '{count} Zeichen',
+  'test.shape.noAudio': 'audio_base64 erwartet',
+  'test.shape.audio': '{mime} · {size} KB',
+  'test.shape.audioAssumed': 'audio/mpeg (angenommen) · {size} KB',
+  'test.hint.cors': 'Server erreichbar, aber der Browser hat die Antwort blockiert (CORS). Erlaube diesen Origin im Backend. ({error})',
+  'test.hint.network': 'Server nicht erreichbar (offline, falsche URL, DNS oder Verbindung abgelehnt). ({error})',
+  'test.hint.timeout': 'Keine Antwort vor Ablauf der Zeit. ({error})',
+}
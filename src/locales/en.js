@@ -0,0 +1,384 @@
+// English UI messages. This catalog is the fallback for every other locale,
+// so it must have every key the UI uses.
+export default {
+  'app.title': 'Creative Music & Poetry Generator',
+  'app.tagline': 'Craft text with a character, word or syllable n-gram model, then turn it into voice. Tune genre, flow, BPM, and mood.',
+  'app.connectionTest': 'Connection Test',
+  'app.backend': 'Backend: {name}',
+  'app.uiLanguage': 'Interface language',
+  'app.footer': 'Built with a character/word/syllable n-gram model + gTTS voice',
+  'app.runConnectionTest': 'Run connection test',
+
+  'common.cancel': 'Cancel',
+  'common.dismiss': 'Dismiss',
+  'common.discard': 'Discard',
+  'common.refresh': 'Refresh',
+  'common.view': 'View',
+  'common.untitled': 'Untitled',
+  'common.close': 'Close',
+  'common.delete': 'Delete',
+  'common.edit': 'Edit',
+  'common.save': 'Save',
+  'common.clear': 'Clear',
+
+  'link.restored': 'Settings restored from link.',
+  'link.failed': 'Could not open link: {error}',
+  'link.opened': 'Opened a shared link. Generate again with these settings?',
+  'link.rerun': 'Re-run',
+  'link.copied': 'Link copied. Opening it restores these settings.',
+  'link.copyPrompt': 'Copy this link',
+  'link.createFailed': 'Could not create link: {error}',
+
+  'notice.backendSwitched': 'Now using backend “{name}”.',
+  'notice.libraryOffline': 'Backend unreachable: showing the library as last seen. Saves are queued until it is back.',
+  'notice.dbNotConfigured': 'Database not configured. You can still generate from raw text. Saving requires MongoDB.',
+  'notice.synced.one': 'Synced {count} offline save to the library.',
+  'notice.synced.other': 'Synced {count} offline saves to the library.',
+  'notice.syncRejected': '{count} rejected by the backend.',
+  'notice.tooShortEntry': '“{title}” is too short to save (longer than n-gram order needed).',
+  'notice.needMoreText': 'Please paste more text (longer than n-gram order).',
+  'notice.queuedOne': 'Backend unreachable: the save is queued and will sync when it is back.',
+  'notice.queuedMany': 'Backend unreachable: {count} saves are queued and will sync when it is back.',
+  'notice.discardFailed': 'Could not discard the queued save: {error}',
+  'notice.saved': 'Saved to library.',
+  'notice.savedMany': 'Saved {count} corpora to library.',
+  'notice.saveFailed': 'Save failed: {error}',
+  'notice.loaded': 'Loaded “{title}” into Source Text.',
+  'notice.corpusUpdated': 'Corpus updated.',
+  'notice.corpusDeleted': 'Corpus deleted.',
+  'notice.historyRestored': 'Settings restored from history.',
+  'notice.historyInvalid': 'This history entry has no usable settings.',
+  'notice.historyFailed': 'History could not be updated: {error}',
+  'notice.historyLoadFailed': 'History could not be loaded: {error}',
+  'notice.pickCorpus': 'Pick a saved corpus from your library first.',
+  'notice.needWeight': 'Give at least one selected corpus a weight above zero.',
+  'notice.generating': 'Generating...',
+  'notice.done': 'Done',
+  'notice.doneLocal': 'Done (local engine)',
+  'notice.doneFallback': 'Done (backend unreachable, used local engine)',
+  'notice.generationCancelled': 'Generation cancelled.',
+  'notice.generationFailed': 'Generation failed: {error}',
+  'notice.aligning': 'Aligning vocal to the beat...',
+  'notice.aligned': 'Vocal aligned to {bpm} BPM',
+  'notice.alignFailed': 'Alignment failed: {error}',
+  'notice.nothingToSpeak': 'Nothing to speak. Generate text first.',
+  'notice.synthesizing': 'Synthesizing voice...',
+  'notice.readyToPlay': 'Ready to play',
+  'notice.speakingBrowser': 'Speaking with the browser voice',
+  'notice.ttsFailed': 'TTS failed: {error}',
+  'notice.speechCancelled': 'Speech cancelled.',
+  'notice.singing': 'Generate & Sing...',
+  'notice.donePlaying': 'Done. Playing.',
+  'notice.pressPlay': 'Done. Autoplay was blocked by the browser: press play to listen.',
+  'notice.singCancelled': 'Generate & Sing cancelled.',
+  'notice.stageFailed': '{stage} failed: {error}',
+
+  'error.localEngineMissing': 'Text of “{title}” is not available to the local engine.',
+  'error.httpStatus': 'Request failed with status {status}',
+  'error.timeout': 'No response within {seconds} s',
+  'error.presetNotJson': 'Preset file is not valid JSON.',
+  'error.presetEmpty': 'No presets found in the file.',
+  'error.linkFormat': 'Unrecognised link format.',
+  'error.linkSettings': 'Link has no usable generation settings.',
+  'error.linkTooLong': 'The Source Text is too long to fit in a link. Save it to the library and generate from there to share it.',
+  'error.speechUnsupported': 'Speech synthesis is not supported in this browser',
+  'error.speechNotStarted': 'Speech did not start. The browser may be blocking audio.',
+  'error.speechFailed': 'Speech failed: {error}',
+  'error.needMoreText': 'Please paste more text (longer than n-gram order).',
+  'error.noSpeech': 'No speech found in the clip.',
+  'error.ttsNoAudio': 'The voice response contained no audio.',
+  'error.generateFailed': 'Generation failed.',
+  'error.generateNotJson': 'The server’s reply to Generate was not valid JSON.',
+  'error.generateNoOutput': 'The server’s reply to Generate contained no lyrics.',
+  'error.storageUnavailable': 'Local storage (IndexedDB) is not available in this browser.',
+
+  'stage.generate': 'Generate lyrics',
+  'stage.synthesize': 'Synthesize voice',
+  'stage.align': 'Align to beat',
+  'stage.play': 'Play',
+
+  'job.failed': 'failed',
+  'job.cancelled': 'cancelled',
+
+  'form.corpusTitle': 'Corpus Title',
+  'form.corpusTitlePlaceholder': 'e.g. Shakespeare Mix',
+  'form.unit': 'Model unit',
+  'form.order': 'Order',
+  'form.length': 'Length',
+  'form.unitHint': 'Order and length are counted in {units} of context and output.',
+  'form.corpusType': 'Corpus type',
+  'form.tags': 'Tags',
+  'form.tagsPlaceholder': 'e.g. love, night',
+  'form.corpusLanguage': 'Corpus language',
+  'form.sourceText': 'Source Text',
+  'form.sourceTextPlaceholder': 'Paste text here',
+  'form.temperature': 'Temperature',
+  'form.startingPhrase': 'Starting phrase (optional)',
+  'form.startingPhrasePlaceholder': 'e.g. the night',
+  'form.randomSeed': 'Random seed',
+  'form.newSeed': 'New random seed',
+  'form.genre': 'Genre',
+  'form.flow': 'Flow',
+  'form.rhymeScheme': 'Rhyme scheme',
+  'form.bpm': 'BPM',
+  'form.mood': 'Mood',
+  'form.voice': 'Voice',
+  'form.language': 'Language',
+  'form.slow': 'Slow voice',
+  'form.localEngine': 'Local engine (generate in browser)',
+  'form.preferBrowserVoice': 'Prefer browser voice',
+  'form.alignBeat': 'Align vocal to beat',
+  'form.generateFromText': 'Generate from Text',
+  'form.saveToLibrary': 'Save to Library',
+  'form.generateAndSing': 'Generate & Sing',
+
+  'unit.char': 'Character',
+  'unit.word': 'Word',
+  'unit.syllable': 'Syllable',
+  'units.char': 'characters',
+  'units.word': 'words',
+  'units.syllable': 'syllables',
+
+  'genre.pop': 'Pop',
+  'genre.hiphop': 'Hip-hop',
+  'genre.jazz': 'Jazz',
+  'genre.rock': 'Rock',
+  'genre.lofi': 'Lo-fi',
+
+  'flow.smooth': 'Smooth',
+  'flow.rapid': 'Rapid',
+  'flow.story': 'Storytelling',
+  'flow.punchy': 'Punchy',
+
+  'rhyme.free': 'Free',
+  'rhyme.AABB': 'AABB (couplets)',
+  'rhyme.ABAB': 'ABAB (alternate)',
+  'rhyme.ABCB': 'ABCB (ballad)',
+
+  'mood.chill': 'Chill',
+  'mood.happy': 'Happy',
+  'mood.sad': 'Moody',
+  'mood.epic': 'Epic',
+
+  'voice.female': 'Female',
+  'voice.male': 'Male',
+
+  'language.en': 'English',
+  'language.en-uk': 'English (UK)',
+  'language.en-au': 'English (AU)',
+  'language.hi': 'Hindi',
+  'language.es': 'Spanish',
+  'language.fr': 'French',
+  'language.de': 'German',
+  'language.ja': 'Japanese',
+
+  'corpusType.lyrics': 'Lyrics',
+  'corpusType.poem': 'Poem',
+  'corpusType.generic': 'Generic',
+
+  'output.title': 'Output',
+  'output.copyLink': 'Copy link',
+  'output.from': 'From: {sources}',
+  'output.seed': 'Seed',
+  'output.sourceText': 'Source Text',
+  'output.speak': 'Speak Output',
+  'output.downloadAudio': 'Download audio',
+  'output.original': 'Original',
+  'output.aligned': 'Aligned',
+  'output.alignToBeat': 'Align to beat',
+  'output.karaoke': 'Karaoke',
+  'output.spokenBy': 'Spoken by: {voice}',
+  'output.backendVoice': 'Backend voice (gTTS)',
+  'output.browserVoice': 'Browser voice: {name} ({lang})',
+  'output.defaultVoice': 'Default voice',
+  'output.ttsUnavailable': 'backend TTS unavailable',
+  'output.empty': 'No output yet.',
+  'output.perBar': '{syllables} syllables per bar · {seconds}s per bar',
+  'output.bar': 'Bar',
+  'output.rhymeGroup': 'Rhyme group',
+  'output.lineStats': '{syllables} syl · {seconds}s',
+
+  'export.menu': 'Export',
+  'export.txt': 'Plain text (.txt)',
+  'export.md': 'Markdown (.md)',
+  'export.lrc': 'Timed lyrics (.lrc)',
+  'export.json': 'JSON with settings (.json)',
+  'export.sheet': 'Lyric sheet (print)…',
+
+  'sheet.print': 'Print',
+  'sheet.verse': 'Verse {number}',
+  'sheet.setting': 'Setting',
+  'sheet.value': 'Value',
+  'sheet.source': 'Source',
+  'sheet.model': 'Model',
+  'sheet.modelValue': '{unit}, order {order}',
+  'sheet.startingPhrase': 'Starting phrase',
+  'sheet.slow': 'slow',
+
+  'backing.title': 'Backing track',
+  'backing.backing': 'Backing',
+  'backing.vocal': 'Vocal',
+  'backing.stop': 'Stop',
+  'backing.play': 'Play mix',
+  'backing.rendering': 'Rendering…',
+  'backing.download': 'Download mix (.wav)',
+  'backing.noVocal': 'No vocal clip yet — Generate & Sing (backend voice) to mix the vocal in.',
+  'backing.failed': 'Backing track failed: {error}',
+  'backing.exportFailed': 'Mix export failed: {error}',
+  'karaoke.waiting': 'Waiting for audio…',
+
+  'library.title': 'Library',
+  'library.pending': '{count} pending',
+  'library.pendingHint': 'Saves waiting for the backend. Click to sync now.',
+  'library.offlineCopy': 'Offline copy from {date}.',
+  'library.queued': 'queued {time}',
+  'library.rejected': 'Rejected: {error}',
+  'library.search': 'Search title, text or tags',
+  'library.allTypes': 'All types',
+  'library.allLanguages': 'All languages',
+  'library.allTags': 'All tags',
+  'library.empty': 'No saved corpora yet.',
+  'library.noMatch': 'No corpora match the search and filters.',
+  'library.words.one': '{count} word',
+  'library.words.other': '{count} words',
+  'library.chars.one': '{count} char',
+  'library.chars.other': '{count} chars',
+  'library.blendWeight': 'Blend weight for {title}',
+  'library.blending': 'Blending {count} corpora by weight.',
+  'library.generate': 'Generate from Selected',
+  'library.generateAndSing': 'Generate & Sing from Selected',
+
+  'history.title': 'History',
+  'history.favoritesOnly': 'Favorites only',
+  'history.compare': 'Compare selected',
+  'history.compareTitle': 'Compare outputs',
+  'history.noFavorites': 'No favorites yet.',
+  'history.empty': 'Generations will appear here.',
+  'history.selectForCompare': 'Select for comparison',
+  'history.star': 'Star',
+  'history.unstar': 'Unstar',
+  'history.restore': 'Restore settings',
+  'history.length': 'len {length}',
+  'history.start': 'start “{phrase}”',
+  'history.seed': 'seed {seed}',
+
+  'corpus.added': 'added {date}',
+  'corpus.title': 'Title',
+  'corpus.type': 'Type',
+  'corpus.tagsPlaceholder': 'love, night',
+  'corpus.unspecified': 'Unspecified',
+  'corpus.text': 'Text',
+  'corpus.emptyText': 'Corpus text cannot be empty.',
+  'corpus.deleteFailed': 'Delete failed: {error}',
+  'corpus.saveChanges': 'Save changes',
+  'corpus.confirmDelete': 'Delete “{title}”? This cannot be undone.',
+  'corpus.keep': 'Keep it',
+  'corpus.edit': 'Edit / rename',
+  'corpus.delete': 'Delete…',
+
+  'import.drop': 'Drop {types} files here or',
+  'import.browse': 'browse',
+  'import.unsupported': 'Skipped unsupported files (use {types}).',
+  'import.readFailed': 'Could not read {name}: {error}',
+  'import.tooLarge': 'larger than {size} MB',
+  'import.before': 'Before',
+  'import.after': 'After',
+  'import.load': 'Load into Source Text',
+  'import.save.one': 'Save file to Library',
+  'import.save.other': 'Save {count} files to Library',
+  'clean.nonPrinting': 'Non-printing characters',
+  'clean.timestamps': 'Timestamps (LRC/SRT)',
+  'clean.markup': 'Subtitle and Markdown markup',
+  'clean.chords': 'Chord lines',
+  'clean.sections': 'Section tags ([Chorus], Verse 1:)',
+  'clean.blankLines': 'Duplicate blank lines',
+
+  'preset.label': 'Style preset',
+  'preset.modified': '(modified)',
+  'preset.custom': 'Custom settings',
+  'preset.builtin': 'Built-in',
+  'preset.mine': 'My presets',
+  'preset.saveAs': 'Save as…',
+  'preset.rename': 'Rename',
+  'preset.import': 'Import',
+  'preset.export': 'Export',
+  'preset.newName': 'New preset name',
+  'preset.renameLabel': 'Rename preset',
+  'preset.namePlaceholder': 'e.g. Late night lo-fi',
+  'preset.confirmDelete': 'Delete preset “{name}”?',
+  'preset.storeFailed': 'Could not store presets: {error}',
+  'preset.importFailed': 'Could not import presets: {error}',
+  'preset.name.lofiChill': 'Lo-fi chill 80bpm',
+  'preset.name.rapidHiphop': 'Rapid hip-hop 140bpm',
+  'preset.name.happyPop': 'Happy pop 110bpm',
+  'preset.name.jazzStory': 'Jazz storytelling 90bpm',
+  'preset.name.epicRock': 'Epic rock 128bpm',
+
+  'backend.title': 'Backend connection',
+  'backend.defaultName': 'Default',
+  'backend.intro': 'Pick the backend this browser talks to. Profiles are saved locally.',
+  'backend.use': 'Use {name}',
+  'backend.withAuth': 'with Authorization',
+  'backend.name': 'Name',
+  'backend.namePlaceholder': 'e.g. Staging',
+  'backend.url': 'Backend URL',
+  'backend.authorization': 'Authorization header (optional)',
+  'backend.add': 'Add profile',
+  'backend.addAndUse': 'Add and use',
+  'backend.save': 'Save profile',
+  'backend.error.name': 'Give the profile a name.',
+  'backend.error.protocol': 'URL must start with http:// or https://',
+  'backend.error.url': 'Enter a full URL such as https://api.example.com or a path like /api.',
+
+  'sort.newest': 'Newest first',
+  'sort.oldest': 'Oldest first',
+  'sort.title': 'Title A–Z',
+  'sort.longest': 'Most words',
+
+  'test.title': 'Backend Diagnostics',
+  'test.intro': 'Smoke tests every endpoint the app uses against profile “{name}” at',
+  'test.withAuth': '(with Authorization header)',
+  'test.waiting': 'waiting',
+  'test.pass': 'pass',
+  'test.running': 'running…',
+  'test.summary': '{passed} of {total} checks passed',
+  'test.runAgain': 'Run Again',
+  'test.runningButton': 'Running…',
+  'test.export': 'Export Report (JSON)',
+  'test.backHome': 'Back to Home',
+  'test.check.health': 'Health',
+  'test.check.database': 'Database status',
+  'test.check.corpora': 'List corpora',
+  'test.check.generate': 'Generate',
+  'test.check.tts': 'Text to speech',
+  'test.failure.http': 'HTTP error',
+  'test.failure.shape': 'Unexpected response',
+  'test.failure.cors': 'CORS blocked',
+  'test.failure.network': 'Network error',
+  'test.failure.timeout': 'Timeout',
+
+  'test.message': '{message}',
+  'test.shape.object': 'JSON object',
+  'test.shape.notObject': 'Expected a JSON object',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'Expected database / connection_status fields',
+  'test.detail.backend': 'Backend',
+  'test.detail.database': 'Database',
+  'test.detail.database_url': 'DB URL',
+  'test.detail.database_name': 'DB name',
+  'test.detail.connection_status': 'Connection',
+  'test.detail.collections': 'Collections',
+  'test.shape.notList': 'Expected an array (or { items: [] })',
+  'test.shape.badItem': 'Item without id or text',
+  'test.shape.corpora.one': '{count} corpus',
+  'test.shape.corpora.other': '{count} corpora',
+  'test.shape.noOutput': 'Expected output or result text',
+  'test.shape.output.one': '{count} character',
+  'test.shape.output.other': '{count} characters',
+  'test.shape.noAudio': 'Expected audio_base64',
+  'test.shape.audio': '{mime} · {size} KB',
+  'test.shape.audioAssumed': 'audio/mpeg (assumed) · {size} KB',
+  'test.hint.cors': 'Server reachable but the browser blocked the response (CORS). Allow this origin on the backend. ({error})',
+  'test.hint.network': 'Could not reach the server (offline, wrong URL, DNS or refused connection). ({error})',
+  'test.hint.timeout': 'No response before the timeout. ({error})',
+}
@@ -0,0 +1,383 @@
+// Spanish UI messages. Missing keys fall back to English.
+export default {
+  'app.title': 'Generador creativo de música y poesía',
+  'app.tagline': 'Crea texto con un modelo n-grama de caracteres, palabras o sílabas y conviértelo en voz. Ajusta género, flow, BPM y ambiente.',
+  'app.connectionTest': 'Prueba de conexión',
+  'app.backend': 'Backend: {name}',
+  'app.uiLanguage': 'Idioma de la interfaz',
+  'app.footer': 'Hecho con un modelo n-grama de caracteres/palabras/sílabas + voz gTTS',
+  'app.runConnectionTest': 'Ejecutar prueba de conexión',
+
+  'common.cancel': 'Cancelar',
+  'common.dismiss': 'Descartar',
+  'common.discard': 'Descartar',
+  'common.refresh': 'Actualizar',
+  'common.view': 'Ver',
+  'common.untitled': 'Sin título',
+  'common.close': 'Cerrar',
+  'common.delete': 'Eliminar',
+  'common.edit': 'Editar',
+  'common.save': 'Guardar',
+  'common.clear': 'Vaciar',
+
+  'link.restored': 'Ajustes restaurados desde el enlace.',
+  'link.failed': 'No se pudo abrir el enlace: {error}',
+  'link.opened': 'Has abierto un enlace compartido. ¿Generar de nuevo con estos ajustes?',
+  'link.rerun': 'Repetir',
+  'link.copied': 'Enlace copiado. Al abrirlo se restauran estos ajustes.',
+  'link.copyPrompt': 'Copia este enlace',
+  'link.createFailed': 'No se pudo crear el enlace: {error}',
+
+  'notice.backendSwitched': 'Ahora se usa el backend «{name}».',
+  'notice.libraryOffline': 'Backend inaccesible: se muestra la biblioteca tal como estaba. Los guardados quedan en cola hasta que vuelva.',
+  'notice.dbNotConfigured': 'Base de datos no configurada. Aún puedes generar desde texto. Para guardar se necesita MongoDB.',
+  'notice.synced.one': 'Se sincronizó {count} guardado sin conexión con la biblioteca.',
+  'notice.synced.other': 'Se sincronizaron {count} guardados sin conexión con la biblioteca.',
+  'notice.syncRejected': '{count} rechazados por el backend.',
+  'notice.tooShortEntry': '«{title}» es demasiado corto para guardarlo (debe superar el orden del n-grama).',
+  'notice.needMoreText': 'Pega más texto (más largo que el orden del n-grama).',
+  'notice.queuedOne': 'Backend inaccesible: el guardado está en cola y se sincronizará cuando vuelva.',
+  'notice.queuedMany': 'Backend inaccesible: {count} guardados están en cola y se sincronizarán cuando vuelva.',
+  'notice.discardFailed': 'No se pudo descartar el guardado en cola: {error}',
+  'notice.saved': 'Guardado en la biblioteca.',
+  'notice.savedMany': '{count} corpus guardados en la biblioteca.',
+  'notice.saveFailed': 'Error al guardar: {error}',
+  'notice.loaded': '«{title}» cargado en el texto fuente.',
+  'notice.corpusUpdated': 'Corpus actualizado.',
+  'notice.corpusDeleted': 'Corpus eliminado.',
+  'notice.historyRestored': 'Ajustes restaurados desde el historial.',
+  'notice.historyInvalid': 'Esta entrada del historial no tiene ajustes utilizables.',
+  'notice.historyFailed': 'No se pudo actualizar el historial: {error}',
+  'notice.historyLoadFailed': 'No se pudo cargar el historial: {error}',
+  'notice.pickCorpus': 'Primero elige un corpus guardado de tu biblioteca.',
+  'notice.needWeight': 'Da a al menos un corpus seleccionado un peso mayor que cero.',
+  'notice.generating': 'Generando...',
+  'notice.done': 'Listo',
+  'notice.doneLocal': 'Listo (motor local)',
+  'notice.doneFallback': 'Listo (backend inaccesible, se usó el motor local)',
+  'notice.generationCancelled': 'Generación cancelada.',
+  'notice.generationFailed': 'Error en la generación: {error}',
+  'notice.aligning': 'Alineando la voz al ritmo...',
+  'notice.aligned': 'Voz alineada a {bpm} BPM',
+  'notice.alignFailed': 'Error al alinear: {error}',
+  'notice.nothingToSpeak': 'No hay nada que decir. Genera texto primero.',
+  'notice.synthesizing': 'Sintetizando voz...',
+  'notice.readyToPlay': 'Listo para reproducir',
+  'notice.speakingBrowser': 'Hablando con la voz del navegador',
+  'notice.ttsFailed': 'Error de TTS: {error}',
+  'notice.speechCancelled': 'Lectura cancelada.',
+  'notice.singing': 'Generar y cantar...',
+  'notice.donePlaying': 'Listo. Reproduciendo.',
+  'notice.pressPlay': 'Listo. El navegador bloqueó la reproducción automática: pulsa reproducir para escuchar.',
+  'notice.singCancelled': 'Generar y cantar cancelado.',
+  'notice.stageFailed': 'Falló «{stage}»: {error}',
+
+  'error.localEngineMissing': 'El texto de «{title}» no está disponible para el motor local.',
+  'error.httpStatus': 'La solicitud falló con el estado {status}',
+  'error.timeout': 'Sin respuesta en {seconds} s',
+  'error.presetNotJson': 'El archivo de preajustes no es un JSON válido.',
+  'error.presetEmpty': 'No se encontraron preajustes en el archivo.',
+  'error.linkFormat': 'Formato de enlace no reconocido.',
+  'error.linkSettings': 'El enlace no tiene ajustes de generación utilizables.',
+  'error.linkTooLong': 'El texto fuente es demasiado largo para caber en un enlace. Guárdalo en la biblioteca y genera desde allí para compartirlo.',
+  'error.speechUnsupported': 'Este navegador no admite la síntesis de voz',
+  'error.speechNotStarted': 'La lectura no empezó. Puede que el navegador esté bloqueando el audio.',
+  'error.speechFailed': 'Error de lectura: {error}',
+  'error.needMoreText': 'Pega más texto (más largo que el orden del n-grama).',
+  'error.noSpeech': 'No se encontró voz en el clip.',
+  'error.ttsNoAudio': 'La respuesta de voz no contenía audio.',
+  'error.generateFailed': 'La generación ha fallado.',
+  'error.generateNotJson': 'La respuesta del servidor a Generar no era JSON válido.',
+  'error.generateNoOutput': 'La respuesta del servidor a Generar no contenía letra.',
+  'error.storageUnavailable': 'El almacenamiento local (IndexedDB) no está disponible en este navegador.',
+
+  'stage.generate': 'Generar letra',
+  'stage.synthesize': 'Sintetizar voz',
+  'stage.align': 'Alinear al ritmo',
+  'stage.play': 'Reproducir',
+
+  'job.failed': 'falló',
+  'job.cancelled': 'cancelado',
+
+  'form.corpusTitle': 'Título del corpus',
+  'form.corpusTitlePlaceholder': 'p. ej. Mezcla de Shakespeare',
+  'form.unit': 'Unidad del modelo',
+  'form.order': 'Orden',
+  'form.length': 'Longitud',
+  'form.unitHint': 'El orden y la longitud se cuentan en {units} de contexto y de salida.',
+  'form.corpusType': 'Tipo de corpus',
+  'form.tags': 'Etiquetas',
+  'form.tagsPlaceholder': 'p. ej. amor, noche',
+  'form.corpusLanguage': 'Idioma del corpus',
+  'form.sourceText': 'Texto fuente',
+  'form.sourceTextPlaceholder': 'Pega el texto aquí',
+  'form.temperature': 'Temperatura',
+  'form.startingPhrase': 'Frase inicial (opcional)',
+  'form.startingPhrasePlaceholder': 'p. ej. la noche',
+  'form.randomSeed': 'Semilla aleatoria',
+  'form.newSeed': 'Nueva semilla aleatoria',
+  'form.genre': 'Género',
+  'form.flow': 'Flow',
+  'form.rhymeScheme': 'Esquema de rima',
+  'form.bpm': 'BPM',
+  'form.mood': 'Ambiente',
+  'form.voice': 'Voz',
+  'form.language': 'Idioma',
+  'form.slow': 'Voz lenta',
+  'form.localEngine': 'Motor local (generar en el navegador)',
+  'form.preferBrowserVoice': 'Preferir la voz del navegador',
+  'form.alignBeat': 'Alinear la voz al ritmo',
+  'form.generateFromText': 'Generar desde el texto',
+  'form.saveToLibrary': 'Guardar en la biblioteca',
+  'form.generateAndSing': 'Generar y cantar',
+
+  'unit.char': 'Carácter',
+  'unit.word': 'Palabra',
+  'unit.syllable': 'Sílaba',
+  'units.char': 'caracteres',
+  'units.word': 'palabras',
+  'units.syllable': 'sílabas',
+
+  'genre.pop': 'Pop',
+  'genre.hiphop': 'Hip-hop',
+  'genre.jazz': 'Jazz',
+  'genre.rock': 'Rock',
+  'genre.lofi': 'Lo-fi',
+
+  'flow.smooth': 'Suave',
+  'flow.rapid': 'Rápido',
+  'flow.story': 'Narrativo',
+  'flow.punchy': 'Contundente',
+
+  'rhyme.free': 'Libre',
+  'rhyme.AABB': 'AABB (pareados)',
+  'rhyme.ABAB': 'ABAB (alterna)',
+  'rhyme.ABCB': 'ABCB (balada)',
+
+  'mood.chill': 'Relajado',
+  'mood.happy': 'Alegre',
+  'mood.sad': 'Melancólico',
+  'mood.epic': 'Épico',
+
+  'voice.female': 'Femenina',
+  'voice.male': 'Masculina',
+
+  'language.en': 'Inglés',
+  'language.en-uk': 'Inglés (Reino Unido)',
+  'language.en-au': 'Inglés (Australia)',
+  'language.hi': 'Hindi',
+  'language.es': 'Español',
+  'language.fr': 'Francés',
+  'language.de': 'Alemán',
+  'language.ja': 'Japonés',
+
+  'corpusType.lyrics': 'Letra',
+  'corpusType.poem': 'Poema',
+  'corpusType.generic': 'Genérico',
+
+  'output.title': 'Resultado',
+  'output.copyLink': 'Copiar enlace',
+  'output.from': 'De: {sources}',
+  'output.seed': 'Semilla',
+  'output.sourceText': 'Texto fuente',
+  'output.speak': 'Leer resultado',
+  'output.downloadAudio': 'Descargar audio',
+  'output.original': 'Original',
+  'output.aligned': 'Alineada',
+  'output.alignToBeat': 'Alinear al ritmo',
+  'output.karaoke': 'Karaoke',
+  'output.spokenBy': 'Voz: {voice}',
+  'output.backendVoice': 'Voz del backend (gTTS)',
+  'output.browserVoice': 'Voz del navegador: {name} ({lang})',
+  'output.defaultVoice': 'Voz predeterminada',
+  'output.ttsUnavailable': 'TTS del backend no disponible',
+  'output.empty': 'Todavía no hay resultado.',
+  'output.perBar': '{syllables} sílabas por compás · {seconds} s por compás',
+  'output.bar': 'Compás',
+  'output.rhymeGroup': 'Grupo de rima',
+  'output.lineStats': '{syllables} síl · {seconds} s',
+
+  'export.menu': 'Exportar',
+  'export.txt': 'Texto plano (.txt)',
+  'export.md': 'Markdown (.md)',
+  'export.lrc': 'Letra sincronizada (.lrc)',
+  'export.json': 'JSON con ajustes (.json)',
+  'export.sheet': 'Hoja de letra (imprimir)…',
+
+  'sheet.print': 'Imprimir',
+  'sheet.verse': 'Estrofa {number}',
+  'sheet.setting': 'Ajuste',
+  'sheet.value': 'Valor',
+  'sheet.source': 'Fuente',
+  'sheet.model': 'Modelo',
+  'sheet.modelValue': '{unit}, orden {order}',
+  'sheet.startingPhrase': 'Frase inicial',
+  'sheet.slow': 'lenta',
+
+  'backing.title': 'Pista de acompañamiento',
+  'backing.backing': 'Acompañamiento',
+  'backing.vocal': 'Voz',
+  'backing.stop': 'Detener',
+  'backing.play': 'Reproducir mezcla',
+  'backing.rendering': 'Renderizando…',
+  'backing.download': 'Descargar mezcla (.wav)',
+  'backing.noVocal': 'Aún no hay voz grabada: usa Generar y cantar (voz del backend) para mezclarla.',
+  'backing.failed': 'Error en la pista de acompañamiento: {error}',
+  'backing.exportFailed': 'Error al exportar la mezcla: {error}',
+  'karaoke.waiting': 'Esperando el audio…',
+
+  'library.title': 'Biblioteca',
+  'library.pending': '{count} pendientes',
+  'library.pendingHint': 'Guardados a la espera del backend. Haz clic para sincronizar ahora.',
+  'library.offlineCopy': 'Copia sin conexión del {date}.',
+  'library.queued': 'en cola {time}',
+  'library.rejected': 'Rechazado: {error}',
+  'library.search': 'Buscar en título, texto o etiquetas',
+  'library.allTypes': 'Todos los tipos',
+  'library.allLanguages': 'Todos los idiomas',
+  'library.allTags': 'Todas las etiquetas',
+  'library.empty': 'Aún no hay corpus guardados.',
+  'library.noMatch': 'Ningún corpus coincide con la búsqueda y los filtros.',
+  'library.words.one': '{count} palabra',
+  'library.words.other': '{count} palabras',
+  'library.chars.one': '{count} carácter',
+  'library.chars.other': '{count} caracteres',
+  'library.blendWeight': 'Peso de mezcla de {title}',
+  'library.blending': 'Mezclando {count} corpus por peso.',
+  'library.generate': 'Generar desde la selección',
+  'library.generateAndSing': 'Generar y cantar desde la selección',
+
+  'history.title': 'Historial',
+  'history.favoritesOnly': 'Solo favoritos',
+  'history.compare': 'Comparar selección',
+  'history.compareTitle': 'Comparar resultados',
+  'history.noFavorites': 'Aún no hay favoritos.',
+  'history.empty': 'Las generaciones aparecerán aquí.',
+  'history.selectForCompare': 'Seleccionar para comparar',
+  'history.star': 'Marcar como favorito',
+  'history.unstar': 'Quitar de favoritos',
+  'history.restore': 'Restaurar ajustes',
+  'history.length': 'long. {length}',
+  'history.start': 'inicio «{phrase}»',
+  'history.seed': 'semilla {seed}',
+
+  'corpus.added': 'añadido el {date}',
+  'corpus.title': 'Título',
+  'corpus.type': 'Tipo',
+  'corpus.tagsPlaceholder': 'amor, noche',
+  'corpus.unspecified': 'Sin especificar',
+  'corpus.text': 'Texto',
+  'corpus.emptyText': 'El texto del corpus no puede estar vacío.',
+  'corpus.deleteFailed': 'Error al eliminar: {error}',
+  'corpus.saveChanges': 'Guardar cambios',
+  'corpus.confirmDelete': '¿Eliminar «{title}»? No se puede deshacer.',
+  'corpus.keep': 'Conservar',
+  'corpus.edit': 'Editar / renombrar',
+  'corpus.delete': 'Eliminar…',
+
+  'import.drop': 'Suelta aquí archivos {types} o',
+  'import.browse': 'explora',
+  'import.unsupported': 'Se omitieron archivos no admitidos (usa {types}).',
+  'import.readFailed': 'No se pudo leer {name}: {error}',
+  'import.tooLarge': 'mayor de {size} MB',
+  'import.before': 'Antes',
+  'import.after': 'Después',
+  'import.load': 'Cargar en el texto fuente',
+  'import.save.one': 'Guardar archivo en la biblioteca',
+  'import.save.other': 'Guardar {count} archivos en la biblioteca',
+  'clean.nonPrinting': 'Caracteres no imprimibles',
+  'clean.timestamps': 'Marcas de tiempo (LRC/SRT)',
+  'clean.markup': 'Marcado de subtítulos y Markdown',
+  'clean.chords': 'Líneas de acordes',
+  'clean.sections': 'Etiquetas de sección ([Chorus], Verse 1:)',
+  'clean.blankLines': 'Líneas en blanco repetidas',
+
+  'preset.label': 'Preajuste de estilo',
+  'preset.modified': '(modificado)',
+  'preset.custom': 'Ajustes personalizados',
+  'preset.builtin': 'Integrados',
+  'preset.mine': 'Mis preajustes',
+  'preset.saveAs': 'Guardar como…',
+  'preset.rename': 'Renombrar',
+  'preset.import': 'Importar',
+  'preset.export': 'Exportar',
+  'preset.newName': 'Nombre del nuevo preajuste',
+  'preset.renameLabel': 'Renombrar preajuste',
+  'preset.namePlaceholder': 'p. ej. Lo-fi de madrugada',
+  'preset.confirmDelete': '¿Eliminar el preajuste «{name}»?',
+  'preset.storeFailed': 'No se pudieron guardar los preajustes: {error}',
+  'preset.importFailed': 'No se pudieron importar los preajustes: {error}',
+  'preset.name.lofiChill': 'Lo-fi relajado 80bpm',
+  'preset.name.rapidHiphop': 'Hip-hop rápido 140bpm',
+  'preset.name.happyPop': 'Pop alegre 110bpm',
+  'preset.name.jazzStory': 'Jazz narrativo 90bpm',
+  'preset.name.epicRock': 'Rock épico 128bpm',
+
+  'backend.title': 'Conexión con el backend',
+  'backend.defaultName': 'Predeterminado',
+  'backend.intro': 'Elige el backend con el que habla este navegador. Los perfiles se guardan localmente.',
+  'backend.use': 'Usar {name}',
+  'backend.withAuth': 'con Authorization',
+  'backend.name': 'Nombre',
+  'backend.namePlaceholder': 'p. ej. Staging',
+  'backend.url': 'URL del backend',
+  'backend.authorization': 'Cabecera Authorization (opcional)',
+  'backend.add': 'Añadir perfil',
+  'backend.addAndUse': 'Añadir y usar',
+  'backend.save': 'Guardar perfil',
+  'backend.error.name': 'Ponle un nombre al perfil.',
+  'backend.error.protocol': 'La URL debe empezar por http:// o https://',
+  'backend.error.url': 'Escribe una URL completa como https://api.example.com o una ruta como /api.',
+
+  'sort.newest': 'Más recientes',
+  'sort.oldest': 'Más antiguos',
+  'sort.title': 'Título A–Z',
+  'sort.longest': 'Más palabras',
+
+  'test.title': 'Diagnóstico del backend',
+  'test.intro': 'Prueba cada endpoint que usa la aplicación con el perfil «{name}» en',
+  'test.withAuth': '(con cabecera Authorization)',
+  'test.waiting': 'en espera',
+  'test.pass': 'correcto',
+  'test.running': 'ejecutando…',
+  'test.summary': '{passed} de {total} comprobaciones correctas',
+  'test.runAgain': 'Ejecutar de nuevo',
+  'test.runningButton': 'Ejecutando…',
+  'test.export': 'Exportar informe (JSON)',
+  'test.backHome': 'Volver al inicio',
+  'test.check.health': 'Estado',
+  'test.check.database': 'Estado de la base de datos',
+  'test.check.corpora': 'Listar corpus',
+  'test.check.generate': 'Generar',
+  'test.check.tts': 'Texto a voz',
+  'test.failure.http': 'Error HTTP',
+  'test.failure.shape': 'Respuesta inesperada',
+  'test.failure.cors': 'Bloqueado por CORS',
+  'test.failure.network': 'Error de red',
+  'test.failure.timeout': 'Tiempo agotado',
+
+  'test.message': '{message}',
+  'test.shape.object': 'Objeto JSON',
+  'test.shape.notObject': 'Se esperaba un objeto JSON',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'Se esperaban los campos database / connection_status',
+  'test.detail.backend': 'Backend',
+  'test.detail.database': 'Base de datos',
+  'test.detail.database_url': 'URL de la BD',
+  'test.detail.database_name': 'Nombre de la BD',
+  'test.detail.connection_status': 'Conexión',
+  'test.detail.collections': 'Colecciones',
+  'test.shape.notList': 'Se esperaba un array (o { items: [] })',
+  'test.shape.badItem': 'Elemento sin id o texto',
+  'test.shape.corpora.one': '{count} corpus',
+  'test.shape.corpora.other': '{count} corpus',
+  'test.shape.noOutput': 'Se esperaba texto en output o result',
+  'test.shape.output.one': '{count} carácter',
+  'test.shape.output.other': '{count} caracteres',
+  'test.shape.noAudio': 'Se esperaba audio_base64',
+  'test.shape.audio': '{mime} · {size} KB',
+  'test.shape.audioAssumed': 'audio/mpeg (supuesto) · {size} KB',
+  'test.hint.cors': 'El servidor responde, pero el navegador bloqueó la respuesta (CORS). Permite este origen en el backend. ({error})',
+  'test.hint.network': 'No se pudo contactar con el servidor (sin conexión, URL incorrecta, DNS o conexión rechazada). ({error})',
+  'test.hint.timeout': 'Sin respuesta antes del tiempo límite. ({error})',
+}
@@ -0,0 +1,383 @@
+// French UI messages. Missing keys fall back to English.
+export default {
+  'app.title': 'Générateur créatif de musique et de poésie',
+  'app.tagline': 'Écrivez avec un modèle n-gramme de caractères, de mots ou de syllabes, puis donnez-lui une voix. Réglez le genre, le flow, le BPM et l’ambiance.',
+  'app.connectionTest': 'Test de connexion',
+  'app.backend': 'Backend : {name}',
+  'app.uiLanguage': 'Langue de l’interface',
+  'app.footer': 'Conçu avec un modèle n-gramme caractères/mots/syllabes + voix gTTS',
+  'app.runConnectionTest': 'Lancer le test de connexion',
+
+  'common.cancel': 'Annuler',
+  'common.dismiss': 'Ignorer',
+  'common.discard': 'Supprimer',
+  'common.refresh': 'Actualiser',
+  'common.view': 'Voir',
+  'common.untitled': 'Sans titre',
+  'common.close': 'Fermer',
+  'common.delete': 'Supprimer',
+  'common.edit': 'Modifier',
+  'common.save': 'Enregistrer',
+  'common.clear': 'Vider',
+
+  'link.restored': 'Réglages restaurés depuis le lien.',
+  'link.failed': 'Impossible d’ouvrir le lien : {error}',
+  'link.opened': 'Lien partagé ouvert. Générer à nouveau avec ces réglages ?',
+  'link.rerun': 'Relancer',
+  'link.copied': 'Lien copié. L’ouvrir restaure ces réglages.',
+  'link.copyPrompt': 'Copiez ce lien',
+  'link.createFailed': 'Impossible de créer le lien : {error}',
+
+  'notice.backendSwitched': 'Backend « {name} » utilisé désormais.',
+  'notice.libraryOffline': 'Backend injoignable : la bibliothèque est affichée telle qu’elle était. Les enregistrements sont mis en attente jusqu’à son retour.',
+  'notice.dbNotConfigured': 'Base de données non configurée. Vous pouvez toujours générer à partir du texte. L’enregistrement nécessite MongoDB.',
+  'notice.synced.one': '{count} enregistrement hors ligne synchronisé avec la bibliothèque.',
+  'notice.synced.other': '{count} enregistrements hors ligne synchronisés avec la bibliothèque.',
+  'notice.syncRejected': '{count} refusés par le backend.',
+  'notice.tooShortEntry': '« {title} » est trop court pour être enregistré (il doit dépasser l’ordre du n-gramme).',
+  'notice.needMoreText': 'Collez plus de texte (plus long que l’ordre du n-gramme).',
+  'notice.queuedOne': 'Backend injoignable : l’enregistrement est en attente et sera synchronisé à son retour.',
+  'notice.queuedMany': 'Backend injoignable : {count} enregistrements sont en attente et seront synchronisés à son retour.',
+  'notice.discardFailed': 'Impossible de supprimer l’enregistrement en attente : {error}',
+  'notice.saved': 'Enregistré dans la bibliothèque.',
+  'notice.savedMany': '{count} corpus enregistrés dans la bibliothèque.',
+  'notice.saveFailed': 'Échec de l’enregistrement : {error}',
+  'notice.loaded': '« {title} » chargé dans le texte source.',
+  'notice.corpusUpdated': 'Corpus mis à jour.',
+  'notice.corpusDeleted': 'Corpus supprimé.',
+  'notice.historyRestored': 'Réglages restaurés depuis l’historique.',
+  'notice.historyInvalid': 'Cette entrée de l’historique n’a pas de réglages utilisables.',
+  'notice.historyFailed': 'Impossible de mettre à jour l’historique : {error}',
+  'notice.historyLoadFailed': 'Impossible de charger l’historique : {error}',
+  'notice.pickCorpus': 'Choisissez d’abord un corpus enregistré dans votre bibliothèque.',
+  'notice.needWeight': 'Donnez à au moins un corpus sélectionné un poids supérieur à zéro.',
+  'notice.generating': 'Génération...',
+  'notice.done': 'Terminé',
+  'notice.doneLocal': 'Terminé (moteur local)',
+  'notice.doneFallback': 'Terminé (backend injoignable, moteur local utilisé)',
+  'notice.generationCancelled': 'Génération annulée.',
+  'notice.generationFailed': 'Échec de la génération : {error}',
+  'notice.aligning': 'Alignement de la voix sur le rythme...',
+  'notice.aligned': 'Voix alignée sur {bpm} BPM',
+  'notice.alignFailed': 'Échec de l’alignement : {error}',
+  'notice.nothingToSpeak': 'Rien à lire. Générez d’abord du texte.',
+  'notice.synthesizing': 'Synthèse de la voix...',
+  'notice.readyToPlay': 'Prêt à lire',
+  'notice.speakingBrowser': 'Lecture avec la voix du navigateur',
+  'notice.ttsFailed': 'Échec de la synthèse vocale : {error}',
+  'notice.speechCancelled': 'Lecture annulée.',
+  'notice.singing': 'Générer et chanter...',
+  'notice.donePlaying': 'Terminé. Lecture en cours.',
+  'notice.pressPlay': 'Terminé. Le navigateur a bloqué la lecture automatique : appuyez sur lecture pour écouter.',
+  'notice.singCancelled': 'Générer et chanter annulé.',
+  'notice.stageFailed': '{stage} : échec : {error}',
+
+  'error.localEngineMissing': 'Le texte de « {title} » n’est pas disponible pour le moteur local.',
+  'error.httpStatus': 'La requête a échoué avec le statut {status}',
+  'error.timeout': 'Aucune réponse en {seconds} s',
+  'error.presetNotJson': 'Le fichier de préréglages n’est pas un JSON valide.',
+  'error.presetEmpty': 'Aucun préréglage trouvé dans le fichier.',
+  'error.linkFormat': 'Format de lien non reconnu.',
+  'error.linkSettings': 'Le lien ne contient aucun réglage de génération utilisable.',
+  'error.linkTooLong': 'Le texte source est trop long pour tenir dans un lien. Enregistrez-le dans la bibliothèque et générez depuis celle-ci pour le partager.',
+  'error.speechUnsupported': 'La synthèse vocale n’est pas prise en charge par ce navigateur',
+  'error.speechNotStarted': 'La lecture n’a pas démarré. Le navigateur bloque peut-être l’audio.',
+  'error.speechFailed': 'Échec de la lecture : {error}',
+  'error.needMoreText': 'Collez plus de texte (plus long que l’ordre du n-gramme).',
+  'error.noSpeech': 'Aucune voix trouvée dans l’extrait.',
+  'error.ttsNoAudio': 'La réponse vocale ne contenait aucun audio.',
+  'error.generateFailed': 'La génération a échoué.',
+  'error.generateNotJson': 'La réponse du serveur à Générer n’était pas du JSON valide.',
+  'error.generateNoOutput': 'La réponse du serveur à Générer ne contenait aucune parole.',
+  'error.storageUnavailable': 'Le stockage local (IndexedDB) n’est pas disponible dans ce navigateur.',
+
+  'stage.generate': 'Générer les paroles',
+  'stage.synthesize': 'Synthétiser la voix',
+  'stage.align': 'Aligner sur le rythme',
+  'stage.play': 'Lire',
+
+  'job.failed': 'échec',
+  'job.cancelled': 'annulé',
+
+  'form.corpusTitle': 'Titre du corpus',
+  'form.corpusTitlePlaceholder': 'ex. Mélange Shakespeare',
+  'form.unit': 'Unité du modèle',
+  'form.order': 'Ordre',
+  'form.length': 'Longueur',
+  'form.unitHint': 'L’ordre et la longueur sont comptés en {units} de contexte et de sortie.',
+  'form.corpusType': 'Type de corpus',
+  'form.tags': 'Étiquettes',
+  'form.tagsPlaceholder': 'ex. amour, nuit',
+  'form.corpusLanguage': 'Langue du corpus',
+  'form.sourceText': 'Texte source',
+  'form.sourceTextPlaceholder': 'Collez le texte ici',
+  'form.temperature': 'Température',
+  'form.startingPhrase': 'Phrase de départ (facultatif)',
+  'form.startingPhrasePlaceholder': 'ex. la nuit',
+  'form.randomSeed': 'Graine aléatoire',
+  'form.newSeed': 'Nouvelle graine aléatoire',
+  'form.genre': 'Genre',
+  'form.flow': 'Flow',
+  'form.rhymeScheme': 'Schéma de rimes',
+  'form.bpm': 'BPM',
+  'form.mood': 'Ambiance',
+  'form.voice': 'Voix',
+  'form.language': 'Langue',
+  'form.slow': 'Voix lente',
+  'form.localEngine': 'Moteur local (générer dans le navigateur)',
+  'form.preferBrowserVoice': 'Préférer la voix du navigateur',
+  'form.alignBeat': 'Aligner la voix sur le rythme',
+  'form.generateFromText': 'Générer depuis le texte',
+  'form.saveToLibrary': 'Enregistrer dans la bibliothèque',
+  'form.generateAndSing': 'Générer et chanter',
+
+  'unit.char': 'Caractère',
+  'unit.word': 'Mot',
+  'unit.syllable': 'Syllabe',
+  'units.char': 'caractères',
+  'units.word': 'mots',
+  'units.syllable': 'syllabes',
+
+  'genre.pop': 'Pop',
+  'genre.hiphop': 'Hip-hop',
+  'genre.jazz': 'Jazz',
+  'genre.rock': 'Rock',
+  'genre.lofi': 'Lo-fi',
+
+  'flow.smooth': 'Fluide',
+  'flow.rapid': 'Rapide',
+  'flow.story': 'Narratif',
+  'flow.punchy': 'Percutant',
+
+  'rhyme.free': 'Libre',
+  'rhyme.AABB': 'AABB (plates)',
+  'rhyme.ABAB': 'ABAB (croisées)',
+  'rhyme.ABCB': 'ABCB (ballade)',
+
+  'mood.chill': 'Détendu',
+  'mood.happy': 'Joyeux',
+  'mood.sad': 'Mélancolique',
+  'mood.epic': 'Épique',
+
+  'voice.female': 'Féminine',
+  'voice.male': 'Masculine',
+
+  'language.en': 'Anglais',
+  'language.en-uk': 'Anglais (Royaume-Uni)',
+  'language.en-au': 'Anglais (Australie)',
+  'language.hi': 'Hindi',
+  'language.es': 'Espagnol',
+  'language.fr': 'Français',
+  'language.de': 'Allemand',
+  'language.ja': 'Japonais',
+
+  'corpusType.lyrics': 'Paroles',
+  'corpusType.poem': 'Poème',
+  'corpusType.generic': 'Générique',
+
+  'output.title': 'Résultat',
+  'output.copyLink': 'Copier le lien',
+  'output.from': 'Source : {sources}',
+  'output.seed': 'Graine',
+  'output.sourceText': 'Texte source',
+  'output.speak': 'Lire le résultat',
+  'output.downloadAudio': 'Télécharger l’audio',
+  'output.original': 'Originale',
+  'output.aligned': 'Alignée',
+  'output.alignToBeat': 'Aligner sur le rythme',
+  'output.karaoke': 'Karaoké',
+  'output.spokenBy': 'Voix : {voice}',
+  'output.backendVoice': 'Voix du backend (gTTS)',
+  'output.browserVoice': 'Voix du navigateur : {name} ({lang})',
+  'output.defaultVoice': 'Voix par défaut',
+  'output.ttsUnavailable': 'synthèse vocale du backend indisponible',
+  'output.empty': 'Aucun résultat pour l’instant.',
+  'output.perBar': '{syllables} syllabes par mesure · {seconds} s par mesure',
+  'output.bar': 'Mesure',
+  'output.rhymeGroup': 'Groupe de rimes',
+  'output.lineStats': '{syllables} syll · {seconds} s',
+
+  'export.menu': 'Exporter',
+  'export.txt': 'Texte brut (.txt)',
+  'export.md': 'Markdown (.md)',
+  'export.lrc': 'Paroles synchronisées (.lrc)',
+  'export.json': 'JSON avec réglages (.json)',
+  'export.sheet': 'Feuille de paroles (impression)…',
+
+  'sheet.print': 'Imprimer',
+  'sheet.verse': 'Couplet {number}',
+  'sheet.setting': 'Réglage',
+  'sheet.value': 'Valeur',
+  'sheet.source': 'Source',
+  'sheet.model': 'Modèle',
+  'sheet.modelValue': '{unit}, ordre {order}',
+  'sheet.startingPhrase': 'Phrase de départ',
+  'sheet.slow': 'lente',
+
+  'backing.title': 'Accompagnement',
+  'backing.backing': 'Accompagnement',
+  'backing.vocal': 'Voix',
+  'backing.stop': 'Arrêter',
+  'backing.play': 'Lire le mix',
+  'backing.rendering': 'Rendu en cours…',
+  'backing.download': 'Télécharger le mix (.wav)',
+  'backing.noVocal': 'Pas encore de piste vocale : utilisez Générer et chanter (voix du backend) pour l’ajouter au mix.',
+  'backing.failed': 'Échec de l’accompagnement : {error}',
+  'backing.exportFailed': 'Échec de l’export du mix : {error}',
+  'karaoke.waiting': 'En attente de l’audio…',
+
+  'library.title': 'Bibliothèque',
+  'library.pending': '{count} en attente',
+  'library.pendingHint': 'Enregistrements en attente du backend. Cliquez pour synchroniser maintenant.',
+  'library.offlineCopy': 'Copie hors ligne du {date}.',
+  'library.queued': 'en attente depuis {time}',
+  'library.rejected': 'Refusé : {error}',
+  'library.search': 'Rechercher dans le titre, le texte ou les étiquettes',
+  'library.allTypes': 'Tous les types',
+  'library.allLanguages': 'Toutes les langues',
+  'library.allTags': 'Toutes les étiquettes',
+  'library.empty': 'Aucun corpus enregistré pour l’instant.',
+  'library.noMatch': 'Aucun corpus ne correspond à la recherche et aux filtres.',
+  'library.words.one': '{count} mot',
+  'library.words.other': '{count} mots',
+  'library.chars.one': '{count} caractère',
+  'library.chars.other': '{count} caractères',
+  'library.blendWeight': 'Poids de mélange pour {title}',
+  'library.blending': 'Mélange de {count} corpus selon leur poids.',
+  'library.generate': 'Générer depuis la sélection',
+  'library.generateAndSing': 'Générer et chanter depuis la sélection',
+
+  'history.title': 'Historique',
+  'history.favoritesOnly': 'Favoris uniquement',
+  'history.compare': 'Comparer la sélection',
+  'history.compareTitle': 'Comparer les résultats',
+  'history.noFavorites': 'Aucun favori pour l’instant.',
+  'history.empty': 'Les générations apparaîtront ici.',
+  'history.selectForCompare': 'Sélectionner pour comparer',
+  'history.star': 'Ajouter aux favoris',
+  'history.unstar': 'Retirer des favoris',
+  'history.restore': 'Restaurer les réglages',
+  'history.length': 'long. {length}',
+  'history.start': 'début « {phrase} »',
+  'history.seed': 'graine {seed}',
+
+  'corpus.added': 'ajouté le {date}',
+  'corpus.title': 'Titre',
+  'corpus.type': 'Type',
+  'corpus.tagsPlaceholder': 'amour, nuit',
+  'corpus.unspecified': 'Non précisée',
+  'corpus.text': 'Texte',
+  'corpus.emptyText': 'Le texte du corpus ne peut pas être vide.',
+  'corpus.deleteFailed': 'Échec de la suppression : {error}',
+  'corpus.saveChanges': 'Enregistrer les modifications',
+  'corpus.confirmDelete': 'Supprimer « {title} » ? Cette action est irréversible.',
+  'corpus.keep': 'Conserver',
+  'corpus.edit': 'Modifier / renommer',
+  'corpus.delete': 'Supprimer…',
+
+  'import.drop': 'Déposez ici des fichiers {types} ou',
+  'import.browse': 'parcourez',
+  'import.unsupported': 'Fichiers non pris en charge ignorés (utilisez {types}).',
+  'import.readFailed': 'Impossible de lire {name} : {error}',
+  'import.tooLarge': 'plus de {size} Mo',
+  'import.before': 'Avant',
+  'import.after': 'Après',
+  'import.load': 'Charger dans le texte source',
+  'import.save.one': 'Enregistrer le fichier dans la bibliothèque',
+  'import.save.other': 'Enregistrer {count} fichiers dans la bibliothèque',
+  'clean.nonPrinting': 'Caractères non imprimables',
+  'clean.timestamps': 'Horodatages (LRC/SRT)',
+  'clean.markup': 'Balises de sous-titres et Markdown',
+  'clean.chords': 'Lignes d’accords',
+  'clean.sections': 'Balises de section ([Chorus], Verse 1:)',
+  'clean.blankLines': 'Lignes vides en double',
+
+  'preset.label': 'Préréglage de style',
+  'preset.modified': '(modifié)',
+  'preset.custom': 'Réglages personnalisés',
+  'preset.builtin': 'Intégrés',
+  'preset.mine': 'Mes préréglages',
+  'preset.saveAs': 'Enregistrer sous…',
+  'preset.rename': 'Renommer',
+  'preset.import': 'Importer',
+  'preset.export': 'Exporter',
+  'preset.newName': 'Nom du nouveau préréglage',
+  'preset.renameLabel': 'Renommer le préréglage',
+  'preset.namePlaceholder': 'ex. Lo-fi de fin de soirée',
+  'preset.confirmDelete': 'Supprimer le préréglage « {name} » ?',
+  'preset.storeFailed': 'Impossible d’enregistrer les préréglages : {error}',
+  'preset.importFailed': 'Impossible d’importer les préréglages : {error}',
+  'preset.name.lofiChill': 'Lo-fi détente 80bpm',
+  'preset.name.rapidHiphop': 'Hip-hop rapide 140bpm',
+  'preset.name.happyPop': 'Pop joyeuse 110bpm',
+  'preset.name.jazzStory': 'Jazz narratif 90bpm',
+  'preset.name.epicRock': 'Rock épique 128bpm',
+
+  'backend.title': 'Connexion au backend',
+  'backend.defaultName': 'Par défaut',
+  'backend.intro': 'Choisissez le backend utilisé par ce navigateur. Les profils sont enregistrés localement.',
+  'backend.use': 'Utiliser {name}',
+  'backend.withAuth': 'avec Authorization',
+  'backend.name': 'Nom',
+  'backend.namePlaceholder': 'ex. Préproduction',
+  'backend.url': 'URL du backend',
+  'backend.authorization': 'En-tête Authorization (facultatif)',
+  'backend.add': 'Ajouter un profil',
+  'backend.addAndUse': 'Ajouter et utiliser',
+  'backend.save': 'Enregistrer le profil',
+  'backend.error.name': 'Donnez un nom au profil.',
+  'backend.error.protocol': 'L’URL doit commencer par http:// ou https://',
+  'backend.error.url': 'Saisissez une URL complète comme https://api.example.com ou un chemin comme /api.',
+
+  'sort.newest': 'Plus récents',
+  'sort.oldest': 'Plus anciens',
+  'sort.title': 'Titre A–Z',
+  'sort.longest': 'Plus de mots',
+
+  'test.title': 'Diagnostic du backend',
+  'test.intro': 'Teste chaque endpoint utilisé par l’application avec le profil « {name} » à',
+  'test.withAuth': '(avec en-tête Authorization)',
+  'test.waiting': 'en attente',
+  'test.pass': 'réussi',
+  'test.running': 'en cours…',
+  'test.summary': '{passed} vérifications réussies sur {total}',
+  'test.runAgain': 'Relancer',
+  'test.runningButton': 'En cours…',
+  'test.export': 'Exporter le rapport (JSON)',
+  'test.backHome': 'Retour à l’accueil',
+  'test.check.health': 'État',
+  'test.check.database': 'État de la base de données',
+  'test.check.corpora': 'Liste des corpus',
+  'test.check.generate': 'Génération',
+  'test.check.tts': 'Synthèse vocale',
+  'test.failure.http': 'Erreur HTTP',
+  'test.failure.shape': 'Réponse inattendue',
+  'test.failure.cors': 'Bloqué par CORS',
+  'test.failure.network': 'Erreur réseau',
+  'test.failure.timeout': 'Délai dépassé',
+
+  'test.message': '{message}',
+  'test.shape.object': 'Objet JSON',
+  'test.shape.notObject': 'Objet JSON attendu',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'Champs database / connection_status attendus',
+  'test.detail.backend': 'Backend',
+  'test.detail.database': 'Base de données',
+  'test.detail.database_url': 'URL de la BD',
+  'test.detail.database_name': 'Nom de la BD',
+  'test.detail.connection_status': 'Connexion',
+  'test.detail.collections': 'Collections',
+  'test.shape.notList': 'Tableau attendu (ou { items: [] })',
+  'test.shape.badItem': 'Élément sans id ni texte',
+  'test.shape.corpora.one': '{count} corpus',
+  'test.shape.corpora.other': '{count} corpus',
+  'test.shape.noOutput': 'Texte output ou result attendu',
+  'test.shape.output.one': '{count} caractère',
+  'test.shape.output.other': '{count} caractères',
+  'test.shape.noAudio': 'audio_base64 attendu',
+  'test.shape.audio': '{mime} · {size} Ko',
+  'test.shape.audioAssumed': 'audio/mpeg (supposé) · {size} Ko',
+  'test.hint.cors': 'Serveur joignable, mais le navigateur a bloqué la réponse (CORS). Autorisez cette origine sur le backend. ({error})',
+  'test.hint.network': 'Impossible de joindre le serveur (hors ligne, URL erronée, DNS ou connexion refusée). ({error})',
+  'test.hint.timeout': 'Aucune réponse avant le délai. ({error})',
+}
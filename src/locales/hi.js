@@ -0,0 +1,383 @@
+// Hindi UI messages. Missing keys fall back to English.
+export default {
+  'app.title': 'रचनात्मक संगीत और कविता जनरेटर',
+  'app.tagline': 'अक्षर, शब्द या सिलेबल n-gram मॉडल से पाठ रचें, फिर उसे आवाज़ दें। शैली, फ़्लो, BPM और मूड को अपने हिसाब से बदलें।',
+  'app.connectionTest': 'कनेक्शन टेस्ट',
+  'app.backend': 'बैकएंड: {name}',
+  'app.uiLanguage': 'इंटरफ़ेस की भाषा',
+  'app.footer': 'अक्षर/शब्द/सिलेबल n-gram मॉडल + gTTS आवाज़ से बनाया गया',
+  'app.runConnectionTest': 'कनेक्शन टेस्ट चलाएँ',
+
+  'common.cancel': 'रद्द करें',
+  'common.dismiss': 'बंद करें',
+  'common.discard': 'हटाएँ',
+  'common.refresh': 'रीफ़्रेश करें',
+  'common.view': 'देखें',
+  'common.untitled': 'बिना शीर्षक',
+  'common.close': 'बंद करें',
+  'common.delete': 'हटाएँ',
+  'common.edit': 'संपादित करें',
+  'common.save': 'सेव करें',
+  'common.clear': 'साफ़ करें',
+
+  'link.restored': 'लिंक से सेटिंग्स बहाल की गईं।',
+  'link.failed': 'लिंक नहीं खुल सका: {error}',
+  'link.opened': 'साझा किया गया लिंक खोला गया। क्या इन्हीं सेटिंग्स से फिर से बनाएँ?',
+  'link.rerun': 'फिर से चलाएँ',
+  'link.copied': 'लिंक कॉपी हो गया। इसे खोलने पर ये सेटिंग्स बहाल हो जाएँगी।',
+  'link.copyPrompt': 'यह लिंक कॉपी करें',
+  'link.createFailed': 'लिंक नहीं बन सका: {error}',
+
+  'notice.backendSwitched': 'अब बैकएंड “{name}” इस्तेमाल हो रहा है।',
+  'notice.libraryOffline': 'बैकएंड से संपर्क नहीं हो पा रहा: लाइब्रेरी वैसी दिखाई जा रही है जैसी पिछली बार थी। सेव तब तक कतार में रहेंगे जब तक वह वापस नहीं आता।',
+  'notice.dbNotConfigured': 'डेटाबेस कॉन्फ़िगर नहीं है। आप अब भी पाठ से जनरेट कर सकते हैं। सेव करने के लिए MongoDB चाहिए।',
+  'notice.synced.one': '{count} ऑफ़लाइन सेव लाइब्रेरी में सिंक किया गया।',
+  'notice.synced.other': '{count} ऑफ़लाइन सेव लाइब्रेरी में सिंक किए गए।',
+  'notice.syncRejected': '{count} को बैकएंड ने अस्वीकार किया।',
+  'notice.tooShortEntry': '“{title}” सेव करने के लिए बहुत छोटा है (n-gram ऑर्डर से लंबा होना चाहिए)।',
+  'notice.needMoreText': 'कृपया और पाठ चिपकाएँ (n-gram ऑर्डर से लंबा)।',
+  'notice.queuedOne': 'बैकएंड से संपर्क नहीं हो पा रहा: सेव कतार में है और उसके वापस आने पर सिंक होगा।',
+  'notice.queuedMany': 'बैकएंड से संपर्क नहीं हो पा रहा: {count} सेव कतार में हैं और उसके वापस आने पर सिंक होंगे।',
+  'notice.discardFailed': 'कतार वाला सेव हटाया नहीं जा सका: {error}',
+  'notice.saved': 'लाइब्रेरी में सेव किया गया।',
+  'notice.savedMany': '{count} कॉर्पस लाइब्रेरी में सेव किए गए।',
+  'notice.saveFailed': 'सेव नहीं हो सका: {error}',
+  'notice.loaded': '“{title}” स्रोत पाठ में लोड किया गया।',
+  'notice.corpusUpdated': 'कॉर्पस अपडेट किया गया।',
+  'notice.corpusDeleted': 'कॉर्पस हटाया गया।',
+  'notice.historyRestored': 'इतिहास से सेटिंग्स बहाल की गईं।',
+  'notice.historyInvalid': 'इस इतिहास प्रविष्टि में उपयोग योग्य सेटिंग्स नहीं हैं।',
+  'notice.historyFailed': 'इतिहास अपडेट नहीं हो सका: {error}',
+  'notice.historyLoadFailed': 'इतिहास लोड नहीं हो सका: {error}',
+  'notice.pickCorpus': 'पहले अपनी लाइब्रेरी से कोई सेव किया हुआ कॉर्पस चुनें।',
+  'notice.needWeight': 'कम से कम एक चुने गए कॉर्पस को शून्य से अधिक वज़न दें।',
+  'notice.generating': 'जनरेट हो रहा है...',
+  'notice.done': 'पूरा हुआ',
+  'notice.doneLocal': 'पूरा हुआ (लोकल इंजन)',
+  'notice.doneFallback': 'पूरा हुआ (बैकएंड उपलब्ध नहीं था, लोकल इंजन इस्तेमाल हुआ)',
+  'notice.generationCancelled': 'जनरेशन रद्द किया गया।',
+  'notice.generationFailed': 'जनरेशन विफल: {error}',
+  'notice.aligning': 'आवाज़ को बीट पर मिलाया जा रहा है...',
+  'notice.aligned': 'आवाज़ {bpm} BPM पर मिलाई गई',
+  'notice.alignFailed': 'बीट पर मिलाना विफल: {error}',
+  'notice.nothingToSpeak': 'बोलने के लिए कुछ नहीं है। पहले पाठ जनरेट करें।',
+  'notice.synthesizing': 'आवाज़ बनाई जा रही है...',
+  'notice.readyToPlay': 'चलाने के लिए तैयार',
+  'notice.speakingBrowser': 'ब्राउज़र की आवाज़ में बोला जा रहा है',
+  'notice.ttsFailed': 'TTS विफल: {error}',
+  'notice.speechCancelled': 'बोलना रद्द किया गया।',
+  'notice.singing': 'जनरेट करें और गाएँ...',
+  'notice.donePlaying': 'पूरा हुआ। चल रहा है।',
+  'notice.pressPlay': 'पूरा हुआ। ब्राउज़र ने ऑटोप्ले रोक दिया: सुनने के लिए प्ले दबाएँ।',
+  'notice.singCancelled': 'जनरेट करें और गाएँ रद्द किया गया।',
+  'notice.stageFailed': '{stage} विफल: {error}',
+
+  'error.localEngineMissing': '“{title}” का पाठ लोकल इंजन के लिए उपलब्ध नहीं है।',
+  'error.httpStatus': 'अनुरोध स्टेटस {status} के साथ विफल हुआ',
+  'error.timeout': '{seconds} सेकंड में कोई जवाब नहीं',
+  'error.presetNotJson': 'प्रीसेट फ़ाइल मान्य JSON नहीं है।',
+  'error.presetEmpty': 'फ़ाइल में कोई प्रीसेट नहीं मिला।',
+  'error.linkFormat': 'लिंक का प्रारूप पहचाना नहीं गया।',
+  'error.linkSettings': 'लिंक में उपयोग योग्य जनरेशन सेटिंग्स नहीं हैं।',
+  'error.linkTooLong': 'स्रोत पाठ लिंक में आने के लिए बहुत लंबा है। इसे साझा करने के लिए लाइब्रेरी में सहेजें और वहीं से जनरेट करें।',
+  'error.speechUnsupported': 'यह ब्राउज़र वाक् संश्लेषण का समर्थन नहीं करता',
+  'error.speechNotStarted': 'बोलना शुरू नहीं हुआ। हो सकता है ब्राउज़र ऑडियो रोक रहा हो।',
+  'error.speechFailed': 'बोलना विफल: {error}',
+  'error.needMoreText': 'कृपया और पाठ चिपकाएँ (n-gram ऑर्डर से लंबा)।',
+  'error.noSpeech': 'क्लिप में कोई आवाज़ नहीं मिली।',
+  'error.ttsNoAudio': 'वॉइस प्रतिक्रिया में कोई ऑडियो नहीं था।',
+  'error.generateFailed': 'जनरेशन विफल रहा।',
+  'error.generateNotJson': 'जनरेट पर सर्वर का जवाब मान्य JSON नहीं था।',
+  'error.generateNoOutput': 'जनरेट पर सर्वर के जवाब में कोई बोल नहीं थे।',
+  'error.storageUnavailable': 'इस ब्राउज़र में लोकल स्टोरेज (IndexedDB) उपलब्ध नहीं है।',
+
+  'stage.generate': 'बोल जनरेट करें',
+  'stage.synthesize': 'आवाज़ बनाएँ',
+  'stage.align': 'बीट पर मिलाएँ',
+  'stage.play': 'चलाएँ',
+
+  'job.failed': 'विफल',
+  'job.cancelled': 'रद्द',
+
+  'form.corpusTitle': 'कॉर्पस का शीर्षक',
+  'form.corpusTitlePlaceholder': 'जैसे शेक्सपियर मिक्स',
+  'form.unit': 'मॉडल इकाई',
+  'form.order': 'ऑर्डर',
+  'form.length': 'लंबाई',
+  'form.unitHint': 'ऑर्डर और लंबाई संदर्भ और आउटपुट के {units} में गिने जाते हैं।',
+  'form.corpusType': 'कॉर्पस का प्रकार',
+  'form.tags': 'टैग',
+  'form.tagsPlaceholder': 'जैसे प्यार, रात',
+  'form.corpusLanguage': 'कॉर्पस की भाषा',
+  'form.sourceText': 'स्रोत पाठ',
+  'form.sourceTextPlaceholder': 'यहाँ पाठ चिपकाएँ',
+  'form.temperature': 'तापमान',
+  'form.startingPhrase': 'शुरुआती वाक्यांश (वैकल्पिक)',
+  'form.startingPhrasePlaceholder': 'जैसे रात',
+  'form.randomSeed': 'रैंडम सीड',
+  'form.newSeed': 'नया रैंडम सीड',
+  'form.genre': 'शैली',
+  'form.flow': 'फ़्लो',
+  'form.rhymeScheme': 'तुकबंदी का ढाँचा',
+  'form.bpm': 'BPM',
+  'form.mood': 'मूड',
+  'form.voice': 'आवाज़',
+  'form.language': 'भाषा',
+  'form.slow': 'धीमी आवाज़',
+  'form.localEngine': 'लोकल इंजन (ब्राउज़र में जनरेट करें)',
+  'form.preferBrowserVoice': 'ब्राउज़र की आवाज़ को प्राथमिकता दें',
+  'form.alignBeat': 'आवाज़ को बीट पर मिलाएँ',
+  'form.generateFromText': 'पाठ से जनरेट करें',
+  'form.saveToLibrary': 'लाइब्रेरी में सेव करें',
+  'form.generateAndSing': 'जनरेट करें और गाएँ',
+
+  'unit.char': 'अक्षर',
+  'unit.word': 'शब्द',
+  'unit.syllable': 'सिलेबल',
+  'units.char': 'अक्षरों',
+  'units.word': 'शब्दों',
+  'units.syllable': 'सिलेबलों',
+
+  'genre.pop': 'पॉप',
+  'genre.hiphop': 'हिप-हॉप',
+  'genre.jazz': 'जैज़',
+  'genre.rock': 'रॉक',
+  'genre.lofi': 'लो-फ़ाई',
+
+  'flow.smooth': 'सहज',
+  'flow.rapid': 'तेज़',
+  'flow.story': 'कहानी जैसा',
+  'flow.punchy': 'दमदार',
+
+  'rhyme.free': 'मुक्त',
+  'rhyme.AABB': 'AABB (जोड़े)',
+  'rhyme.ABAB': 'ABAB (एकांतर)',
+  'rhyme.ABCB': 'ABCB (गाथा)',
+
+  'mood.chill': 'सुकून भरा',
+  'mood.happy': 'खुशनुमा',
+  'mood.sad': 'उदास',
+  'mood.epic': 'भव्य',
+
+  'voice.female': 'महिला',
+  'voice.male': 'पुरुष',
+
+  'language.en': 'अंग्रेज़ी',
+  'language.en-uk': 'अंग्रेज़ी (यूके)',
+  'language.en-au': 'अंग्रेज़ी (ऑस्ट्रेलिया)',
+  'language.hi': 'हिन्दी',
+  'language.es': 'स्पैनिश',
+  'language.fr': 'फ़्रेंच',
+  'language.de': 'जर्मन',
+  'language.ja': 'जापानी',
+
+  'corpusType.lyrics': 'गीत के बोल',
+  'corpusType.poem': 'कविता',
+  'corpusType.generic': 'सामान्य',
+
+  'output.title': 'आउटपुट',
+  'output.copyLink': 'लिंक कॉपी करें',
+  'output.from': 'स्रोत: {sources}',
+  'output.seed': 'सीड',
+  'output.sourceText': 'स्रोत पाठ',
+  'output.speak': 'आउटपुट बोलें',
+  'output.downloadAudio': 'ऑडियो डाउनलोड करें',
+  'output.original': 'मूल',
+  'output.aligned': 'बीट पर मिलाया गया',
+  'output.alignToBeat': 'बीट पर मिलाएँ',
+  'output.karaoke': 'कराओके',
+  'output.spokenBy': 'आवाज़: {voice}',
+  'output.backendVoice': 'बैकएंड आवाज़ (gTTS)',
+  'output.browserVoice': 'ब्राउज़र आवाज़: {name} ({lang})',
+  'output.defaultVoice': 'डिफ़ॉल्ट आवाज़',
+  'output.ttsUnavailable': 'बैकएंड TTS उपलब्ध नहीं',
+  'output.empty': 'अभी कोई आउटपुट नहीं।',
+  'output.perBar': 'प्रति बार {syllables} अक्षर · प्रति बार {seconds} सेकंड',
+  'output.bar': 'बार',
+  'output.rhymeGroup': 'तुक समूह',
+  'output.lineStats': '{syllables} अक्षर · {seconds} सेकंड',
+
+  'export.menu': 'एक्सपोर्ट',
+  'export.txt': 'सादा टेक्स्ट (.txt)',
+  'export.md': 'Markdown (.md)',
+  'export.lrc': 'समयबद्ध बोल (.lrc)',
+  'export.json': 'सेटिंग्स सहित JSON (.json)',
+  'export.sheet': 'बोल शीट (प्रिंट)…',
+
+  'sheet.print': 'प्रिंट करें',
+  'sheet.verse': 'अंतरा {number}',
+  'sheet.setting': 'सेटिंग',
+  'sheet.value': 'मान',
+  'sheet.source': 'स्रोत',
+  'sheet.model': 'मॉडल',
+  'sheet.modelValue': '{unit}, क्रम {order}',
+  'sheet.startingPhrase': 'आरंभिक वाक्यांश',
+  'sheet.slow': 'धीमी',
+
+  'backing.title': 'बैकिंग ट्रैक',
+  'backing.backing': 'बैकिंग',
+  'backing.vocal': 'गायन',
+  'backing.stop': 'रोकें',
+  'backing.play': 'मिक्स चलाएँ',
+  'backing.rendering': 'रेंडर हो रहा है…',
+  'backing.download': 'मिक्स डाउनलोड करें (.wav)',
+  'backing.noVocal': 'अभी कोई वोकल क्लिप नहीं — वोकल मिलाने के लिए जनरेट करें और गाएँ (बैकएंड आवाज़)।',
+  'backing.failed': 'बैकिंग ट्रैक विफल: {error}',
+  'backing.exportFailed': 'मिक्स एक्सपोर्ट विफल: {error}',
+  'karaoke.waiting': 'ऑडियो की प्रतीक्षा…',
+
+  'library.title': 'लाइब्रेरी',
+  'library.pending': '{count} बाकी',
+  'library.pendingHint': 'बैकएंड का इंतज़ार कर रहे सेव। अभी सिंक करने के लिए क्लिक करें।',
+  'library.offlineCopy': '{date} की ऑफ़लाइन कॉपी।',
+  'library.queued': '{time} से कतार में',
+  'library.rejected': 'अस्वीकृत: {error}',
+  'library.search': 'शीर्षक, पाठ या टैग खोजें',
+  'library.allTypes': 'सभी प्रकार',
+  'library.allLanguages': 'सभी भाषाएँ',
+  'library.allTags': 'सभी टैग',
+  'library.empty': 'अभी तक कोई कॉर्पस सेव नहीं किया गया।',
+  'library.noMatch': 'खोज और फ़िल्टर से कोई कॉर्पस मेल नहीं खाता।',
+  'library.words.one': '{count} शब्द',
+  'library.words.other': '{count} शब्द',
+  'library.chars.one': '{count} अक्षर',
+  'library.chars.other': '{count} अक्षर',
+  'library.blendWeight': '{title} के लिए मिश्रण वज़न',
+  'library.blending': '{count} कॉर्पस को वज़न के अनुसार मिलाया जा रहा है।',
+  'library.generate': 'चयन से जनरेट करें',
+  'library.generateAndSing': 'चयन से जनरेट करें और गाएँ',
+
+  'history.title': 'इतिहास',
+  'history.favoritesOnly': 'केवल पसंदीदा',
+  'history.compare': 'चुने गए की तुलना करें',
+  'history.compareTitle': 'आउटपुट की तुलना',
+  'history.noFavorites': 'अभी कोई पसंदीदा नहीं।',
+  'history.empty': 'जनरेशन यहाँ दिखेंगे।',
+  'history.selectForCompare': 'तुलना के लिए चुनें',
+  'history.star': 'पसंदीदा बनाएँ',
+  'history.unstar': 'पसंदीदा से हटाएँ',
+  'history.restore': 'सेटिंग्स पुनर्स्थापित करें',
+  'history.length': 'लंबाई {length}',
+  'history.start': 'आरंभ “{phrase}”',
+  'history.seed': 'सीड {seed}',
+
+  'corpus.added': '{date} को जोड़ा गया',
+  'corpus.title': 'शीर्षक',
+  'corpus.type': 'प्रकार',
+  'corpus.tagsPlaceholder': 'प्यार, रात',
+  'corpus.unspecified': 'निर्दिष्ट नहीं',
+  'corpus.text': 'टेक्स्ट',
+  'corpus.emptyText': 'कॉर्पस टेक्स्ट खाली नहीं हो सकता।',
+  'corpus.deleteFailed': 'हटाना विफल: {error}',
+  'corpus.saveChanges': 'बदलाव सेव करें',
+  'corpus.confirmDelete': '“{title}” हटाएँ? इसे पूर्ववत नहीं किया जा सकता।',
+  'corpus.keep': 'रहने दें',
+  'corpus.edit': 'संपादित / नाम बदलें',
+  'corpus.delete': 'हटाएँ…',
+
+  'import.drop': '{types} फ़ाइलें यहाँ छोड़ें या',
+  'import.browse': 'ब्राउज़ करें',
+  'import.unsupported': 'असमर्थित फ़ाइलें छोड़ दी गईं ({types} उपयोग करें)।',
+  'import.readFailed': '{name} पढ़ी नहीं जा सकी: {error}',
+  'import.tooLarge': '{size} MB से बड़ी',
+  'import.before': 'पहले',
+  'import.after': 'बाद में',
+  'import.load': 'स्रोत टेक्स्ट में लोड करें',
+  'import.save.one': 'फ़ाइल लाइब्रेरी में सेव करें',
+  'import.save.other': '{count} फ़ाइलें लाइब्रेरी में सेव करें',
+  'clean.nonPrinting': 'न छपने वाले वर्ण',
+  'clean.timestamps': 'टाइमस्टैम्प (LRC/SRT)',
+  'clean.markup': 'सबटाइटल और Markdown मार्कअप',
+  'clean.chords': 'कॉर्ड पंक्तियाँ',
+  'clean.sections': 'सेक्शन टैग ([Chorus], Verse 1:)',
+  'clean.blankLines': 'दोहराई गई खाली पंक्तियाँ',
+
+  'preset.label': 'स्टाइल प्रीसेट',
+  'preset.modified': '(बदला गया)',
+  'preset.custom': 'कस्टम सेटिंग्स',
+  'preset.builtin': 'अंतर्निहित',
+  'preset.mine': 'मेरे प्रीसेट',
+  'preset.saveAs': 'इस रूप में सेव करें…',
+  'preset.rename': 'नाम बदलें',
+  'preset.import': 'इम्पोर्ट',
+  'preset.export': 'एक्सपोर्ट',
+  'preset.newName': 'नए प्रीसेट का नाम',
+  'preset.renameLabel': 'प्रीसेट का नाम बदलें',
+  'preset.namePlaceholder': 'जैसे देर रात लो-फ़ाई',
+  'preset.confirmDelete': 'प्रीसेट “{name}” हटाएँ?',
+  'preset.storeFailed': 'प्रीसेट सेव नहीं हो सके: {error}',
+  'preset.importFailed': 'प्रीसेट इम्पोर्ट नहीं हो सके: {error}',
+  'preset.name.lofiChill': 'लो-फ़ाई चिल 80bpm',
+  'preset.name.rapidHiphop': 'तेज़ हिप-हॉप 140bpm',
+  'preset.name.happyPop': 'खुशनुमा पॉप 110bpm',
+  'preset.name.jazzStory': 'जैज़ कथात्मक 90bpm',
+  'preset.name.epicRock': 'एपिक रॉक 128bpm',
+
+  'backend.title': 'बैकएंड कनेक्शन',
+  'backend.defaultName': 'डिफ़ॉल्ट',
+  'backend.intro': 'चुनें कि यह ब्राउज़र किस बैकएंड से बात करे। प्रोफ़ाइल स्थानीय रूप से सेव होती हैं।',
+  'backend.use': '{name} का उपयोग करें',
+  'backend.withAuth': 'Authorization सहित',
+  'backend.name': 'नाम',
+  'backend.namePlaceholder': 'जैसे Staging',
+  'backend.url': 'बैकएंड URL',
+  'backend.authorization': 'Authorization हेडर (वैकल्पिक)',
+  'backend.add': 'प्रोफ़ाइल जोड़ें',
+  'backend.addAndUse': 'जोड़ें और उपयोग करें',
+  'backend.save': 'प्रोफ़ाइल सेव करें',
+  'backend.error.name': 'प्रोफ़ाइल को नाम दें।',
+  'backend.error.protocol': 'URL http:// या https:// से शुरू होना चाहिए',
+  'backend.error.url': 'https://api.example.com जैसा पूरा URL या /api जैसा पथ दर्ज करें।',
+
+  'sort.newest': 'सबसे नए पहले',
+  'sort.oldest': 'सबसे पुराने पहले',
+  'sort.title': 'शीर्षक A–Z',
+  'sort.longest': 'सबसे ज़्यादा शब्द',
+
+  'test.title': 'बैकएंड जाँच',
+  'test.intro': 'ऐप जिन एंडपॉइंट का उपयोग करता है, उन सबको प्रोफ़ाइल “{name}” के साथ इस पते पर जाँचता है:',
+  'test.withAuth': '(Authorization हेडर के साथ)',
+  'test.waiting': 'प्रतीक्षा में',
+  'test.pass': 'सफल',
+  'test.running': 'चल रहा है…',
+  'test.summary': '{total} में से {passed} जाँच सफल',
+  'test.runAgain': 'फिर से चलाएँ',
+  'test.runningButton': 'चल रहा है…',
+  'test.export': 'रिपोर्ट एक्सपोर्ट करें (JSON)',
+  'test.backHome': 'होम पर वापस जाएँ',
+  'test.check.health': 'स्थिति',
+  'test.check.database': 'डेटाबेस की स्थिति',
+  'test.check.corpora': 'कॉर्पस सूची',
+  'test.check.generate': 'जनरेट',
+  'test.check.tts': 'टेक्स्ट से आवाज़',
+  'test.failure.http': 'HTTP त्रुटि',
+  'test.failure.shape': 'अप्रत्याशित जवाब',
+  'test.failure.cors': 'CORS द्वारा रोका गया',
+  'test.failure.network': 'नेटवर्क त्रुटि',
+  'test.failure.timeout': 'समय समाप्त',
+
+  'test.message': '{message}',
+  'test.shape.object': 'JSON ऑब्जेक्ट',
+  'test.shape.notObject': 'JSON ऑब्जेक्ट अपेक्षित था',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'database / connection_status फ़ील्ड अपेक्षित थे',
+  'test.detail.backend': 'बैकएंड',
+  'test.detail.database': 'डेटाबेस',
+  'test.detail.database_url': 'DB URL',
+  'test.detail.database_name': 'DB नाम',
+  'test.detail.connection_status': 'कनेक्शन',
+  'test.detail.collections': 'कलेक्शन',
+  'test.shape.notList': 'ऐरे (या { items: [] }) अपेक्षित था',
+  'test.shape.badItem': 'id या टेक्स्ट के बिना आइटम',
+  'test.shape.corpora.one': '{count} कॉर्पस',
+  'test.shape.corpora.other': '{count} कॉर्पस',
+  'test.shape.noOutput': 'output या result टेक्स्ट अपेक्षित था',
+  'test.shape.output.one': '{count} वर्ण',
+  'test.shape.output.other': '{count} वर्ण',
+  'test.shape.noAudio': 'audio_base64 अपेक्षित था',
+  'test.shape.audio': '{mime} · {size} KB',
+  'test.shape.audioAssumed': 'audio/mpeg (अनुमानित) · {size} KB',
+  'test.hint.cors': 'सर्वर उपलब्ध है, पर ब्राउज़र ने जवाब रोक दिया (CORS)। बैकएंड पर इस ऑरिजिन को अनुमति दें। ({error})',
+  'test.hint.network': 'सर्वर तक नहीं पहुँच सके (ऑफ़लाइन, गलत URL, DNS या कनेक्शन अस्वीकृत)। ({error})',
+  'test.hint.timeout': 'समय सीमा से पहले कोई जवाब नहीं। ({error})',
+}
@@ -0,0 +1,377 @@
+// Japanese UI messages. Missing keys fall back to English.
+export default {
+  'app.title': 'クリエイティブ音楽・詩ジェネレーター',
+  'app.tagline': '文字・単語・音節の n-gram モデルで文章を作り、声にします。ジャンル、フロー、BPM、ムードを調整できます。',
+  'app.connectionTest': '接続テスト',
+  'app.backend': 'バックエンド: {name}',
+  'app.uiLanguage': '表示言語',
+  'app.footer': '文字/単語/音節 n-gram モデル + gTTS 音声で作成',
+  'app.runConnectionTest': '接続テストを実行',
+
+  'common.cancel': 'キャンセル',
+  'common.dismiss': '閉じる',
+  'common.discard': '破棄',
+  'common.refresh': '更新',
+  'common.view': '表示',
+  'common.untitled': '無題',
+  'common.close': '閉じる',
+  'common.delete': '削除',
+  'common.edit': '編集',
+  'common.save': '保存',
+  'common.clear': 'クリア',
+
+  'link.restored': 'リンクから設定を復元しました。',
+  'link.failed': 'リンクを開けませんでした: {error}',
+  'link.opened': '共有リンクを開きました。この設定でもう一度生成しますか？',
+  'link.rerun': '再実行',
+  'link.copied': 'リンクをコピーしました。開くとこの設定が復元されます。',
+  'link.copyPrompt': 'このリンクをコピーしてください',
+  'link.createFailed': 'リンクを作成できませんでした: {error}',
+
+  'notice.backendSwitched': 'バックエンド「{name}」を使用しています。',
+  'notice.libraryOffline': 'バックエンドに接続できません。最後に取得したライブラリを表示しています。保存は復旧するまで待機します。',
+  'notice.dbNotConfigured': 'データベースが設定されていません。テキストからの生成は引き続き可能です。保存には MongoDB が必要です。',
+  'notice.synced.other': 'オフラインで保存した {count} 件をライブラリに同期しました。',
+  'notice.syncRejected': '{count} 件はバックエンドに拒否されました。',
+  'notice.tooShortEntry': '「{title}」は短すぎて保存できません（n-gram の次数より長くする必要があります）。',
+  'notice.needMoreText': 'もっと長いテキストを貼り付けてください（n-gram の次数より長く）。',
+  'notice.queuedOne': 'バックエンドに接続できません。保存は待機中で、復旧すると同期されます。',
+  'notice.queuedMany': 'バックエンドに接続できません。{count} 件の保存は待機中で、復旧すると同期されます。',
+  'notice.discardFailed': '待機中の保存を破棄できませんでした: {error}',
+  'notice.saved': 'ライブラリに保存しました。',
+  'notice.savedMany': '{count} 件のコーパスをライブラリに保存しました。',
+  'notice.saveFailed': '保存に失敗しました: {error}',
+  'notice.loaded': '「{title}」をソーステキストに読み込みました。',
+  'notice.corpusUpdated': 'コーパスを更新しました。',
+  'notice.corpusDeleted': 'コーパスを削除しました。',
+  'notice.historyRestored': '履歴から設定を復元しました。',
+  'notice.historyInvalid': 'この履歴には使用できる設定がありません。',
+  'notice.historyFailed': '履歴を更新できませんでした: {error}',
+  'notice.historyLoadFailed': '履歴を読み込めませんでした: {error}',
+  'notice.pickCorpus': 'まずライブラリから保存済みのコーパスを選んでください。',
+  'notice.needWeight': '選択したコーパスのうち少なくとも 1 つの重みを 0 より大きくしてください。',
+  'notice.generating': '生成中...',
+  'notice.done': '完了',
+  'notice.doneLocal': '完了（ローカルエンジン）',
+  'notice.doneFallback': '完了（バックエンドに接続できないためローカルエンジンを使用）',
+  'notice.generationCancelled': '生成をキャンセルしました。',
+  'notice.generationFailed': '生成に失敗しました: {error}',
+  'notice.aligning': 'ボーカルをビートに合わせています...',
+  'notice.aligned': 'ボーカルを {bpm} BPM に合わせました',
+  'notice.alignFailed': 'ビート合わせに失敗しました: {error}',
+  'notice.nothingToSpeak': '読み上げる内容がありません。先にテキストを生成してください。',
+  'notice.synthesizing': '音声を合成中...',
+  'notice.readyToPlay': '再生の準備ができました',
+  'notice.speakingBrowser': 'ブラウザの音声で読み上げています',
+  'notice.ttsFailed': '音声合成に失敗しました: {error}',
+  'notice.speechCancelled': '読み上げをキャンセルしました。',
+  'notice.singing': '生成して歌う...',
+  'notice.donePlaying': '完了。再生中です。',
+  'notice.pressPlay': '完了。ブラウザが自動再生をブロックしました。再生ボタンを押して聴いてください。',
+  'notice.singCancelled': '生成して歌うをキャンセルしました。',
+  'notice.stageFailed': '{stage}に失敗しました: {error}',
+
+  'error.localEngineMissing': '「{title}」のテキストはローカルエンジンで利用できません。',
+  'error.httpStatus': 'リクエストがステータス {status} で失敗しました',
+  'error.timeout': '{seconds} 秒以内に応答がありません',
+  'error.presetNotJson': 'プリセットファイルが正しい JSON ではありません。',
+  'error.presetEmpty': 'ファイルにプリセットが見つかりません。',
+  'error.linkFormat': 'リンクの形式を認識できません。',
+  'error.linkSettings': 'リンクに使用できる生成設定がありません。',
+  'error.linkTooLong': 'ソーステキストが長すぎてリンクに収まりません。共有するにはライブラリに保存し、そこから生成してください。',
+  'error.speechUnsupported': 'このブラウザは音声合成に対応していません',
+  'error.speechNotStarted': '読み上げが始まりませんでした。ブラウザが音声をブロックしている可能性があります。',
+  'error.speechFailed': '読み上げに失敗しました: {error}',
+  'error.needMoreText': 'もっと長いテキストを貼り付けてください（n-gram の次数より長く）。',
+  'error.noSpeech': 'クリップに音声が見つかりませんでした。',
+  'error.ttsNoAudio': '音声の応答にオーディオが含まれていませんでした。',
+  'error.generateFailed': '生成に失敗しました。',
+  'error.generateNotJson': '生成に対するサーバーの応答が有効な JSON ではありませんでした。',
+  'error.generateNoOutput': '生成に対するサーバーの応答に歌詞が含まれていませんでした。',
+  'error.storageUnavailable': 'このブラウザではローカルストレージ（IndexedDB）を利用できません。',
+
+  'stage.generate': '歌詞を生成',
+  'stage.synthesize': '音声を合成',
+  'stage.align': 'ビートに合わせる',
+  'stage.play': '再生',
+
+  'job.failed': '失敗',
+  'job.cancelled': 'キャンセル',
+
+  'form.corpusTitle': 'コーパス名',
+  'form.corpusTitlePlaceholder': '例: シェイクスピア・ミックス',
+  'form.unit': 'モデル単位',
+  'form.order': '次数',
+  'form.length': '長さ',
+  'form.unitHint': '次数と長さは、文脈と出力の{units}数で数えます。',
+  'form.corpusType': 'コーパスの種類',
+  'form.tags': 'タグ',
+  'form.tagsPlaceholder': '例: 愛, 夜',
+  'form.corpusLanguage': 'コーパスの言語',
+  'form.sourceText': 'ソーステキスト',
+  'form.sourceTextPlaceholder': 'ここにテキストを貼り付け',
+  'form.temperature': '温度',
+  'form.startingPhrase': '書き出しのフレーズ（任意）',
+  'form.startingPhrasePlaceholder': '例: 夜は',
+  'form.randomSeed': '乱数シード',
+  'form.newSeed': '新しい乱数シード',
+  'form.genre': 'ジャンル',
+  'form.flow': 'フロー',
+  'form.rhymeScheme': '韻のパターン',
+  'form.bpm': 'BPM',
+  'form.mood': 'ムード',
+  'form.voice': '声',
+  'form.language': '言語',
+  'form.slow': 'ゆっくり話す',
+  'form.localEngine': 'ローカルエンジン（ブラウザで生成）',
+  'form.preferBrowserVoice': 'ブラウザの音声を優先',
+  'form.alignBeat': 'ボーカルをビートに合わせる',
+  'form.generateFromText': 'テキストから生成',
+  'form.saveToLibrary': 'ライブラリに保存',
+  'form.generateAndSing': '生成して歌う',
+
+  'unit.char': '文字',
+  'unit.word': '単語',
+  'unit.syllable': '音節',
+  'units.char': '文字',
+  'units.word': '単語',
+  'units.syllable': '音節',
+
+  'genre.pop': 'ポップ',
+  'genre.hiphop': 'ヒップホップ',
+  'genre.jazz': 'ジャズ',
+  'genre.rock': 'ロック',
+  'genre.lofi': 'ローファイ',
+
+  'flow.smooth': 'なめらか',
+  'flow.rapid': '速い',
+  'flow.story': 'ストーリー',
+  'flow.punchy': 'パンチの効いた',
+
+  'rhyme.free': '自由',
+  'rhyme.AABB': 'AABB（連続韻）',
+  'rhyme.ABAB': 'ABAB（交互韻）',
+  'rhyme.ABCB': 'ABCB（バラッド）',
+
+  'mood.chill': 'チル',
+  'mood.happy': 'ハッピー',
+  'mood.sad': '切ない',
+  'mood.epic': '壮大',
+
+  'voice.female': '女性',
+  'voice.male': '男性',
+
+  'language.en': '英語',
+  'language.en-uk': '英語（イギリス）',
+  'language.en-au': '英語（オーストラリア）',
+  'language.hi': 'ヒンディー語',
+  'language.es': 'スペイン語',
+  'language.fr': 'フランス語',
+  'language.de': 'ドイツ語',
+  'language.ja': '日本語',
+
+  'corpusType.lyrics': '歌詞',
+  'corpusType.poem': '詩',
+  'corpusType.generic': '一般',
+
+  'output.title': '出力',
+  'output.copyLink': 'リンクをコピー',
+  'output.from': '元: {sources}',
+  'output.seed': 'シード',
+  'output.sourceText': 'ソーステキスト',
+  'output.speak': '出力を読み上げ',
+  'output.downloadAudio': '音声をダウンロード',
+  'output.original': 'オリジナル',
+  'output.aligned': 'ビート合わせ済み',
+  'output.alignToBeat': 'ビートに合わせる',
+  'output.karaoke': 'カラオケ',
+  'output.spokenBy': '音声: {voice}',
+  'output.backendVoice': 'バックエンド音声（gTTS）',
+  'output.browserVoice': 'ブラウザ音声: {name}（{lang}）',
+  'output.defaultVoice': '既定の音声',
+  'output.ttsUnavailable': 'バックエンドの音声合成は利用できません',
+  'output.empty': 'まだ出力はありません。',
+  'output.perBar': '1 小節あたり {syllables} 音節 · {seconds} 秒',
+  'output.bar': '小節',
+  'output.rhymeGroup': '韻のグループ',
+  'output.lineStats': '{syllables} 音節 · {seconds} 秒',
+
+  'export.menu': 'エクスポート',
+  'export.txt': 'プレーンテキスト（.txt）',
+  'export.md': 'Markdown（.md）',
+  'export.lrc': 'タイミング付き歌詞（.lrc）',
+  'export.json': '設定付き JSON（.json）',
+  'export.sheet': '歌詞シート（印刷）…',
+
+  'sheet.print': '印刷',
+  'sheet.verse': '第 {number} 節',
+  'sheet.setting': '設定',
+  'sheet.value': '値',
+  'sheet.source': 'ソース',
+  'sheet.model': 'モデル',
+  'sheet.modelValue': '{unit}、次数 {order}',
+  'sheet.startingPhrase': '書き出しのフレーズ',
+  'sheet.slow': 'ゆっくり',
+
+  'backing.title': 'バッキングトラック',
+  'backing.backing': '伴奏',
+  'backing.vocal': 'ボーカル',
+  'backing.stop': '停止',
+  'backing.play': 'ミックスを再生',
+  'backing.rendering': 'レンダリング中…',
+  'backing.download': 'ミックスをダウンロード（.wav）',
+  'backing.noVocal': 'まだボーカルがありません。生成して歌う（バックエンド音声）でボーカルをミックスできます。',
+  'backing.failed': 'バッキングトラックに失敗しました: {error}',
+  'backing.exportFailed': 'ミックスの書き出しに失敗しました: {error}',
+  'karaoke.waiting': '音声を待っています…',
+
+  'library.title': 'ライブラリ',
+  'library.pending': '待機中 {count} 件',
+  'library.pendingHint': 'バックエンドを待っている保存です。クリックすると今すぐ同期します。',
+  'library.offlineCopy': '{date} 時点のオフラインコピーです。',
+  'library.queued': '{time} に待機',
+  'library.rejected': '拒否: {error}',
+  'library.search': 'タイトル・本文・タグを検索',
+  'library.allTypes': 'すべての種類',
+  'library.allLanguages': 'すべての言語',
+  'library.allTags': 'すべてのタグ',
+  'library.empty': '保存されたコーパスはまだありません。',
+  'library.noMatch': '検索とフィルターに一致するコーパスはありません。',
+  'library.words.other': '{count} 語',
+  'library.chars.other': '{count} 文字',
+  'library.blendWeight': '{title} のブレンド比率',
+  'library.blending': '{count} 件のコーパスを重みに応じてブレンドします。',
+  'library.generate': '選択から生成',
+  'library.generateAndSing': '選択から生成して歌う',
+
+  'history.title': '履歴',
+  'history.favoritesOnly': 'お気に入りのみ',
+  'history.compare': '選択項目を比較',
+  'history.compareTitle': '出力を比較',
+  'history.noFavorites': 'お気に入りはまだありません。',
+  'history.empty': '生成結果はここに表示されます。',
+  'history.selectForCompare': '比較対象に選択',
+  'history.star': 'お気に入りに追加',
+  'history.unstar': 'お気に入りから削除',
+  'history.restore': '設定を復元',
+  'history.length': '長さ {length}',
+  'history.start': '書き出し「{phrase}」',
+  'history.seed': 'シード {seed}',
+
+  'corpus.added': '{date} に追加',
+  'corpus.title': 'タイトル',
+  'corpus.type': '種類',
+  'corpus.tagsPlaceholder': '愛, 夜',
+  'corpus.unspecified': '未指定',
+  'corpus.text': 'テキスト',
+  'corpus.emptyText': 'コーパスのテキストは空にできません。',
+  'corpus.deleteFailed': '削除に失敗しました: {error}',
+  'corpus.saveChanges': '変更を保存',
+  'corpus.confirmDelete': '「{title}」を削除しますか？元に戻せません。',
+  'corpus.keep': '残す',
+  'corpus.edit': '編集 / 名前を変更',
+  'corpus.delete': '削除…',
+
+  'import.drop': '{types} ファイルをここにドロップするか',
+  'import.browse': '参照',
+  'import.unsupported': '未対応のファイルをスキップしました（{types} を使用してください）。',
+  'import.readFailed': '{name} を読み込めませんでした: {error}',
+  'import.tooLarge': '{size} MB を超えています',
+  'import.before': '変更前',
+  'import.after': '変更後',
+  'import.load': 'ソーステキストに読み込む',
+  'import.save.other': '{count} 件のファイルをライブラリに保存',
+  'clean.nonPrinting': '制御文字',
+  'clean.timestamps': 'タイムスタンプ（LRC/SRT）',
+  'clean.markup': '字幕と Markdown の記法',
+  'clean.chords': 'コード行',
+  'clean.sections': 'セクションタグ（[Chorus]、Verse 1:）',
+  'clean.blankLines': '連続する空行',
+
+  'preset.label': 'スタイルプリセット',
+  'preset.modified': '（変更あり）',
+  'preset.custom': 'カスタム設定',
+  'preset.builtin': '組み込み',
+  'preset.mine': 'マイプリセット',
+  'preset.saveAs': '名前を付けて保存…',
+  'preset.rename': '名前を変更',
+  'preset.import': 'インポート',
+  'preset.export': 'エクスポート',
+  'preset.newName': '新しいプリセット名',
+  'preset.renameLabel': 'プリセット名を変更',
+  'preset.namePlaceholder': '例: 深夜のローファイ',
+  'preset.confirmDelete': 'プリセット「{name}」を削除しますか？',
+  'preset.storeFailed': 'プリセットを保存できませんでした: {error}',
+  'preset.importFailed': 'プリセットをインポートできませんでした: {error}',
+  'preset.name.lofiChill': 'ローファイ・チル 80bpm',
+  'preset.name.rapidHiphop': '高速ヒップホップ 140bpm',
+  'preset.name.happyPop': 'ハッピーポップ 110bpm',
+  'preset.name.jazzStory': 'ジャズ・ストーリー 90bpm',
+  'preset.name.epicRock': '壮大なロック 128bpm',
+
+  'backend.title': 'バックエンド接続',
+  'backend.defaultName': '既定',
+  'backend.intro': 'このブラウザが接続するバックエンドを選びます。プロファイルはローカルに保存されます。',
+  'backend.use': '{name} を使用',
+  'backend.withAuth': 'Authorization あり',
+  'backend.name': '名前',
+  'backend.namePlaceholder': '例: ステージング',
+  'backend.url': 'バックエンド URL',
+  'backend.authorization': 'Authorization ヘッダー（任意）',
+  'backend.add': 'プロファイルを追加',
+  'backend.addAndUse': '追加して使用',
+  'backend.save': 'プロファイルを保存',
+  'backend.error.name': 'プロファイルに名前を付けてください。',
+  'backend.error.protocol': 'URL は http:// または https:// で始めてください',
+  'backend.error.url': 'https://api.example.com のような完全な URL か、/api のようなパスを入力してください。',
+
+  'sort.newest': '新しい順',
+  'sort.oldest': '古い順',
+  'sort.title': 'タイトル順',
+  'sort.longest': '単語数の多い順',
+
+  'test.title': 'バックエンド診断',
+  'test.intro': 'アプリが使うすべてのエンドポイントを、プロファイル「{name}」で次の URL に対してテストします:',
+  'test.withAuth': '（Authorization ヘッダー付き）',
+  'test.waiting': '待機中',
+  'test.pass': '成功',
+  'test.running': '実行中…',
+  'test.summary': '{total} 件中 {passed} 件のチェックに成功',
+  'test.runAgain': '再実行',
+  'test.runningButton': '実行中…',
+  'test.export': 'レポートをエクスポート（JSON）',
+  'test.backHome': 'ホームに戻る',
+  'test.check.health': 'ヘルスチェック',
+  'test.check.database': 'データベースの状態',
+  'test.check.corpora': 'コーパス一覧',
+  'test.check.generate': '生成',
+  'test.check.tts': '音声合成',
+  'test.failure.http': 'HTTP エラー',
+  'test.failure.shape': '予期しない応答',
+  'test.failure.cors': 'CORS によりブロック',
+  'test.failure.network': 'ネットワークエラー',
+  'test.failure.timeout': 'タイムアウト',
+
+  'test.message': '{message}',
+  'test.shape.object': 'JSON オブジェクト',
+  'test.shape.notObject': 'JSON オブジェクトが必要です',
+  'test.shape.database': '{database} · {status}',
+  'test.shape.noDatabase': 'database / connection_status フィールドが必要です',
+  'test.detail.backend': 'バックエンド',
+  'test.detail.database': 'データベース',
+  'test.detail.database_url': 'DB URL',
+  'test.detail.database_name': 'DB 名',
+  'test.detail.connection_status': '接続',
+  'test.detail.collections': 'コレクション',
+  'test.shape.notList': '配列（または { items: [] }）が必要です',
+  'test.shape.badItem': 'id またはテキストのない項目',
+  'test.shape.corpora.other': '{count} 件のコーパス',
+  'test.shape.noOutput': 'output または result のテキストが必要です',
+  'test.shape.output.other': '{count} 文字',
+  'test.shape.noAudio': 'audio_base64 が必要です',
+  'test.shape.audio': '{mime} · {size} KB',
+  'test.shape.audioAssumed': 'audio/mpeg（推定） · {size} KB',
+  'test.hint.cors': 'サーバーには到達できますが、ブラウザが応答をブロックしました（CORS）。バックエンドでこのオリジンを許可してください。（{error}）',
+  'test.hint.network': 'サーバーに接続できませんでした（オフライン、URL の誤り、DNS、または接続拒否）。（{error}）',
+  'test.hint.timeout': 'タイムアウトまでに応答がありませんでした。（{error}）',
+}
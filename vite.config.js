@@ -1,8 +1,32 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mockBackend } from './mock/backend'
 
-export default defineConfig({
-  plugins: [react()],
+// Stamps the build's hashed assets and a version derived from them into
+// dist/sw.js (copied from public/), so the worker precaches every bundle on
+// install and each deploy gets a fresh cache.
+function serviceWorkerManifest() {
+  let assets = []
+  return {
+    name: 'service-worker-manifest',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      assets = Object.keys(bundle).filter((f) => f.startsWith('assets/')).map((f) => `/${f}`).sort()
+    },
+    writeBundle({ dir }) {
+      const file = join(dir, 'sw.js')
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+      writeFileSync(file, readFileSync(file, 'utf8').replace('self.__BUILD__', JSON.stringify({ version, assets })))
+    },
+  }
+}
+
+export default defineConfig(({ mode }) => ({
+  // VITE_MOCK_API=true serves a stand-in backend under /mock-api
+  plugins: [react(), serviceWorkerManifest(), ...(loadEnv(mode, process.cwd()).VITE_MOCK_API === 'true' ? [mockBackend()] : [])],
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],
@@ -27,4 +51,4 @@ export default defineConfig({
       '127.0.0.1'
     ]
   }
-})
\ No newline at end of file
+}))
\ No newline at end of file